@@ -5,6 +5,12 @@ const http = require('http');
 const { Server } = require('socket.io');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const net = require('net');
+const dns = require('dns');
+const { promisify } = require('util');
+const QRCode = require('qrcode');
 
 // ============================================
 // INITIALIZE APP & SERVER
@@ -47,9 +53,363 @@ const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
 // ============================================
 // MIDDLEWARE
 // ============================================
-app.use(express.json());
+// Keep the raw body around for webhook signature checks
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.static('public'));
 
+// ============================================
+// STAFF AUTHENTICATION
+// ============================================
+const STAFF_ROLES = ['kitchen', 'cashier', 'manager'];
+const PHONE_ROLES = ['cashier', 'manager', 'admin'];
+const SESSION_HOURS = parseInt(process.env.SESSION_HOURS) || 8;
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.SESSION_SECRET) {
+    console.warn("⚠️ SESSION_SECRET not set - staff sessions will reset on every restart");
+}
+
+const scryptAsync = promisify(crypto.scrypt);
+
+async function hashPin(pin) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scryptAsync(String(pin), salt, 32);
+    return `scrypt:${salt}:${hash.toString('hex')}`;
+}
+
+async function verifyPin(pin, stored) {
+    const [scheme, salt, hash] = (stored || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const candidate = await scryptAsync(String(pin), salt, 32);
+    return safeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+// Constant-time comparison of two strings or buffers; false when their byte lengths differ
+function safeEqual(a, b) {
+    const given = Buffer.isBuffer(a) ? a : Buffer.from(String(a));
+    const expected = Buffer.isBuffer(b) ? b : Buffer.from(String(b));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Staff log in with their PIN alone, so no two accounts of a restaurant may share one
+async function isPinTaken(restaurantId, pin, exceptStaffId = null) {
+    let query = supabase
+        .from('staff_accounts')
+        .select('id, pin_hash')
+        .eq('restaurant_id', restaurantId);
+    if (exceptStaffId) query = query.neq('id', exceptStaffId);
+    
+    const { data: accounts, error } = await query;
+    if (error) throw error;
+    
+    for (const account of accounts || []) {
+        if (await verifyPin(pin, account.pin_hash)) return true;
+    }
+    return false;
+}
+
+function signToken(payload) {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', SESSION_SECRET).update(body).digest('base64url');
+    return `${body}.${signature}`;
+}
+
+// Returns the session payload, or null when the token is missing, forged or expired
+function verifyToken(token) {
+    if (!token || typeof token !== 'string') return null;
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return null;
+    
+    const expected = crypto.createHmac('sha256', SESSION_SECRET).update(body).digest();
+    if (!safeEqual(Buffer.from(signature, 'base64url'), expected)) return null;
+    
+    try {
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+        return payload.exp > Date.now() ? payload : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function issueSession(staff) {
+    const expiresAt = Date.now() + SESSION_HOURS * 60 * 60 * 1000;
+    const session = {
+        staff_id: staff.id,
+        restaurant_id: staff.restaurant_id,
+        role: staff.role,
+        name: staff.name,
+        exp: expiresAt
+    };
+    return { token: signToken(session), expires_at: new Date(expiresAt).toISOString(), session };
+}
+
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+// Platform admins are not tied to a restaurant and may access all of them
+function canAccessRestaurant(staff, restaurantId) {
+    return staff.role === 'admin' || staff.restaurant_id === restaurantId;
+}
+
+// Express middleware: require a valid staff session with one of the given roles.
+// Routes with a :restaurantId param are also checked against the session's restaurant.
+function requireStaff(...roles) {
+    return (req, res, next) => {
+        const staff = verifyToken(getBearerToken(req));
+        
+        if (!staff) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        
+        if (staff.role !== 'admin' && roles.length > 0 && !roles.includes(staff.role)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        
+        if (req.params.restaurantId && !canAccessRestaurant(staff, req.params.restaurantId)) {
+            return res.status(403).json({ error: 'Not authorized for this restaurant' });
+        }
+        
+        req.staff = staff;
+        next();
+    };
+}
+
+function maskPhone(phone) {
+    if (!phone) return phone;
+    const digits = String(phone).replace(/[^0-9]/g, '');
+    return digits.length > 4 ? `•••• ${digits.slice(-4)}` : '••••';
+}
+
+// Kitchen screens get orders without the customer's full phone number
+function redactForRole(payload, role) {
+    if (!payload || PHONE_ROLES.includes(role)) return payload;
+    const redacted = { ...payload };
+    if ('phone' in redacted) redacted.phone = maskPhone(redacted.phone);
+    if ('phone_number' in redacted) redacted.phone_number = maskPhone(redacted.phone_number);
+    // The kitchen sees the delivery area, not the street
+    for (const key of ['delivery_address', 'deliveryAddress']) {
+        if (redacted[key]) redacted[key] = { area: redacted[key].area || null, city: redacted[key].city || null };
+    }
+    return redacted;
+}
+
+// ============================================
+// SOCKET.IO ROOMS
+// ============================================
+// restaurant:<id>                        every staff device of a restaurant
+// restaurant:<id>:<role>                 full order feed, per role (for phone redaction)
+// restaurant:<id>:station:<name>:<role>  station screens, which leave the full feed
+//                                        (the expo station also gets order-level events)
+// restaurant:<id>:managers               managers and admins (stock alerts)
+// menu:<id>                              guest ordering pages (menu changes only)
+function orderFeedRoom(restaurantId, role, station) {
+    return station
+        ? `restaurant:${restaurantId}:station:${station}:${role}`
+        : `restaurant:${restaurantId}:${role}`;
+}
+
+// Send an order event to one restaurant's staff devices, redacted per role.
+// It is numbered and logged first (see ORDER EVENT LOG) so reconnecting screens can replay it.
+function emitOrderEvent(restaurantId, event, payload, { station } = {}) {
+    return logOrderEvent(restaurantId, event, payload, station).then(seq => {
+        const numbered = seq ? { ...payload, seq } : payload;
+        // Order-level events also reach the expo station, which oversees every order
+        const stations = station ? [station] : [null, EXPO_STATION];
+        const rooms = role => stations.map(s => orderFeedRoom(restaurantId, role, s));
+        io.to(PHONE_ROLES.flatMap(rooms)).emit(event, numbered);
+        io.to(rooms('kitchen')).emit(event, redactForRole(numbered, 'kitchen'));
+    });
+}
+
+// Connection counts per restaurant and station, for /health
+function roomStats() {
+    const restaurants = {};
+    let guests = 0;
+    
+    for (const socket of io.of('/').sockets.values()) {
+        const { restaurantId, station, staff } = socket.data;
+        if (!staff) {
+            guests++;
+            continue;
+        }
+        if (!restaurantId) continue;
+        
+        const entry = restaurants[restaurantId] || (restaurants[restaurantId] = { connections: 0, stations: {} });
+        entry.connections++;
+        if (station) entry.stations[station] = (entry.stations[station] || 0) + 1;
+    }
+    
+    return { restaurants, guests };
+}
+
+// Brute-force protection for 4-digit PINs
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT_MS = 5 * 60 * 1000;
+const loginFailures = new Map();
+
+function isLoginLocked(key) {
+    const entry = loginFailures.get(key);
+    if (!entry) return false;
+    if (Date.now() - entry.first > LOGIN_LOCKOUT_MS) {
+        loginFailures.delete(key);
+        return false;
+    }
+    return entry.count >= LOGIN_MAX_FAILURES;
+}
+
+function recordLoginFailure(key) {
+    const entry = loginFailures.get(key);
+    if (!entry || Date.now() - entry.first > LOGIN_LOCKOUT_MS) {
+        loginFailures.set(key, { count: 1, first: Date.now() });
+    } else {
+        entry.count++;
+    }
+}
+
+// ============================================
+// ORDER EVENT LOG (replay for reconnecting screens)
+// ============================================
+// Every order event is numbered per restaurant (seq) and stored in order_events
+// before it is sent, and screens remember the last seq they saw. After a dropped
+// connection a screen sends `resync` with that number and gets the events it
+// missed, in order. When it has no number yet, or the gap is older than the log
+// keeps (or too long to replay), it gets a snapshot of the open orders instead.
+const ORDER_EVENT_RETENTION_MS = 12 * 60 * 60 * 1000;
+const ORDER_EVENT_PRUNE_MS = 60 * 60 * 1000;
+const REPLAY_MAX_EVENTS = 500;
+const SNAPSHOT_MAX_ORDERS = 200;
+
+// Events of one restaurant are numbered and sent one at a time, so screens
+// receive them in seq order
+const orderEventChains = new Map();
+
+function logOrderEvent(restaurantId, event, payload, station) {
+    const previous = orderEventChains.get(restaurantId) || Promise.resolve();
+    const logged = previous.then(async () => {
+        const { data: seq, error } = await supabase.rpc('append_order_event', {
+            p_restaurant_id: restaurantId,
+            p_event: event,
+            p_station: station || null,
+            p_payload: payload
+        });
+        if (error) throw error;
+        return seq;
+    }).catch(err => {
+        // Live screens still get the event; only a later replay would miss it
+        console.error(`❌ Failed to log ${event} event:`, err.message || err);
+        return null;
+    });
+    
+    orderEventChains.set(restaurantId, logged);
+    logged.then(() => {
+        if (orderEventChains.get(restaurantId) === logged) orderEventChains.delete(restaurantId);
+    });
+    return logged;
+}
+
+// Events a screen on this feed would have received (same rules as the rooms)
+function feedEventsQuery(restaurantId, station) {
+    const query = supabase
+        .from('order_events')
+        .select('seq, event, payload')
+        .eq('restaurant_id', restaurantId);
+    
+    if (!station) return query.is('station', null);
+    if (station === EXPO_STATION) return query.or(`station.is.null,station.eq.${EXPO_STATION}`);
+    return query.eq('station', station);
+}
+
+async function lastOrderEventSeq(restaurantId) {
+    const { data, error } = await supabase
+        .from('order_event_counters')
+        .select('last_seq')
+        .eq('restaurant_id', restaurantId)
+        .maybeSingle();
+    
+    if (error) throw error;
+    return data?.last_seq || 0;
+}
+
+// Events after `since` for this feed, or null when they can no longer be replayed
+async function missedOrderEvents(restaurantId, station, since, head) {
+    if (!Number.isInteger(since) || since < 0 || since > head) return null;
+    if (since === head) return [];
+    
+    const { data: oldest, error: oldestError } = await supabase
+        .from('order_events')
+        .select('seq')
+        .eq('restaurant_id', restaurantId)
+        .order('seq', { ascending: true })
+        .limit(1)
+        .maybeSingle();
+    
+    if (oldestError) throw oldestError;
+    if (!oldest || oldest.seq > since + 1) return null;
+    
+    const { data: events, error } = await feedEventsQuery(restaurantId, station)
+        .gt('seq', since)
+        .lte('seq', head)
+        .order('seq', { ascending: true })
+        .limit(REPLAY_MAX_EVENTS + 1);
+    
+    if (error) throw error;
+    return events.length > REPLAY_MAX_EVENTS ? null : events;
+}
+
+// What a screen shows right now: open orders, or a station's open tickets
+async function orderFeedSnapshot(restaurantId, station, role) {
+    if (station && station !== EXPO_STATION) {
+        const { data: tickets, error } = await openTicketsQuery(restaurantId)
+            .eq('station', station)
+            .order('created_at', { ascending: true });
+        
+        if (error) throw error;
+        return { tickets };
+    }
+    
+    const { data: orders, error } = await supabase
+        .from('orders')
+        .select('*')
+        .eq('restaurant_id', restaurantId)
+        .in('status', OPEN_STATUSES)
+        .order('created_at', { ascending: true })
+        .limit(SNAPSHOT_MAX_ORDERS);
+    
+    if (error) throw error;
+    return { orders: orders.map(order => redactForRole(order, role)) };
+}
+
+async function resyncOrderFeed(restaurantId, station, role, since) {
+    const head = await lastOrderEventSeq(restaurantId);
+    const events = since === null || since === undefined ? null : await missedOrderEvents(restaurantId, station, since, head);
+    
+    if (events) {
+        return {
+            mode: 'events',
+            events: events.map(e => ({ seq: e.seq, event: e.event, payload: { ...redactForRole(e.payload, role), seq: e.seq } })),
+            last_seq: head
+        };
+    }
+    
+    return { mode: 'snapshot', ...await orderFeedSnapshot(restaurantId, station, role), last_seq: head };
+}
+
+async function pruneOrderEvents() {
+    try {
+        const cutoff = new Date(Date.now() - ORDER_EVENT_RETENTION_MS).toISOString();
+        const { error } = await supabase
+            .from('order_events')
+            .delete()
+            .lt('created_at', cutoff);
+        
+        if (error) throw error;
+    } catch (err) {
+        console.error('Order event prune error:', err.message || err);
+    }
+}
+
 // ============================================
 // HEALTH CHECK
 // ============================================
@@ -57,7 +417,8 @@ app.get('/health', (req, res) => {
     res.json({ 
         status: 'healthy', 
         timestamp: new Date().toISOString(),
-        connections: io.engine.clientsCount
+        connections: io.engine.clientsCount,
+        rooms: roomStats()
     });
 });
 
@@ -65,470 +426,7872 @@ app.get('/health', (req, res) => {
 // SERVE ORDERING FORM AT ROOT
 // ============================================
 
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'premium-orders.html'));
+// With DEFAULT_RESTAURANT_SLUG set, the root opens that restaurant's page. Otherwise
+// there is no restaurant to show: ordering pages live under /r/<slug>.
+app.get('/', (req, res) => {
+    if (process.env.DEFAULT_RESTAURANT_SLUG) {
+        return res.redirect(`/r/${process.env.DEFAULT_RESTAURANT_SLUG}`);
+    }
+    res.status(404).type('text/plain').send('No restaurant selected. Open your restaurant\'s ordering link (/r/<slug>) or scan a table QR code.');
+});
+
+// Keep the direct route accessible too
+app.get('/premium-orders.html', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'premium-orders.html'));
+});
+
+// ============================================
+// WHATSAPP MESSAGE FUNCTION
+// ============================================
+async function sendWhatsAppMessage(recipientPhone, message) {
+    try {
+        const formattedPhone = recipientPhone.replace(/[^0-9]/g, '');
+        
+        const response = await axios.post(
+            `https://graph.facebook.com/v24.0/${process.env.META_PHONE_ID}/messages`,
+            {
+                messaging_product: 'whatsapp',
+                to: formattedPhone,
+                type: 'text',
+                text: { body: message }
+            },
+            {
+                headers: {
+                    'Authorization': `Bearer ${process.env.META_ACCESS_TOKEN}`,
+                    'Content-Type': 'application/json'
+                }
+            }
+        );
+        
+        console.log(`✅ WhatsApp sent to ${formattedPhone}`);
+        return { success: true, messageId: response.data.messages[0].id };
+        
+    } catch (error) {
+        console.error('❌ WhatsApp send failed:', error.response?.data || error.message);
+        // Network errors, rate limits (429) and Meta outages (5xx) are worth retrying
+        const httpStatus = error.response?.status;
+        const retryable = !httpStatus || httpStatus === 429 || httpStatus >= 500;
+        const detail = error.response?.data?.error?.message;
+        return { success: false, error: detail || error.message, retryable };
+    }
+}
+
+// ============================================
+// NOTIFICATION OUTBOX
+// ============================================
+// Messages are written to notification_outbox and sent by a background worker,
+// so a Graph API hiccup delays a message instead of losing it. Meta delivery
+// receipts (POST /api/webhooks/whatsapp) move each message to delivered / read.
+const OUTBOX_POLL_MS = parseInt(process.env.OUTBOX_POLL_MS) || 5000;
+const OUTBOX_BATCH_SIZE = 20;
+const OUTBOX_MAX_ATTEMPTS = 6;
+const WHATSAPP_RATE_PER_SEC = parseInt(process.env.WHATSAPP_RATE_PER_SEC) || 10;
+const DELIVERY_STATUS_RANK = { queued: 0, sending: 1, sent: 2, delivered: 3, read: 4, failed: 5 };
+
+let outboxRunning = false;
+
+function whatsappEnabled() {
+    return !!(process.env.META_PHONE_ID && process.env.META_ACCESS_TOKEN);
+}
+
+// 30s, 1m, 2m, 4m ... capped at 1 hour
+function outboxBackoffMs(attempts) {
+    return Math.min(30 * 1000 * 2 ** (attempts - 1), 60 * 60 * 1000);
+}
+
+// Queue a WhatsApp message for an order. kind is 'transactional' (order updates)
+// or 'marketing'; marketing is dropped unless the customer opted in.
+async function queueWhatsAppMessage({ restaurantId, orderId, recipient, message, kind = 'transactional' }) {
+    if (!whatsappEnabled() || !recipient) return null;
+    
+    if (kind !== 'transactional' && !(await hasMarketingConsent(restaurantId, recipient))) {
+        console.log(`🔕 Marketing message to ${maskPhone(recipient)} skipped - no consent`);
+        return null;
+    }
+    
+    const { data, error } = await supabase
+        .from('notification_outbox')
+        .insert([{
+            restaurant_id: restaurantId,
+            order_id: orderId || null,
+            recipient,
+            message,
+            kind
+        }])
+        .select('id')
+        .single();
+    
+    if (error) {
+        console.error('❌ Failed to queue WhatsApp message:', error.message);
+        return null;
+    }
+    
+    setImmediate(processOutbox);
+    return data.id;
+}
+
+async function updateOutboxEntry(entry, updates) {
+    const { data, error } = await supabase
+        .from('notification_outbox')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', entry.id)
+        .select('id, restaurant_id, order_id, status, attempts, last_error, sent_at, delivered_at, read_at')
+        .single();
+    
+    if (error) {
+        console.error(`❌ Outbox update failed for ${entry.id}:`, error.message);
+        return;
+    }
+    
+    // Let staff screens see whether the customer was actually told
+    if (data.restaurant_id) {
+        emitOrderEvent(data.restaurant_id, 'notification_updated', data);
+    }
+}
+
+async function deliverOutboxEntry(entry) {
+    // Consent may have been withdrawn while the message was waiting
+    if (entry.kind !== 'transactional' && !(await hasMarketingConsent(entry.restaurant_id, entry.recipient))) {
+        return updateOutboxEntry(entry, { status: 'failed', last_error: 'Recipient has not opted in to marketing' });
+    }
+    
+    const result = await sendWhatsAppMessage(entry.recipient, entry.message);
+    
+    if (result.success) {
+        return updateOutboxEntry(entry, {
+            status: 'sent',
+            provider_message_id: result.messageId,
+            sent_at: new Date().toISOString(),
+            last_error: null
+        });
+    }
+    
+    if (!result.retryable || entry.attempts >= OUTBOX_MAX_ATTEMPTS) {
+        console.error(`❌ WhatsApp message ${entry.id} failed permanently after ${entry.attempts} attempt(s)`);
+        return updateOutboxEntry(entry, { status: 'failed', last_error: result.error });
+    }
+    
+    return updateOutboxEntry(entry, {
+        status: 'queued',
+        last_error: result.error,
+        next_attempt_at: new Date(Date.now() + outboxBackoffMs(entry.attempts)).toISOString()
+    });
+}
+
+// Claim due messages and send them, paced to WHATSAPP_RATE_PER_SEC
+async function processOutbox() {
+    if (outboxRunning || !whatsappEnabled()) return;
+    outboxRunning = true;
+    
+    try {
+        let batch;
+        do {
+            const { data, error } = await supabase.rpc('claim_notifications', { p_limit: OUTBOX_BATCH_SIZE });
+            if (error) throw error;
+            batch = data || [];
+            
+            for (const entry of batch) {
+                const started = Date.now();
+                await deliverOutboxEntry(entry);
+                const wait = 1000 / WHATSAPP_RATE_PER_SEC - (Date.now() - started);
+                if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+            }
+        } while (batch.length === OUTBOX_BATCH_SIZE);
+        
+    } catch (err) {
+        console.error('❌ Outbox worker error:', err.message);
+    } finally {
+        outboxRunning = false;
+    }
+}
+
+// Apply a Meta status callback (sent / delivered / read / failed) to its outbox row
+async function applyDeliveryStatus(status) {
+    const { data: entry, error } = await supabase
+        .from('notification_outbox')
+        .select('id, status')
+        .eq('provider_message_id', status.id)
+        .maybeSingle();
+    
+    if (error) throw error;
+    if (!entry) return;
+    
+    // Receipts can arrive out of order - never move a message backwards
+    if ((DELIVERY_STATUS_RANK[status.status] ?? -1) <= DELIVERY_STATUS_RANK[entry.status]) return;
+    
+    const at = new Date(Number(status.timestamp) * 1000 || Date.now()).toISOString();
+    const updates = { status: status.status };
+    
+    if (status.status === 'delivered') updates.delivered_at = at;
+    if (status.status === 'read') updates.read_at = at;
+    if (status.status === 'failed') {
+        updates.last_error = status.errors?.map(e => `${e.code}: ${e.title}`).join('; ') || 'Delivery failed';
+    }
+    
+    await updateOutboxEntry(entry, updates);
+}
+
+// Meta signs webhook payloads with the app secret (X-Hub-Signature-256).
+// Without META_APP_SECRET nothing can be verified, so every payload is rejected.
+function isValidMetaSignature(req) {
+    const secret = process.env.META_APP_SECRET;
+    if (!secret) return false;
+    
+    const header = req.get('X-Hub-Signature-256') || '';
+    const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(req.rawBody || '').digest('hex');
+    return safeEqual(header, expected);
+}
+
+// ============================================
+// WHATSAPP CONVERSATIONS (inbound)
+// ============================================
+// Customers can ask about their order ("where's my order?") or build one with a
+// short guided chat: MENU → "3 x2" → DONE → name → YES. Orders go through the
+// same createOrder pipeline as the ordering pages.
+const CONVERSATION_TIMEOUT_MS = 30 * 60 * 1000;
+const STATUS_QUERY_PATTERN = /\b(status|where|track|ready|eta|how long)\b/i;
+const RECENT_ORDER_HOURS = 24;
+const STATUS_LABELS = {
+    pending_payment: 'Waiting for payment 💳',
+    new: 'Received 📥',
+    confirmed: 'Confirmed ✅',
+    preparing: 'Being prepared 👨‍🍳',
+    ready: 'Ready for pickup 🛍️',
+    completed: 'Completed 😊',
+    recalled: 'Being re-checked by the kitchen 🔁',
+    cancelled: 'Cancelled ❌',
+    refunded: 'Refunded 💸'
+};
+
+function phoneDigits(phone) {
+    return String(phone || '').replace(/[^0-9]/g, '');
+}
+
+// Which restaurant owns the WhatsApp number a message was sent to
+async function restaurantForWhatsAppNumber(phoneNumberId) {
+    const { data, error } = await supabase
+        .from('restaurants')
+        .select('id, name, settings')
+        .eq('settings->>whatsapp_phone_number_id', phoneNumberId)
+        .eq('is_active', true)
+        .maybeSingle();
+    
+    if (error) throw error;
+    if (data) return data;
+    
+    // Single-restaurant deployments share one number
+    const fallbackId = process.env.WHATSAPP_DEFAULT_RESTAURANT_ID;
+    if (!fallbackId) return null;
+    
+    const { data: fallback } = await supabase
+        .from('restaurants')
+        .select('id, name, settings')
+        .eq('id', fallbackId)
+        .maybeSingle();
+    return fallback;
+}
+
+// Orders from the last day placed with this phone number. WhatsApp senders come
+// with their country code, so they match the E.164 number orders are saved with.
+async function recentOrdersForPhone(restaurantId, phone) {
+    const e164 = normalizePhone(`+${phoneDigits(phone)}`);
+    if (!e164) return [];
+    
+    const since = new Date(Date.now() - RECENT_ORDER_HOURS * 60 * 60 * 1000).toISOString();
+    const { data, error } = await supabase
+        .from('orders')
+        .select('id, order_number, status, customer_name, phone_number, created_at')
+        .eq('restaurant_id', restaurantId)
+        .eq('phone_number', e164)
+        .gte('created_at', since)
+        .order('created_at', { ascending: false });
+    
+    if (error) throw error;
+    return data;
+}
+
+function describeOrderStatus(order) {
+    const minutes = Math.round((Date.now() - new Date(order.created_at).getTime()) / 60000);
+    return `Order #${order.order_number}: ${STATUS_LABELS[order.status] || order.status} ` +
+        `(placed ${minutes} min ago)`;
+}
+
+async function loadConversation(restaurantId, phone) {
+    const { data, error } = await supabase
+        .from('whatsapp_conversations')
+        .select('state, updated_at')
+        .eq('restaurant_id', restaurantId)
+        .eq('phone', phone)
+        .maybeSingle();
+    
+    if (error) throw error;
+    
+    const expired = !data || Date.now() - new Date(data.updated_at).getTime() > CONVERSATION_TIMEOUT_MS;
+    const state = data?.state || {};
+    
+    // An abandoned chat starts over, but we remember which messages we already handled
+    return expired 
+        ? { step: 'idle', cart: [], seen: state.seen || [], name: state.name } 
+        : { step: 'idle', cart: [], seen: [], ...state };
+}
+
+async function saveConversation(restaurantId, phone, state) {
+    const { error } = await supabase
+        .from('whatsapp_conversations')
+        .upsert({ restaurant_id: restaurantId, phone, state, updated_at: new Date().toISOString() });
+    
+    if (error) console.error('❌ Failed to save WhatsApp conversation:', error.message);
+}
+
+// Numbered list of items that can be ordered by chat. Items with required
+// customizations need the ordering page, so they are left out.
+async function chatMenu(restaurantId) {
+    const { menu, items } = await loadMenu(restaurantId, { availableOnly: true });
+    
+    const { data: required, error } = await supabase
+        .from('item_customization_categories')
+        .select('menu_item_id')
+        .in('menu_item_id', items.map(i => i.id))
+        .eq('is_required', true);
+    
+    if (error) throw error;
+    
+    const needsChoices = new Set(required.map(r => r.menu_item_id));
+    const entries = [];
+    const lines = [];
+    
+    menu.forEach(category => {
+        const orderable = category.items.filter(item => !needsChoices.has(item.id));
+        if (orderable.length === 0) return;
+        lines.push(`\n*${category.name}*`);
+        orderable.forEach(item => {
+            entries.push({ id: item.id, name: item.name, price: item.price });
+            lines.push(`${entries.length}. ${item.name} - $${Number(item.price).toFixed(2)}`);
+        });
+    });
+    
+    return { entries, text: lines.join('\n') };
+}
+
+function cartText(cart) {
+    return cart.map((line, i) => `${i + 1}. ${line.name} x${line.quantity}`).join('\n');
+}
+
+const CHAT_HELP = `Reply *MENU* to start an order, *STATUS* to check on your order, or *CANCEL* to start over.`;
+
+// Work out the reply to one inbound text and the next conversation state
+async function handleConversationText(restaurant, phone, state, text) {
+    const input = text.trim();
+    const command = input.toLowerCase();
+    
+    if (command === 'cancel') {
+        return { state: { ...state, step: 'idle', cart: [] }, reply: `Your order has been cleared. ${CHAT_HELP}` };
+    }
+    
+    // Marketing consent. Order updates are sent either way.
+    if (['stop', 'unsubscribe', 'subscribe'].includes(command)) {
+        const optIn = command === 'subscribe';
+        await upsertCustomer(restaurant.id, `+${phoneDigits(phone)}`, { marketingOptIn: optIn, source: 'whatsapp' });
+        return {
+            state,
+            reply: optIn
+                ? `✅ You'll now get offers and news from ${restaurant.name}. Reply *STOP* any time to unsubscribe.`
+                : `🔕 You won't get offers from ${restaurant.name} any more. Order updates will still be sent. Reply *SUBSCRIBE* to opt back in.`
+        };
+    }
+    
+    if (command === 'points') {
+        const loyalty = loyaltySettings(restaurant.settings);
+        if (!loyalty) return { state, reply: `${restaurant.name} doesn't have a loyalty program yet. ${CHAT_HELP}` };
+        
+        const { data: customer } = await supabase
+            .from('customers')
+            .select('loyalty_points')
+            .eq('restaurant_id', restaurant.id)
+            .eq('phone', `+${phoneDigits(phone)}`)
+            .maybeSingle();
+        const points = customer?.loyalty_points || 0;
+        return { state, reply: `🎁 You have *${points} points* (worth $${formatCents(Math.round(points * loyalty.point_value * 100))}).` };
+    }
+    
+    if (state.step === 'idle' && STATUS_QUERY_PATTERN.test(input)) {
+        const orders = await recentOrdersForPhone(restaurant.id, phone);
+        const reply = orders.length > 0
+            ? `📋 *Your orders*\n\n${orders.slice(0, 3).map(describeOrderStatus).join('\n')}`
+            : `We couldn't find an order from this number in the last ${RECENT_ORDER_HOURS} hours. ${CHAT_HELP}`;
+        return { state, reply };
+    }
+    
+    if (['menu', 'order', 'start'].includes(command) || (state.step === 'idle' && /^(hi|hello|hey)\b/.test(command))) {
+        const { entries, text: menuText } = await chatMenu(restaurant.id);
+        if (entries.length === 0) {
+            return { state, reply: `Sorry, nothing is available to order right now.` };
+        }
+        return {
+            state: { ...state, step: 'browsing', menu: entries, cart: state.cart || [] },
+            reply: `🍽️ *${restaurant.name} Menu*\n${menuText}\n\n` +
+                `Reply with an item number to add it (e.g. *3* or *3 x2*). ` +
+                `Reply *CART* to review or *DONE* to check out.`
+        };
+    }
+    
+    if (state.step === 'browsing') {
+        const add = input.match(/^(\d+)(?:\s*[x×*]\s*(\d+))?$/i);
+        const remove = command.match(/^remove\s+(\d+)$/);
+        
+        if (add) {
+            const entry = state.menu[parseInt(add[1]) - 1];
+            const quantity = Math.min(parseInt(add[2] || '1'), MAX_ITEM_QUANTITY);
+            if (!entry || quantity < 1) {
+                return { state, reply: `Please pick a number from the menu (1-${state.menu.length}).` };
+            }
+            const existing = state.cart.find(line => line.id === entry.id);
+            if (existing) existing.quantity = Math.min(existing.quantity + quantity, MAX_ITEM_QUANTITY);
+            else state.cart.push({ id: entry.id, name: entry.name, quantity });
+            return { state, reply: `Added ${entry.name} x${quantity}. 🛒\n\n${cartText(state.cart)}\n\nAdd more, or reply *DONE*.` };
+        }
+        if (remove) {
+            const index = parseInt(remove[1]) - 1;
+            if (!state.cart[index]) return { state, reply: `There's no line ${remove[1]} in your cart.` };
+            const [removed] = state.cart.splice(index, 1);
+            return { state, reply: `Removed ${removed.name}.${state.cart.length ? `\n\n${cartText(state.cart)}` : ''}` };
+        }
+        if (command === 'cart') {
+            return { state, reply: state.cart.length ? `🛒 *Your cart*\n${cartText(state.cart)}\n\nReply *REMOVE <n>* to remove a line.` : 'Your cart is empty.' };
+        }
+        if (command === 'done' || command === 'checkout') {
+            if (state.cart.length === 0) return { state, reply: 'Your cart is empty - reply with an item number first.' };
+            if (!state.name) return { state: { ...state, step: 'awaiting_name' }, reply: `What name should we put on the order?` };
+            return confirmChatOrder(restaurant, state);
+        }
+        return { state, reply: `Reply with an item number, *CART*, *DONE* or *CANCEL*.` };
+    }
+    
+    if (state.step === 'awaiting_name') {
+        const name = input.slice(0, 60);
+        if (!name) return { state, reply: 'What name should we put on the order?' };
+        return confirmChatOrder(restaurant, { ...state, name });
+    }
+    
+    if (state.step === 'confirming') {
+        if (['yes', 'y', 'confirm'].includes(command)) {
+            const order = await createOrder(restaurant.id, {
+                customer_name: state.name,
+                phone_number: `+${phoneDigits(phone)}`,
+                order_source: 'whatsapp',
+                fulfillment_type: 'pickup',
+                items: state.cart.map(line => ({ id: line.id, quantity: line.quantity }))
+            }, { phoneVerified: true });
+            console.log(`💬 WhatsApp order placed: ${order.order_number}`);
+            if (order.payment) {
+                // The confirmation follows once the payment arrives
+                return { 
+                    state: { ...state, step: 'idle', cart: [], menu: null }, 
+                    reply: `💳 Order #${order.order_number} is almost done! Pay $${order.payment.amount} here to send it to the kitchen:\n${order.payment.checkout_url}` 
+                };
+            }
+            // createOrder already sends the confirmation message
+            return { state: { ...state, step: 'idle', cart: [], menu: null }, reply: null };
+        }
+        if (['no', 'n'].includes(command)) {
+            return { state: { ...state, step: 'browsing' }, reply: `No problem - keep adding items or reply *DONE* when ready.` };
+        }
+        return { state, reply: `Reply *YES* to place your order or *NO* to change it.` };
+    }
+    
+    return { state, reply: `👋 Welcome to ${restaurant.name}! ${CHAT_HELP}` };
+}
+
+// Price the chat cart and ask the customer to confirm
+async function confirmChatOrder(restaurant, state) {
+    const { calculatedItems, pricing } = await quoteOrder(restaurant.id, {
+        order_source: 'whatsapp',
+        fulfillment_type: 'pickup',
+        items: state.cart.map(line => ({ id: line.id, quantity: line.quantity }))
+    });
+    const totals = formatPricing(pricing);
+    const itemsText = calculatedItems.map(item => `• ${item.name} x${item.quantity} - $${item.item_total.toFixed(2)}`).join('\n');
+    
+    return {
+        state: { ...state, step: 'confirming' },
+        reply: `🧾 *Please confirm, ${state.name}*\n\n${itemsText}\n\n*Total: $${totals.total}*\n\nReply *YES* to place the order or *NO* to change it.`
+    };
+}
+
+// Entry point for each inbound message from the webhook
+async function handleInboundMessage(metadata, message) {
+    const restaurant = await restaurantForWhatsAppNumber(metadata?.phone_number_id);
+    if (!restaurant) {
+        console.error(`⚠️ Inbound WhatsApp for unknown number ${metadata?.phone_number_id}`);
+        return;
+    }
+    
+    const phone = phoneDigits(message.from);
+    const state = await loadConversation(restaurant.id, phone);
+    
+    // Meta may deliver the same message more than once
+    if (state.seen.includes(message.id)) return;
+    state.seen = [...state.seen, message.id].slice(-20);
+    
+    let result;
+    if (message.type !== 'text') {
+        result = { state, reply: `Sorry, I can only read text messages. ${CHAT_HELP}` };
+    } else {
+        try {
+            result = await handleConversationText(restaurant, phone, state, message.text?.body || '');
+        } catch (err) {
+            if (!(err instanceof OrderError)) throw err;
+            const detail = err.body.unavailable ? `: ${err.body.unavailable.join(', ')}` : '';
+            result = { state: { ...state, step: 'browsing' }, reply: `⚠️ ${err.body.error}${detail}. Please adjust your order.` };
+        }
+    }
+    
+    await saveConversation(restaurant.id, phone, result.state);
+    
+    if (result.reply) {
+        await queueWhatsAppMessage({ restaurantId: restaurant.id, recipient: phone, message: result.reply });
+    }
+}
+
+// ============================================
+// WHATSAPP WEBHOOK (Meta)
+// ============================================
+
+// Verification handshake when the webhook is registered in the Meta dashboard
+app.get('/api/webhooks/whatsapp', (req, res) => {
+    const mode = req.query['hub.mode'];
+    const token = req.query['hub.verify_token'];
+    
+    if (mode === 'subscribe' && process.env.META_VERIFY_TOKEN && token === process.env.META_VERIFY_TOKEN) {
+        console.log('✅ WhatsApp webhook verified');
+        return res.status(200).send(req.query['hub.challenge']);
+    }
+    
+    res.sendStatus(403);
+});
+
+app.post('/api/webhooks/whatsapp', async (req, res) => {
+    if (!process.env.META_APP_SECRET) {
+        console.error('❌ WhatsApp webhook rejected - META_APP_SECRET is not set');
+        return res.sendStatus(401);
+    }
+    if (!isValidMetaSignature(req)) {
+        console.error('❌ WhatsApp webhook signature mismatch');
+        return res.sendStatus(401);
+    }
+    
+    // Acknowledge straight away - Meta retries slow webhooks
+    res.sendStatus(200);
+    
+    try {
+        const changes = (req.body.entry || []).flatMap(entry => entry.changes || []);
+        
+        for (const change of changes) {
+            for (const status of change.value?.statuses || []) {
+                await applyDeliveryStatus(status);
+            }
+            for (const message of change.value?.messages || []) {
+                await handleInboundMessage(change.value.metadata, message);
+            }
+        }
+    } catch (err) {
+        console.error('WhatsApp webhook error:', err);
+    }
+});
+
+// ============================================
+// ORDER NOTIFICATIONS (delivery state for staff)
+// ============================================
+app.get('/api/orders/:orderId/notifications', requireStaff(...STAFF_ROLES), async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        
+        const { data: order, error: orderError } = await supabase
+            .from('orders')
+            .select('id, restaurant_id')
+            .eq('id', orderId)
+            .maybeSingle();
+        
+        if (orderError) throw orderError;
+        
+        if (!order || !canAccessRestaurant(req.staff, order.restaurant_id)) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        
+        const { data, error } = await supabase
+            .from('notification_outbox')
+            .select('id, kind, message, status, attempts, last_error, sent_at, delivered_at, read_at, created_at')
+            .eq('order_id', orderId)
+            .order('created_at');
+        
+        if (error) throw error;
+        
+        res.json({ success: true, notifications: data });
+        
+    } catch (err) {
+        console.error('Get order notifications error:', err);
+        res.status(500).json({ error: 'Failed to get notifications' });
+    }
+});
+
+
+// ============================================
+// CUSTOMER ORDER TRACKING (public)
+// ============================================
+// Each order gets a random tracking token on creation. /track/<token> is a
+// small status page; it reads GET /api/track/:token and then listens on the
+// /track Socket.IO namespace, which only ever carries that one order.
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/$/, '');
+const trackNamespace = io.of('/track');
+
+function newTrackingToken() {
+    return crypto.randomBytes(18).toString('base64url');
+}
+
+function trackingUrl(token) {
+    return `${PUBLIC_URL}/track/${token}`;
+}
+
+// What a customer may see about their own order - no phone, address or staff names
+function publicOrderView(order, restaurantName, history = []) {
+    const pricing = order.pricing || {};
+    const items = typeof order.order_items === 'string' ? JSON.parse(order.order_items) : (order.order_items || []);
+    
+    return {
+        restaurant: restaurantName,
+        order_number: order.order_number,
+        status: order.status,
+        status_label: STATUS_LABELS[order.status] || order.status,
+        payment_status: order.payment_status,
+        fulfillment_type: order.fulfillment_type,
+        table_number: order.table_number,
+        scheduled_for: order.scheduled_for,
+        promised_at: order.promised_at,
+        created_at: order.created_at,
+        items: items.map(item => ({
+            name: item.name,
+            quantity: item.quantity,
+            customizations: (item.customizations || []).map(c => c.name),
+            item_total: item.item_total
+        })),
+        subtotal: pricing.subtotal,
+        adjustments: pricing.adjustments || [],
+        total: pricing.total || order.total_amount,
+        timeline: history.map(entry => ({ status: entry.to_status, at: entry.created_at }))
+    };
+}
+
+// Push a change to anyone watching this order's tracking page
+function publishTrackingUpdate(orderId, update) {
+    trackNamespace.to(`order:${orderId}`).emit('order_status', { 
+        ...update, 
+        status_label: update.status ? STATUS_LABELS[update.status] : undefined,
+        timestamp: new Date().toISOString() 
+    });
+}
+
+async function findOrderByTrackingToken(token) {
+    if (!token || typeof token !== 'string' || token.length > 64) return null;
+    
+    const { data, error } = await supabase
+        .from('orders')
+        .select('*, restaurants(name)')
+        .eq('tracking_token', token)
+        .maybeSingle();
+    
+    if (error) throw error;
+    return data;
+}
+
+trackNamespace.use(async (socket, next) => {
+    try {
+        const order = await findOrderByTrackingToken(socket.handshake.auth?.token);
+        if (!order) return next(new Error('Order not found'));
+        
+        socket.data.orderId = order.id;
+        next();
+    } catch (err) {
+        console.error('Tracking socket auth error:', err);
+        next(new Error('Tracking unavailable'));
+    }
+});
+
+trackNamespace.on('connection', (socket) => {
+    socket.join(`order:${socket.data.orderId}`);
+});
+
+// TRACKING PAGE
+app.get('/track/:token', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'track.html'));
+});
+
+// GET ORDER BY TRACKING TOKEN
+app.get('/api/track/:token', async (req, res) => {
+    try {
+        const order = await findOrderByTrackingToken(req.params.token);
+        
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        
+        const { data: history, error } = await supabase
+            .from('order_status_history')
+            .select('to_status, created_at')
+            .eq('order_id', order.id)
+            .order('created_at', { ascending: true });
+        
+        if (error) throw error;
+        
+        res.json({ success: true, order: publicOrderView(order, order.restaurants?.name, history) });
+        
+    } catch (err) {
+        console.error('Track order error:', err);
+        res.status(500).json({ error: 'Failed to get order' });
+    }
+});
+
+// ============================================
+// STAFF AUTH APIS
+// ============================================
+
+// 1. STAFF PIN LOGIN
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { restaurant_id, pin } = req.body;
+        
+        if (!restaurant_id || !pin) {
+            return res.status(400).json({ error: 'Missing required fields: restaurant_id, pin' });
+        }
+        
+        const lockKey = `${req.ip}:${restaurant_id}`;
+        if (isLoginLocked(lockKey)) {
+            return res.status(429).json({ error: 'Too many failed attempts. Try again in a few minutes.' });
+        }
+        
+        const { data: accounts, error } = await supabase
+            .from('staff_accounts')
+            .select('id, restaurant_id, name, role, pin_hash')
+            .eq('restaurant_id', restaurant_id)
+            .eq('is_active', true);
+        
+        if (error) throw error;
+        
+        let staff = null;
+        for (const account of accounts || []) {
+            if (await verifyPin(pin, account.pin_hash)) {
+                staff = account;
+                break;
+            }
+        }
+        
+        if (!staff) {
+            recordLoginFailure(lockKey);
+            console.log(`🔒 Failed login attempt for restaurant ${restaurant_id}`);
+            return res.status(401).json({ error: 'Invalid PIN' });
+        }
+        
+        loginFailures.delete(lockKey);
+        await supabase
+            .from('staff_accounts')
+            .update({ last_login_at: new Date().toISOString() })
+            .eq('id', staff.id);
+        
+        const { token, expires_at } = issueSession(staff);
+        console.log(`🔑 ${staff.name} (${staff.role}) logged in`);
+        
+        res.json({
+            success: true,
+            token,
+            expires_at,
+            staff: { id: staff.id, name: staff.name, role: staff.role, restaurant_id: staff.restaurant_id }
+        });
+        
+    } catch (err) {
+        console.error('Login error:', err);
+        res.status(500).json({ error: 'Failed to log in' });
+    }
+});
+
+// 2. PLATFORM ADMIN LOGIN (key from PLATFORM_ADMIN_KEY)
+app.post('/api/auth/admin-login', (req, res) => {
+    const adminKey = process.env.PLATFORM_ADMIN_KEY;
+    const { key } = req.body;
+    
+    if (!adminKey) {
+        return res.status(404).json({ error: 'Admin login not configured' });
+    }
+    
+    const expected = crypto.createHash('sha256').update(adminKey).digest();
+    const given = crypto.createHash('sha256').update(String(key || '')).digest();
+    
+    if (isLoginLocked(req.ip) || !safeEqual(expected, given)) {
+        recordLoginFailure(req.ip);
+        return res.status(401).json({ error: 'Invalid admin key' });
+    }
+    
+    const { token, expires_at } = issueSession({ id: 'platform-admin', restaurant_id: null, role: 'admin', name: 'Platform Admin' });
+    res.json({ success: true, token, expires_at, staff: { name: 'Platform Admin', role: 'admin' } });
+});
+
+// 3. CURRENT SESSION
+app.get('/api/auth/me', requireStaff(), (req, res) => {
+    const { staff_id, restaurant_id, role, name, exp } = req.staff;
+    res.json({ 
+        success: true, 
+        staff: { id: staff_id, restaurant_id, role, name },
+        expires_at: new Date(exp).toISOString()
+    });
+});
+
+// 4. LIST STAFF ACCOUNTS
+app.get('/api/restaurants/:restaurantId/staff', requireStaff('manager'), async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('staff_accounts')
+            .select('id, name, role, is_active, last_login_at, created_at')
+            .eq('restaurant_id', req.params.restaurantId)
+            .order('created_at');
+        
+        if (error) throw error;
+        
+        res.json({ success: true, staff: data });
+        
+    } catch (err) {
+        console.error('List staff error:', err);
+        res.status(500).json({ error: 'Failed to get staff' });
+    }
+});
+
+// 5. CREATE STAFF ACCOUNT
+app.post('/api/restaurants/:restaurantId/staff', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId } = req.params;
+        const { name, role, pin } = req.body;
+        
+        if (!name || !role || !pin) {
+            return res.status(400).json({ error: 'Missing required fields: name, role, pin' });
+        }
+        if (!STAFF_ROLES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of: ${STAFF_ROLES.join(', ')}` });
+        }
+        if (!/^[0-9]{4,8}$/.test(String(pin))) {
+            return res.status(400).json({ error: 'PIN must be 4-8 digits' });
+        }
+        if (await isPinTaken(restaurantId, pin)) {
+            return res.status(409).json({ error: 'Another staff member already uses this PIN' });
+        }
+        
+        const { data: staff, error } = await supabase
+            .from('staff_accounts')
+            .insert([{
+                restaurant_id: restaurantId,
+                name: String(name).trim(),
+                role,
+                pin_hash: await hashPin(pin)
+            }])
+            .select('id, name, role, is_active, created_at')
+            .single();
+        
+        if (error) throw error;
+        
+        console.log(`👤 Staff account created: ${staff.name} (${staff.role})`);
+        res.status(201).json({ success: true, staff });
+        
+    } catch (err) {
+        console.error('Create staff error:', err);
+        res.status(500).json({ error: 'Failed to create staff account' });
+    }
+});
+
+// 6. UPDATE / DEACTIVATE STAFF ACCOUNT
+app.patch('/api/restaurants/:restaurantId/staff/:staffId', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId, staffId } = req.params;
+        const { name, role, pin, is_active } = req.body;
+        const updates = {};
+        
+        if (name !== undefined) updates.name = String(name).trim();
+        if (role !== undefined) {
+            if (!STAFF_ROLES.includes(role)) {
+                return res.status(400).json({ error: `role must be one of: ${STAFF_ROLES.join(', ')}` });
+            }
+            updates.role = role;
+        }
+        if (pin !== undefined) {
+            if (!/^[0-9]{4,8}$/.test(String(pin))) {
+                return res.status(400).json({ error: 'PIN must be 4-8 digits' });
+            }
+            if (await isPinTaken(restaurantId, pin, staffId)) {
+                return res.status(409).json({ error: 'Another staff member already uses this PIN' });
+            }
+            updates.pin_hash = await hashPin(pin);
+        }
+        if (is_active !== undefined) updates.is_active = !!is_active;
+        
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'No updatable fields provided' });
+        }
+        
+        const { data: staff, error } = await supabase
+            .from('staff_accounts')
+            .update(updates)
+            .eq('id', staffId)
+            .eq('restaurant_id', restaurantId)
+            .select('id, name, role, is_active, created_at')
+            .maybeSingle();
+        
+        if (error) throw error;
+        
+        if (!staff) {
+            return res.status(404).json({ error: 'Staff account not found' });
+        }
+        
+        res.json({ success: true, staff });
+        
+    } catch (err) {
+        console.error('Update staff error:', err);
+        res.status(500).json({ error: 'Failed to update staff account' });
+    }
+});
+
+// ============================================
+// NEW: GET ITEM CUSTOMIZATIONS
+// ============================================
+app.get('/api/menu-items/:itemId/customizations', async (req, res) => {
+    try {
+        const { itemId } = req.params;
+        
+        // Get customization categories
+        const { data: categories, error: catError } = await supabase
+            .from('item_customization_categories')
+            .select('*')
+            .eq('menu_item_id', itemId)
+            .order('display_order');
+        
+        if (catError) throw catError;
+        
+        if (!categories || categories.length === 0) {
+            return res.json({ 
+                success: true, 
+                customizations: [] 
+            });
+        }
+        
+        // Get options for each category
+        const categoryIds = categories.map(c => c.id);
+        const { data: options, error: optError } = await supabase
+            .from('customization_options')
+            .select('*')
+            .in('category_id', categoryIds)
+            .eq('is_available', true)
+            .order('display_order');
+        
+        if (optError) throw optError;
+        
+        // Group options by category, leaving out options on an 86 hold
+        const now = new Date();
+        const customizations = categories.map(category => ({
+            ...category,
+            options: options.filter(opt => opt.category_id === category.id && optionIsAvailable(opt, now))
+        }));
+        
+        res.json({ 
+            success: true, 
+            customizations 
+        });
+        
+    } catch (err) {
+        console.error('Get customizations error:', err);
+        res.status(500).json({ error: 'Failed to get customizations' });
+    }
+});
+// ============================================
+// MULTI-TENANT RESTAURANT APIS
+// ============================================
+
+// 1. GET RESTAURANT INFO
+app.get('/api/restaurants/:slug', async (req, res) => {
+    try {
+        const { slug } = req.params;
+        
+        const { data, error } = await supabase
+            .from('restaurants')
+            .select('*')
+            .eq('slug', slug)
+            .eq('is_active', true)
+            .single();
+        
+        if (error || !data) {
+            return res.status(404).json({ error: 'Restaurant not found' });
+        }
+        
+        res.json({ success: true, restaurant: data });
+        
+    } catch (err) {
+        console.error('Get restaurant error:', err);
+        res.status(500).json({ error: 'Failed to get restaurant' });
+    }
+});
+
+// Active categories with their items, grouped. Shared by the menu API and WhatsApp ordering.
+// Each category and item gets available_now (dayparts and 86 holds at `at`);
+// availableOnly leaves out everything that cannot be ordered then.
+async function loadMenu(restaurantId, { availableOnly = false, at = new Date() } = {}) {
+    // Get categories
+    const { data: categories, error: catError } = await supabase
+        .from('menu_categories')
+        .select('*')
+        .eq('restaurant_id', restaurantId)
+        .eq('is_active', true)
+        .order('display_order');
+    
+    if (catError) throw catError;
+    
+    const { data: restaurant, error: restaurantError } = await supabase
+        .from('restaurants')
+        .select('settings')
+        .eq('id', restaurantId)
+        .maybeSingle();
+    
+    if (restaurantError) throw restaurantError;
+    
+    // Get menu items
+    let itemsQuery = supabase
+        .from('menu_items')
+        .select('*')
+        .eq('restaurant_id', restaurantId)
+        .order('display_order');
+    
+    if (availableOnly) {
+        itemsQuery = itemsQuery.eq('is_available', true);
+    }
+    
+    const { data: rows, error: itemsError } = await itemsQuery;
+    
+    if (itemsError) throw itemsError;
+    
+    const clock = availabilityClock(restaurant?.settings || {}, at);
+    const categoriesById = new Map(categories.map(c => [c.id, c]));
+    categories.forEach(category => {
+        category.available_now = daypartIsOpen(category.daypart, clock);
+    });
+    let items = rows.map(item => {
+        const reason = unavailableReason(item, categoriesById.get(item.category_id), clock);
+        return { ...item, available_now: !reason, unavailable_reason: reason };
+    });
+    
+    let shownCategories = categories;
+    if (availableOnly) {
+        items = items.filter(item => item.available_now);
+        shownCategories = categories.filter(category => category.available_now);
+    }
+    
+    // Group items by category
+    const menu = shownCategories.map(category => ({
+        ...category,
+        items: items.filter(item => item.category_id === category.id)
+    }));
+    
+    return { categories: shownCategories, items, menu };
+}
+
+// 2. GET FULL MENU (with categories)
+app.get('/api/restaurants/:restaurantId/menu', async (req, res) => {
+    try {
+        const { restaurantId } = req.params;
+        const { available_only, at } = req.query;
+        
+        // ?at= shows the menu as it will be at that time, e.g. for a scheduled order
+        const menuTime = at ? new Date(at) : new Date();
+        if (isNaN(menuTime.getTime())) {
+            return res.status(400).json({ error: 'at must be an ISO date-time' });
+        }
+        
+        const { categories, items, menu } = await loadMenu(restaurantId, { availableOnly: available_only === 'true', at: menuTime });
+        
+        res.json({ 
+            success: true, 
+            menu: menu,
+            stats: {
+                total_categories: categories.length,
+                total_items: items.length,
+                available_items: items.filter(i => i.available_now).length
+            }
+        });
+        
+    } catch (err) {
+        console.error('Get menu error:', err);
+        res.status(500).json({ error: 'Failed to get menu' });
+    }
+});
+
+// ============================================
+// RESTAURANT ADMINISTRATION (onboarding, platform admins)
+// ============================================
+// Restaurants are created and configured here; the first manager account is then
+// added with POST /api/restaurants/:restaurantId/staff. Besides `settings` (merged
+// key by key, null removes a key) the API takes a few shortcuts that land in settings:
+//   timezone   IANA name, e.g. America/Barbados (reports, dayparts, promise times)
+//   currency   ISO code, e.g. BBD (online payments)
+//   tax_rate   0-1
+//   branding   { logo_url, primary_color, tagline } for the ordering page
+// An inactive restaurant keeps its staff pages (for setting up before launch)
+// but has no public ordering page and takes no orders.
+const RESTAURANT_ADMIN_FIELDS = 'id, name, slug, is_active, settings, created_at, updated_at';
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,38}[a-z0-9])?$/;
+const BRANDING_FIELDS = ['logo_url', 'primary_color', 'tagline'];
+// Keys `settings` may set; each is validated like the endpoint that owns it
+const RESTAURANT_SETTING_KEYS = ['timezone', 'currency', 'tax_rate', 'tax_inclusive', 'charges', 'discounts', 
+    'branding', 'tables', 'dayparts', 'delivery', 'scheduling', 'kitchen', 'order_number', 'default_station', 
+    'payments', 'loyalty', 'phone_country_code', 'whatsapp_number', 'whatsapp_phone_number_id'];
+
+function slugify(name) {
+    return String(name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 40)
+        .replace(/-+$/, '');
+}
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return typeof timezone === 'string';
+    } catch (err) {
+        return false;
+    }
+}
+
+function validateBranding(branding) {
+    if (branding === null) return null;
+    if (typeof branding !== 'object' || Array.isArray(branding)) return 'branding must be an object';
+    
+    const unknown = Object.keys(branding).filter(key => !BRANDING_FIELDS.includes(key));
+    if (unknown.length) return `Unknown branding field(s): ${unknown.join(', ')}`;
+    
+    const { logo_url, primary_color, tagline } = branding;
+    if (logo_url != null && !/^https?:\/\/\S+$/.test(String(logo_url))) return 'branding.logo_url must be an http(s) URL';
+    if (primary_color != null && !/^#[0-9a-f]{6}$/i.test(String(primary_color))) return 'branding.primary_color must be a hex color like #FF6B35';
+    if (tagline != null && String(tagline).length > 120) return 'branding.tagline must be at most 120 characters';
+    return null;
+}
+
+// New settings for a restaurant from a create / update body, or { error }
+function restaurantSettingsUpdate(current, body) {
+    const { settings, timezone, currency, tax_rate, branding } = body;
+    
+    if (settings !== undefined && (!settings || typeof settings !== 'object' || Array.isArray(settings))) {
+        return { error: 'settings must be an object' };
+    }
+    
+    const unknown = Object.keys(settings || {}).filter(key => !RESTAURANT_SETTING_KEYS.includes(key));
+    if (unknown.length) {
+        return { error: `Unknown setting(s): ${unknown.join(', ')}. Use: ${RESTAURANT_SETTING_KEYS.join(', ')}` };
+    }
+    
+    const updates = { ...settings };
+    if (timezone !== undefined) updates.timezone = timezone;
+    if (currency !== undefined) updates.currency = currency;
+    if (tax_rate !== undefined) updates.tax_rate = tax_rate;
+    if (branding !== undefined) updates.branding = branding && { ...current.branding, ...branding };
+    
+    if (updates.timezone != null && !isValidTimezone(updates.timezone)) {
+        return { error: 'timezone must be an IANA time zone like America/Barbados' };
+    }
+    if (updates.currency != null && !/^[A-Z]{3}$/.test(String(updates.currency).toUpperCase())) {
+        return { error: 'currency must be a 3-letter ISO code like USD' };
+    }
+    if (updates.tax_rate != null && !(typeof updates.tax_rate === 'number' && isValidTaxRate(updates.tax_rate))) {
+        return { error: 'tax_rate must be a number between 0 and 1' };
+    }
+    const brandingError = updates.branding !== undefined && validateBranding(updates.branding);
+    if (brandingError) return { error: brandingError };
+    if (updates.dayparts != null) {
+        const daypartError = validateDayparts(updates.dayparts);
+        if (daypartError) return { error: daypartError };
+    }
+    if (updates.loyalty != null) {
+        const loyaltyError = validateLoyaltySettings(updates.loyalty);
+        if (loyaltyError) return { error: loyaltyError };
+    }
+    if (updates.payments != null) {
+        const paymentsError = validatePaymentSettings(updates.payments);
+        if (paymentsError) return { error: paymentsError };
+    }
+    if (updates.phone_country_code != null && !/^[1-9][0-9]{0,2}$/.test(String(updates.phone_country_code))) {
+        return { error: 'phone_country_code must be a calling code like 1 or 44' };
+    }
+    if (updates.tables != null && !(Array.isArray(updates.tables) && updates.tables.every(t => String(t).trim() && String(t).length <= 20))) {
+        return { error: 'tables must be a list of table names (at most 20 characters each)' };
+    }
+    if (updates.tax_inclusive != null && typeof updates.tax_inclusive !== 'boolean') {
+        return { error: 'tax_inclusive must be true or false' };
+    }
+    for (const field of ['charges', 'discounts']) {
+        const rulesError = updates[field] != null && validatePricingRules(updates[field], field);
+        if (rulesError) return { error: rulesError };
+    }
+    const sectionValidators = {
+        delivery: validateDeliverySettings,
+        scheduling: validateSchedulingSettings,
+        order_number: validateOrderNumberSettings,
+        kitchen: kitchen => kitchen && typeof kitchen === 'object' && !Array.isArray(kitchen) 
+            ? validateKitchenSettings(kitchen) 
+            : 'kitchen must be an object'
+    };
+    for (const [field, validate] of Object.entries(sectionValidators)) {
+        const sectionError = updates[field] != null && validate(updates[field]);
+        if (sectionError) return { error: sectionError };
+    }
+    if (updates.default_station != null && !isValidStation(updates.default_station)) {
+        return { error: 'default_station must be a short lowercase name like kitchen' };
+    }
+    if (updates.whatsapp_number != null && !/^\+[0-9][0-9 ()-]{6,19}$/.test(String(updates.whatsapp_number))) {
+        return { error: 'whatsapp_number must be a phone number with its country code' };
+    }
+    if (updates.whatsapp_phone_number_id != null && !/^[0-9]{5,20}$/.test(String(updates.whatsapp_phone_number_id))) {
+        return { error: 'whatsapp_phone_number_id must be the numeric id Meta shows for the number' };
+    }
+    
+    if (updates.currency != null) updates.currency = String(updates.currency).toUpperCase();
+    
+    const merged = { ...current };
+    Object.entries(updates).forEach(([key, value]) => {
+        if (value === null) delete merged[key];
+        else merged[key] = value;
+    });
+    return { settings: merged };
+}
+
+// LIST RESTAURANTS (including inactive ones)
+app.get('/api/admin/restaurants', requireStaff('admin'), async (req, res) => {
+    try {
+        const { data: restaurants, error } = await supabase
+            .from('restaurants')
+            .select(RESTAURANT_ADMIN_FIELDS)
+            .order('name');
+        
+        if (error) throw error;
+        
+        res.json({ success: true, restaurants });
+        
+    } catch (err) {
+        console.error('List restaurants error:', err);
+        res.status(500).json({ error: 'Failed to list restaurants' });
+    }
+});
+
+// CREATE RESTAURANT (body: { name, slug?, timezone?, currency?, tax_rate?, branding?, settings?, is_active? })
+// New restaurants start inactive unless is_active is given, so they can be set up first
+app.post('/api/admin/restaurants', requireStaff('admin'), async (req, res) => {
+    try {
+        const body = req.body || {};
+        const name = String(body.name || '').trim();
+        const slug = body.slug === undefined ? slugify(name) : String(body.slug);
+        
+        if (!name) {
+            return res.status(400).json({ error: 'Missing required field: name' });
+        }
+        if (!SLUG_PATTERN.test(slug)) {
+            return res.status(400).json({ error: 'slug must be 1-40 lowercase letters, numbers or dashes' });
+        }
+        if (body.is_active !== undefined && typeof body.is_active !== 'boolean') {
+            return res.status(400).json({ error: 'is_active must be true or false' });
+        }
+        
+        const { settings, error: settingsError } = restaurantSettingsUpdate({}, body);
+        if (settingsError) {
+            return res.status(400).json({ error: settingsError });
+        }
+        
+        const { data: restaurant, error } = await supabase
+            .from('restaurants')
+            .insert([{ name, slug, settings, is_active: body.is_active ?? false }])
+            .select(RESTAURANT_ADMIN_FIELDS)
+            .single();
+        
+        if (error?.code === '23505') {
+            return res.status(409).json({ error: `The slug "${slug}" is already taken` });
+        }
+        if (error) throw error;
+        
+        console.log(`🏪 Restaurant created: ${restaurant.name} (/r/${restaurant.slug})`);
+        res.status(201).json({ success: true, restaurant });
+        
+    } catch (err) {
+        console.error('Create restaurant error:', err);
+        res.status(500).json({ error: 'Failed to create restaurant' });
+    }
+});
+
+// GET ONE RESTAURANT
+app.get('/api/admin/restaurants/:restaurantId', requireStaff('admin'), async (req, res) => {
+    try {
+        const { data: restaurant, error } = await supabase
+            .from('restaurants')
+            .select(RESTAURANT_ADMIN_FIELDS)
+            .eq('id', req.params.restaurantId)
+            .maybeSingle();
+        
+        if (error) throw error;
+        
+        if (!restaurant) {
+            return res.status(404).json({ error: 'Restaurant not found' });
+        }
+        
+        res.json({ success: true, restaurant });
+        
+    } catch (err) {
+        console.error('Get restaurant error:', err);
+        res.status(500).json({ error: 'Failed to get restaurant' });
+    }
+});
+
+// UPDATE RESTAURANT (same body as create; is_active: false takes it offline)
+app.put('/api/admin/restaurants/:restaurantId', requireStaff('admin'), async (req, res) => {
+    try {
+        const { restaurantId } = req.params;
+        const body = req.body || {};
+        const updates = {};
+        
+        if (body.name !== undefined) {
+            if (!String(body.name).trim()) {
+                return res.status(400).json({ error: 'Restaurant name cannot be empty' });
+            }
+            updates.name = String(body.name).trim();
+        }
+        if (body.slug !== undefined) {
+            if (!SLUG_PATTERN.test(String(body.slug))) {
+                return res.status(400).json({ error: 'slug must be 1-40 lowercase letters, numbers or dashes' });
+            }
+            updates.slug = String(body.slug);
+        }
+        if (body.is_active !== undefined) {
+            if (typeof body.is_active !== 'boolean') {
+                return res.status(400).json({ error: 'is_active must be true or false' });
+            }
+            updates.is_active = body.is_active;
+        }
+        
+        const touchesSettings = ['settings', 'timezone', 'currency', 'tax_rate', 'branding'].some(key => body[key] !== undefined);
+        if (!touchesSettings && Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'No updatable fields provided' });
+        }
+        
+        const { data: current } = await supabase
+            .from('restaurants')
+            .select('id, settings, updated_at')
+            .eq('id', restaurantId)
+            .maybeSingle();
+        
+        if (!current) {
+            return res.status(404).json({ error: 'Restaurant not found' });
+        }
+        
+        if (touchesSettings) {
+            const { settings, error: settingsError } = restaurantSettingsUpdate(current.settings || {}, body);
+            if (settingsError) {
+                return res.status(400).json({ error: settingsError });
+            }
+            updates.settings = settings;
+        }
+        
+        // Settings are rewritten whole, so refuse if someone else saved in between
+        const { data: restaurant, error } = await supabase
+            .from('restaurants')
+            .update({ ...updates, updated_at: new Date().toISOString() })
+            .eq('id', restaurantId)
+            .eq('updated_at', current.updated_at)
+            .select(RESTAURANT_ADMIN_FIELDS)
+            .maybeSingle();
+        
+        if (error?.code === '23505') {
+            return res.status(409).json({ error: `The slug "${updates.slug}" is already taken` });
+        }
+        if (error) throw error;
+        
+        if (!restaurant) {
+            return res.status(409).json({ error: 'Restaurant was changed by someone else. Reload and try again.' });
+        }
+        
+        if (updates.is_active !== undefined) {
+            console.log(`🏪 Restaurant ${restaurant.name} ${restaurant.is_active ? 'activated' : 'deactivated'}`);
+        }
+        res.json({ success: true, restaurant });
+        
+    } catch (err) {
+        console.error('Update restaurant error:', err);
+        res.status(500).json({ error: 'Failed to update restaurant' });
+    }
+});
+
+// ============================================
+// RESTAURANT PAGES (/r/:slug) & TABLE QR CODES
+// ============================================
+// Every restaurant's pages are served under its slug, with the restaurant injected
+// as window.TAPSERVE, so pages no longer hard-code an id or a server URL:
+//   /r/<slug>               customer ordering (?table=12 pre-fills dine-in)
+//   /r/<slug>/kds           kitchen display
+//   /r/<slug>/login         staff PIN login
+//   /r/<slug>/menu          menu management
+//   /r/<slug>/order-entry   counter order entry
+const TENANT_PAGES = {
+    order: 'premium-orders.html',
+    kds: 'new-kds-order.html',
+    login: 'kds-login.html',
+    menu: 'menu-management.html',
+    'order-entry': 'order-entry.html'
+};
+const QR_FORMATS = ['svg', 'png'];
+const QR_DEFAULT_SIZE = 512;
+
+// Public link to a restaurant's ordering page (absolute, for QR codes)
+function orderingUrl(req, slug, table) {
+    const base = PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+    return `${base}/r/${slug}${table ? `?table=${encodeURIComponent(table)}` : ''}`;
+}
+
+async function restaurantBySlug(slug) {
+    const { data, error } = await supabase
+        .from('restaurants')
+        .select('id, name, slug, is_active, settings')
+        .eq('slug', slug)
+        .maybeSingle();
+    
+    if (error) throw error;
+    return data;
+}
+
+app.get('/r/:slug/:page?', async (req, res) => {
+    try {
+        const file = TENANT_PAGES[req.params.page || 'order'];
+        const restaurant = file && await restaurantBySlug(req.params.slug);
+        
+        if (!restaurant || (!restaurant.is_active && file === TENANT_PAGES.order)) {
+            return res.status(404).send('Restaurant not found');
+        }
+        
+        const settings = restaurant.settings || {};
+        const tenant = {
+            restaurantId: restaurant.id,
+            slug: restaurant.slug,
+            name: restaurant.name,
+            branding: settings.branding || {},
+            whatsappNumber: settings.whatsapp_number || null,
+            tables: Array.isArray(settings.tables) ? settings.tables.map(String) : null
+        };
+        
+        // </script> inside a value must not end the injected script early
+        const script = `<script>window.TAPSERVE = ${JSON.stringify(tenant).replace(/</g, '\\u003c')};</script>`;
+        const html = await fs.promises.readFile(path.join(__dirname, 'public', file), 'utf8');
+        
+        res.type('html').send(html.replace('</head>', `${script}\n</head>`));
+        
+    } catch (err) {
+        console.error('Restaurant page error:', err);
+        res.status(500).send('Failed to load page');
+    }
+});
+
+// TABLE LIST with each table's ordering link and QR code URLs (managers, for printing)
+app.get('/api/restaurants/:restaurantId/tables', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId } = req.params;
+        
+        const { data: restaurant, error } = await supabase
+            .from('restaurants')
+            .select('slug, settings')
+            .eq('id', restaurantId)
+            .single();
+        
+        if (error) throw error;
+        
+        const tables = (restaurant.settings?.tables || []).map(String).map(table => ({
+            table,
+            order_url: orderingUrl(req, restaurant.slug, table),
+            qr_svg: `/api/restaurants/${restaurantId}/tables/${encodeURIComponent(table)}/qr?format=svg`,
+            qr_png: `/api/restaurants/${restaurantId}/tables/${encodeURIComponent(table)}/qr?format=png`
+        }));
+        
+        res.json({ success: true, tables });
+        
+    } catch (err) {
+        console.error('Get tables error:', err);
+        res.status(500).json({ error: 'Failed to get tables' });
+    }
+});
+
+// TABLE QR CODE (?format=svg|png, ?size= pixels for PNG). Public: the code only
+// holds the public ordering link, so it can be used directly in an <img>.
+app.get('/api/restaurants/:restaurantId/tables/:table/qr', async (req, res) => {
+    try {
+        const { restaurantId, table } = req.params;
+        const format = req.query.format || 'svg';
+        const size = req.query.size === undefined ? QR_DEFAULT_SIZE : parseInt(req.query.size);
+        
+        if (!QR_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${QR_FORMATS.join(', ')}` });
+        }
+        if (!(size >= 128 && size <= 2048)) {
+            return res.status(400).json({ error: 'size must be between 128 and 2048' });
+        }
+        
+        const { data: restaurant } = await supabase
+            .from('restaurants')
+            .select('slug, settings')
+            .eq('id', restaurantId)
+            .maybeSingle();
+        
+        if (!restaurant) {
+            return res.status(404).json({ error: 'Restaurant not found' });
+        }
+        
+        const tables = restaurant.settings?.tables;
+        if (table.length > 20 || (Array.isArray(tables) && !tables.map(String).includes(table))) {
+            return res.status(404).json({ error: `Unknown table: ${table}` });
+        }
+        
+        const url = orderingUrl(req, restaurant.slug, table);
+        const options = { errorCorrectionLevel: 'M', margin: 2 };
+        
+        res.set('Content-Disposition', `inline; filename="table-${table.replace(/[^A-Za-z0-9_-]/g, '_')}.${format}"`);
+        if (format === 'svg') {
+            res.type('image/svg+xml').send(await QRCode.toString(url, { ...options, type: 'svg' }));
+        } else {
+            res.type('image/png').send(await QRCode.toBuffer(url, { ...options, type: 'png', width: size }));
+        }
+        
+    } catch (err) {
+        console.error('Table QR error:', err);
+        res.status(500).json({ error: 'Failed to generate QR code' });
+    }
+});
+
+// ============================================
+// MENU MANAGEMENT (CRUD)
+// ============================================
+const MENU_ITEM_FIELDS = ['name', 'description', 'price', 'category_id', 'image_url', 'is_available', 'display_order', 'station', 'daypart', 
+    'stock_count', 'low_stock_threshold'];
+const CATEGORY_FIELDS = ['name', 'description', 'display_order', 'is_active', 'tax_rate', 'station', 'daypart'];
+
+// Copy only whitelisted fields from a request body
+function pickFields(body, fields) {
+    const picked = {};
+    fields.forEach(field => {
+        if (body[field] !== undefined) picked[field] = body[field];
+    });
+    return picked;
+}
+
+// Prices must be finite, non-negative and have at most 2 decimals
+function isValidPrice(price) {
+    const value = Number(price);
+    return typeof price !== 'boolean' && price !== '' && price !== null &&
+        Number.isFinite(value) && value >= 0 && Math.abs(Math.round(value * 100) - value * 100) < 1e-6;
+}
+
+// Category tax rates are optional overrides of restaurants.settings.tax_rate
+function isValidTaxRate(rate) {
+    return rate === undefined || rate === null || (typeof rate === 'number' && rate >= 0 && rate <= 1);
+}
+
+// Make sure a category belongs to the restaurant before items reference it
+async function categoryBelongsTo(restaurantId, categoryId) {
+    const { data } = await supabase
+        .from('menu_categories')
+        .select('id')
+        .eq('id', categoryId)
+        .eq('restaurant_id', restaurantId)
+        .maybeSingle();
+    return !!data;
+}
+
+// Notify ordering pages and admin screens about menu changes
+function broadcastMenuChange(restaurantId, action, payload) {
+    io.to(`restaurant:${restaurantId}`).to(`menu:${restaurantId}`).emit('menu_updated', {
+        restaurantId,
+        action,
+        ...payload,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Validate the item fields shared by create and update
+async function validateMenuItem(restaurantId, fields) {
+    if (fields.name !== undefined && !String(fields.name).trim()) {
+        return 'Item name cannot be empty';
+    }
+    if (fields.price !== undefined && !isValidPrice(fields.price)) {
+        return 'Price must be a non-negative amount with at most 2 decimals';
+    }
+    if (fields.is_available !== undefined && typeof fields.is_available !== 'boolean') {
+        return 'is_available must be a boolean';
+    }
+    if (!isValidStation(fields.station)) {
+        return 'station must be a short lowercase name like grill or bar, or null';
+    }
+    if (!isValidStockCount(fields.stock_count) || !isValidStockCount(fields.low_stock_threshold)) {
+        return 'stock_count and low_stock_threshold must be whole numbers of at least 0, or null';
+    }
+    if (fields.category_id !== undefined && !(await categoryBelongsTo(restaurantId, fields.category_id))) {
+        return 'Category not found for this restaurant';
+    }
+    return validateDaypartField(restaurantId, fields.daypart);
+}
+
+// CREATE MENU ITEM
+app.post('/api/restaurants/:restaurantId/menu', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId } = req.params;
+        const fields = pickFields(req.body, MENU_ITEM_FIELDS);
+        
+        if (!fields.name || fields.price === undefined || !fields.category_id) {
+            return res.status(400).json({ 
+                error: 'Missing required fields: name, price, category_id' 
+            });
+        }
+        
+        const validationError = await validateMenuItem(restaurantId, fields);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const { data: item, error } = await supabase
+            .from('menu_items')
+            .insert([{
+                ...fields,
+                name: String(fields.name).trim(),
+                price: Number(fields.price),
+                restaurant_id: restaurantId,
+                is_available: fields.is_available ?? true
+            }])
+            .select()
+            .single();
+        
+        if (error) throw error;
+        
+        console.log(`🍽️ Menu item created: ${item.name}`);
+        broadcastMenuChange(restaurantId, 'item_created', { item });
+        if (item.stock_count === 0) await syncStockAvailability(restaurantId);
+        
+        res.status(201).json({ success: true, item });
+        
+    } catch (err) {
+        console.error('Create menu item error:', err);
+        res.status(500).json({ error: 'Failed to create menu item' });
+    }
+});
+
+// BULK AVAILABILITY UPDATE
+app.post('/api/restaurants/:restaurantId/menu/bulk-availability', requireStaff('manager', 'kitchen'), async (req, res) => {
+    try {
+        const { restaurantId } = req.params;
+        const { item_ids } = req.body;
+        const { update, error: inputError } = availabilityUpdate(req.body);
+        
+        if (!Array.isArray(item_ids) || item_ids.length === 0) {
+            return res.status(400).json({ error: 'item_ids must be a non-empty array' });
+        }
+        if (inputError) {
+            return res.status(400).json({ error: inputError });
+        }
+        
+        const { data, error } = await supabase
+            .from('menu_items')
+            .update(update)
+            .eq('restaurant_id', restaurantId)
+            .in('id', item_ids)
+            .select('id');
+        
+        if (error) throw error;
+        
+        const updatedIds = data.map(i => i.id);
+        const isAvailable = update.is_available && !update.unavailable_until;
+        console.log(`📦 Bulk availability: ${updatedIds.length} items → ${update.unavailable_until ? `86 until ${update.unavailable_until}` : update.is_available}`);
+        broadcastMenuChange(restaurantId, 'availability_changed', { 
+            itemIds: updatedIds, 
+            is_available: isAvailable, 
+            until: update.unavailable_until 
+        });
+        
+        res.json({ success: true, updated_count: updatedIds.length, item_ids: updatedIds });
+        
+    } catch (err) {
+        console.error('Bulk availability error:', err);
+        res.status(500).json({ error: 'Failed to update availability' });
+    }
+});
+
+// REORDER MENU ITEMS (body: { items: [{ id, display_order }] })
+app.put('/api/restaurants/:restaurantId/menu/reorder', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId } = req.params;
+        const { items } = req.body;
+        
+        if (!Array.isArray(items) || items.some(i => !i.id || !Number.isInteger(i.display_order))) {
+            return res.status(400).json({ error: 'items must be an array of { id, display_order }' });
+        }
+        
+        const results = await Promise.all(items.map(i => supabase
+            .from('menu_items')
+            .update({ display_order: i.display_order })
+            .eq('id', i.id)
+            .eq('restaurant_id', restaurantId)
+            .select('id, display_order')
+            .maybeSingle()
+        ));
+        
+        const failed = results.find(r => r.error);
+        if (failed) throw failed.error;
+        
+        const updated = results.map(r => r.data).filter(Boolean);
+        broadcastMenuChange(restaurantId, 'items_reordered', { items: updated });
+        
+        res.json({ success: true, updated_count: updated.length, items: updated });
+        
+    } catch (err) {
+        console.error('Reorder menu error:', err);
+        res.status(500).json({ error: 'Failed to reorder menu items' });
+    }
+});
+
+// UPDATE MENU ITEM
+app.put('/api/restaurants/:restaurantId/menu/:itemId', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId, itemId } = req.params;
+        const fields = pickFields(req.body, MENU_ITEM_FIELDS);
+        
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ error: 'No updatable fields provided' });
+        }
+        
+        const validationError = await validateMenuItem(restaurantId, fields);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        if (fields.name !== undefined) fields.name = String(fields.name).trim();
+        if (fields.price !== undefined) fields.price = Number(fields.price);
+        
+        const { data: item, error } = await supabase
+            .from('menu_items')
+            .update(fields)
+            .eq('id', itemId)
+            .eq('restaurant_id', restaurantId)
+            .select()
+            .maybeSingle();
+        
+        if (error) throw error;
+        
+        if (!item) {
+            return res.status(404).json({ error: 'Menu item not found' });
+        }
+        
+        console.log(`✏️ Menu item updated: ${item.name}`);
+        broadcastMenuChange(restaurantId, 'item_updated', { item });
+        
+        // A new stock count can sell the item out or bring it back
+        if ('stock_count' in fields) await syncStockAvailability(restaurantId);
+        
+        res.json({ success: true, item });
+        
+    } catch (err) {
+        console.error('Update menu item error:', err);
+        res.status(500).json({ error: 'Failed to update menu item' });
+    }
+});
+
+// TOGGLE ITEM AVAILABILITY (or 86 it for a while with hold_minutes / until)
+app.patch('/api/restaurants/:restaurantId/menu/:itemId/availability', requireStaff('manager', 'kitchen'), async (req, res) => {
+    try {
+        const { restaurantId, itemId } = req.params;
+        const { update, error: inputError } = availabilityUpdate(req.body);
+        
+        if (inputError) {
+            return res.status(400).json({ error: inputError });
+        }
+        
+        const { data: item, error } = await supabase
+            .from('menu_items')
+            .update(update)
+            .eq('id', itemId)
+            .eq('restaurant_id', restaurantId)
+            .select()
+            .maybeSingle();
+        
+        if (error) throw error;
+        
+        if (!item) {
+            return res.status(404).json({ error: 'Menu item not found' });
+        }
+        
+        const isAvailable = item.is_available && !isHeld(item, new Date());
+        console.log(`📦 ${item.name} → ${isAvailable ? 'available' : item.unavailable_until ? `86 until ${item.unavailable_until}` : 'out of stock'}`);
+        broadcastMenuChange(restaurantId, 'availability_changed', { 
+            itemIds: [item.id], 
+            is_available: isAvailable, 
+            until: item.unavailable_until 
+        });
+        
+        res.json({ success: true, item });
+        
+    } catch (err) {
+        console.error('Toggle availability error:', err);
+        res.status(500).json({ error: 'Failed to update availability' });
+    }
+});
+
+// DELETE MENU ITEM
+app.delete('/api/restaurants/:restaurantId/menu/:itemId', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId, itemId } = req.params;
+        
+        const { data: item, error } = await supabase
+            .from('menu_items')
+            .delete()
+            .eq('id', itemId)
+            .eq('restaurant_id', restaurantId)
+            .select('id, name')
+            .maybeSingle();
+        
+        if (error) throw error;
+        
+        if (!item) {
+            return res.status(404).json({ error: 'Menu item not found' });
+        }
+        
+        console.log(`🗑️ Menu item deleted: ${item.name}`);
+        broadcastMenuChange(restaurantId, 'item_deleted', { itemId: item.id });
+        
+        res.json({ success: true, deleted: item });
+        
+    } catch (err) {
+        console.error('Delete menu item error:', err);
+        res.status(500).json({ error: 'Failed to delete menu item' });
+    }
+});
+
+// CREATE CATEGORY
+app.post('/api/restaurants/:restaurantId/categories', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId } = req.params;
+        const fields = pickFields(req.body, CATEGORY_FIELDS);
+        
+        if (!fields.name || !String(fields.name).trim()) {
+            return res.status(400).json({ error: 'Missing required field: name' });
+        }
+        
+        if (!isValidTaxRate(fields.tax_rate)) {
+            return res.status(400).json({ error: 'tax_rate must be between 0 and 1, or null for the restaurant default' });
+        }
+        
+        if (!isValidStation(fields.station)) {
+            return res.status(400).json({ error: 'station must be a short lowercase name like grill or bar, or null' });
+        }
+        
+        const daypartError = await validateDaypartField(restaurantId, fields.daypart);
+        if (daypartError) {
+            return res.status(400).json({ error: daypartError });
+        }
+        
+        const { data: category, error } = await supabase
+            .from('menu_categories')
+            .insert([{
+                ...fields,
+                name: String(fields.name).trim(),
+                restaurant_id: restaurantId,
+                is_active: fields.is_active ?? true
+            }])
+            .select()
+            .single();
+        
+        if (error) throw error;
+        
+        broadcastMenuChange(restaurantId, 'category_created', { category });
+        
+        res.status(201).json({ success: true, category });
+        
+    } catch (err) {
+        console.error('Create category error:', err);
+        res.status(500).json({ error: 'Failed to create category' });
+    }
+});
+
+// REORDER CATEGORIES (body: { categories: [{ id, display_order }] })
+app.put('/api/restaurants/:restaurantId/categories/reorder', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId } = req.params;
+        const { categories } = req.body;
+        
+        if (!Array.isArray(categories) || categories.some(c => !c.id || !Number.isInteger(c.display_order))) {
+            return res.status(400).json({ error: 'categories must be an array of { id, display_order }' });
+        }
+        
+        const results = await Promise.all(categories.map(c => supabase
+            .from('menu_categories')
+            .update({ display_order: c.display_order })
+            .eq('id', c.id)
+            .eq('restaurant_id', restaurantId)
+            .select('id, display_order')
+            .maybeSingle()
+        ));
+        
+        const failed = results.find(r => r.error);
+        if (failed) throw failed.error;
+        
+        const updated = results.map(r => r.data).filter(Boolean);
+        broadcastMenuChange(restaurantId, 'categories_reordered', { categories: updated });
+        
+        res.json({ success: true, updated_count: updated.length, categories: updated });
+        
+    } catch (err) {
+        console.error('Reorder categories error:', err);
+        res.status(500).json({ error: 'Failed to reorder categories' });
+    }
+});
+
+// UPDATE CATEGORY
+app.put('/api/restaurants/:restaurantId/categories/:categoryId', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId, categoryId } = req.params;
+        const fields = pickFields(req.body, CATEGORY_FIELDS);
+        
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ error: 'No updatable fields provided' });
+        }
+        
+        if (fields.name !== undefined && !String(fields.name).trim()) {
+            return res.status(400).json({ error: 'Category name cannot be empty' });
+        }
+        
+        if (!isValidTaxRate(fields.tax_rate)) {
+            return res.status(400).json({ error: 'tax_rate must be between 0 and 1, or null for the restaurant default' });
+        }
+        
+        if (!isValidStation(fields.station)) {
+            return res.status(400).json({ error: 'station must be a short lowercase name like grill or bar, or null' });
+        }
+        
+        const daypartError = await validateDaypartField(restaurantId, fields.daypart);
+        if (daypartError) {
+            return res.status(400).json({ error: daypartError });
+        }
+        
+        const { data: category, error } = await supabase
+            .from('menu_categories')
+            .update(fields)
+            .eq('id', categoryId)
+            .eq('restaurant_id', restaurantId)
+            .select()
+            .maybeSingle();
+        
+        if (error) throw error;
+        
+        if (!category) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+        
+        broadcastMenuChange(restaurantId, 'category_updated', { category });
+        
+        res.json({ success: true, category });
+        
+    } catch (err) {
+        console.error('Update category error:', err);
+        res.status(500).json({ error: 'Failed to update category' });
+    }
+});
+
+// DELETE CATEGORY (only when it has no items left)
+app.delete('/api/restaurants/:restaurantId/categories/:categoryId', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId, categoryId } = req.params;
+        
+        const { count, error: countError } = await supabase
+            .from('menu_items')
+            .select('id', { count: 'exact', head: true })
+            .eq('restaurant_id', restaurantId)
+            .eq('category_id', categoryId);
+        
+        if (countError) throw countError;
+        
+        if (count > 0) {
+            return res.status(409).json({ 
+                error: 'Category still has menu items. Move or delete them first.',
+                item_count: count
+            });
+        }
+        
+        const { data: category, error } = await supabase
+            .from('menu_categories')
+            .delete()
+            .eq('id', categoryId)
+            .eq('restaurant_id', restaurantId)
+            .select('id, name')
+            .maybeSingle();
+        
+        if (error) throw error;
+        
+        if (!category) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+        
+        broadcastMenuChange(restaurantId, 'category_deleted', { categoryId: category.id });
+        
+        res.json({ success: true, deleted: category });
+        
+    } catch (err) {
+        console.error('Delete category error:', err);
+        res.status(500).json({ error: 'Failed to delete category' });
+    }
+});
+
+// ============================================
+// MENU AVAILABILITY (day-parts & 86 holds)
+// ============================================
+// restaurants.settings.dayparts names the windows a category or item is offered,
+// in the restaurant's timezone:
+//   { breakfast: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '07:00', end: '11:00' }],
+//     weekends:  [{ days: ['sat', 'sun'] }] }
+// days defaults to every day and start / end to the whole day; an end before the
+// start runs past midnight. Categories and items opt in through their daypart column.
+// "86 until" holds set unavailable_until on an item or option and lapse by themselves;
+// is_available stays the manual switch.
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const AVAILABILITY_POLL_MS = 60 * 1000;
+const HOLD_MAX_MINUTES = 72 * 60;
+
+// Unavailable item / option ids last pushed per restaurant, so the job only sends changes
+const availabilitySnapshots = new Map();
+
+// "07:30" -> 450. "24:00" is allowed as an end time.
+function parseClockTime(value) {
+    const match = /^(\d{2}):(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    const minutes = parseInt(match[1]) * 60 + parseInt(match[2]);
+    return parseInt(match[2]) < 60 && minutes <= 24 * 60 ? minutes : null;
+}
+
+function validateDayparts(dayparts) {
+    if (!dayparts || typeof dayparts !== 'object' || Array.isArray(dayparts)) {
+        return 'dayparts must be an object of name: [windows]';
+    }
+    for (const [name, windows] of Object.entries(dayparts)) {
+        if (!isValidStation(name)) {
+            return `Invalid daypart name "${name}" - use a short lowercase name like breakfast`;
+        }
+        if (!Array.isArray(windows) || windows.length === 0) {
+            return `${name} needs at least one window`;
+        }
+        for (const window of windows) {
+            if (!window || typeof window !== 'object' || Array.isArray(window)) {
+                return `${name}: each window must be an object of { days?, start?, end? }`;
+            }
+            if (window.days !== undefined && (!Array.isArray(window.days) || window.days.length === 0 || 
+                window.days.some(day => !WEEKDAYS.includes(day)))) {
+                return `${name}: days must be a list of ${WEEKDAYS.join(', ')}`;
+            }
+            const start = window.start === undefined ? 0 : parseClockTime(window.start);
+            const end = window.end === undefined ? 24 * 60 : parseClockTime(window.end);
+            if (start === null || end === null || start === 24 * 60 || start === end) {
+                return `${name}: start and end must be different HH:MM times`;
+            }
+        }
+    }
+    return null;
+}
+
+// Weekday and minute of the day at a given moment, in the restaurant's timezone
+function availabilityClock(settings, at = new Date()) {
+    const format = (timeZone) => new Intl.DateTimeFormat('en-US', { 
+        timeZone, weekday: 'short', hour: 'numeric', minute: 'numeric', hourCycle: 'h23' 
+    }).formatToParts(at);
+    
+    let parts;
+    try {
+        parts = format(settings.timezone || 'UTC');
+    } catch (err) {
+        parts = format('UTC');
+    }
+    const part = type => parts.find(p => p.type === type).value;
+    
+    return {
+        at,
+        day: WEEKDAYS.indexOf(part('weekday').toLowerCase()),
+        minutes: parseInt(part('hour')) * 60 + parseInt(part('minute')),
+        dayparts: settings.dayparts || {}
+    };
+}
+
+function windowIsOpen(window, clock) {
+    const days = window.days || WEEKDAYS;
+    const start = window.start === undefined ? 0 : parseClockTime(window.start);
+    const end = window.end === undefined ? 24 * 60 : parseClockTime(window.end);
+    
+    if (start < end) {
+        return days.includes(WEEKDAYS[clock.day]) && clock.minutes >= start && clock.minutes < end;
+    }
+    // Overnight window: the late part belongs to the day it started on
+    return (days.includes(WEEKDAYS[clock.day]) && clock.minutes >= start) ||
+        (days.includes(WEEKDAYS[(clock.day + 6) % 7]) && clock.minutes < end);
+}
+
+// A daypart removed from settings no longer restricts anything
+function daypartIsOpen(name, clock) {
+    const windows = name && clock.dayparts[name];
+    return !windows || windows.some(window => windowIsOpen(window, clock));
+}
+
+function isHeld(row, at) {
+    return !!row.unavailable_until && new Date(row.unavailable_until) > at;
+}
+
+// Why an item cannot be ordered at clock.at, or null when it can
+function unavailableReason(item, category, clock) {
+    if (!item.is_available) return 'out_of_stock';
+    if (isHeld(item, clock.at)) return 'held';
+    if (!daypartIsOpen(category?.daypart, clock) || !daypartIsOpen(item.daypart, clock)) return 'outside_hours';
+    return null;
+}
+
+function optionIsAvailable(option, at = new Date()) {
+    return option.is_available && !isHeld(option, at);
+}
+
+// Body of the availability endpoints: { is_available } flips the manual switch and
+// clears any hold; { is_available: false, hold_minutes | until } 86es until then.
+function availabilityUpdate(body) {
+    const { is_available, hold_minutes, until } = body || {};
+    
+    if (typeof is_available !== 'boolean') {
+        return { error: 'is_available must be a boolean' };
+    }
+    if (hold_minutes === undefined && until === undefined) {
+        return { update: { is_available, unavailable_until: null, sold_out: false } };
+    }
+    if (is_available) {
+        return { error: 'hold_minutes and until only apply when is_available is false' };
+    }
+    
+    const holdUntil = hold_minutes !== undefined 
+        ? new Date(Date.now() + Number(hold_minutes) * 60 * 1000) 
+        : new Date(until);
+    const minutesAhead = (holdUntil.getTime() - Date.now()) / 60000;
+    
+    if (isNaN(minutesAhead) || minutesAhead <= 0 || minutesAhead > HOLD_MAX_MINUTES) {
+        return { error: `Holds must end in the future and within ${HOLD_MAX_MINUTES / 60} hours` };
+    }
+    return { update: { is_available: true, unavailable_until: holdUntil.toISOString(), sold_out: false } };
+}
+
+// Dayparts referenced by categories and items must exist in the restaurant's settings
+async function daypartExists(restaurantId, name) {
+    const { data } = await supabase
+        .from('restaurants')
+        .select('settings')
+        .eq('id', restaurantId)
+        .maybeSingle();
+    return !!data?.settings?.dayparts?.[name];
+}
+
+async function validateDaypartField(restaurantId, daypart) {
+    if (daypart === undefined || daypart === null) return null;
+    if (typeof daypart !== 'string' || !(await daypartExists(restaurantId, daypart))) {
+        return 'daypart must be the name of one of the restaurant\'s dayparts, or null';
+    }
+    return null;
+}
+
+// Options are owned through customization category -> menu item -> restaurant
+async function optionBelongsTo(restaurantId, optionId) {
+    const { data: option } = await supabase
+        .from('customization_options')
+        .select('id, category_id')
+        .eq('id', optionId)
+        .maybeSingle();
+    if (!option) return false;
+    
+    const { data: category } = await supabase
+        .from('item_customization_categories')
+        .select('menu_item_id')
+        .eq('id', option.category_id)
+        .maybeSingle();
+    if (!category) return false;
+    
+    const { data: item } = await supabase
+        .from('menu_items')
+        .select('id')
+        .eq('id', category.menu_item_id)
+        .eq('restaurant_id', restaurantId)
+        .maybeSingle();
+    return !!item;
+}
+
+// Held options with the restaurant that owns each of them
+async function heldOptions() {
+    const { data: options, error } = await supabase
+        .from('customization_options')
+        .select('id, category_id, is_available, unavailable_until')
+        .not('unavailable_until', 'is', null);
+    
+    if (error) throw error;
+    if (options.length === 0) return [];
+    
+    const { data: categories, error: catError } = await supabase
+        .from('item_customization_categories')
+        .select('id, menu_item_id')
+        .in('id', [...new Set(options.map(o => o.category_id))]);
+    
+    if (catError) throw catError;
+    
+    const { data: items, error: itemsError } = await supabase
+        .from('menu_items')
+        .select('id, restaurant_id')
+        .in('id', [...new Set(categories.map(c => c.menu_item_id))]);
+    
+    if (itemsError) throw itemsError;
+    
+    const itemRestaurants = new Map(items.map(i => [i.id, i.restaurant_id]));
+    const categoryRestaurants = new Map(categories.map(c => [c.id, itemRestaurants.get(c.menu_item_id)]));
+    return options.map(o => ({ ...o, restaurant_id: categoryRestaurants.get(o.category_id) }))
+        .filter(o => o.restaurant_id);
+}
+
+// Work out which scheduled or held items and options are unavailable right now and
+// push the ones that changed since the last run to ordering pages and staff screens.
+// Expired holds are cleared afterwards so they drop out of the next run.
+async function refreshScheduledAvailability() {
+    try {
+        const [itemsResult, categoriesResult, options] = await Promise.all([
+            supabase
+                .from('menu_items')
+                .select('id, restaurant_id, category_id, is_available, daypart, unavailable_until')
+                .or('daypart.not.is.null,unavailable_until.not.is.null'),
+            supabase
+                .from('menu_categories')
+                .select('id, restaurant_id, daypart')
+                .not('daypart', 'is', null),
+            heldOptions()
+        ]);
+        
+        if (itemsResult.error) throw itemsResult.error;
+        if (categoriesResult.error) throw categoriesResult.error;
+        
+        const scheduledCategories = new Map(categoriesResult.data.map(c => [c.id, c]));
+        let items = itemsResult.data;
+        
+        // Items without their own schedule still follow their category's
+        if (scheduledCategories.size > 0) {
+            const { data: categoryItems, error } = await supabase
+                .from('menu_items')
+                .select('id, restaurant_id, category_id, is_available, daypart, unavailable_until')
+                .in('category_id', [...scheduledCategories.keys()]);
+            
+            if (error) throw error;
+            const seen = new Set(items.map(i => i.id));
+            items = items.concat(categoryItems.filter(i => !seen.has(i.id)));
+        }
+        
+        const restaurantIds = [...new Set([
+            ...items.map(i => i.restaurant_id), 
+            ...options.map(o => o.restaurant_id),
+            ...availabilitySnapshots.keys()
+        ])];
+        if (restaurantIds.length === 0) return;
+        
+        const { data: restaurants, error } = await supabase
+            .from('restaurants')
+            .select('id, settings')
+            .in('id', restaurantIds);
+        
+        if (error) throw error;
+        
+        const now = new Date();
+        restaurants.forEach(restaurant => {
+            const clock = availabilityClock(restaurant.settings || {}, now);
+            const unavailable = new Set();
+            
+            items.filter(i => i.restaurant_id === restaurant.id).forEach(item => {
+                if (unavailableReason(item, scheduledCategories.get(item.category_id), clock)) unavailable.add(`item:${item.id}`);
+            });
+            options.filter(o => o.restaurant_id === restaurant.id).forEach(option => {
+                if (!optionIsAvailable(option, now)) unavailable.add(`option:${option.id}`);
+            });
+            
+            const previous = availabilitySnapshots.get(restaurant.id);
+            availabilitySnapshots.set(restaurant.id, unavailable);
+            
+            // First run after a restart: pages loaded the menu themselves
+            if (!previous) return;
+            
+            const changed = (set, other, prefix) => [...set]
+                .filter(key => key.startsWith(prefix) && !other.has(key))
+                .map(key => key.slice(prefix.length));
+            const pushes = [
+                ['availability_changed', 'itemIds', changed(unavailable, previous, 'item:'), false],
+                ['availability_changed', 'itemIds', changed(previous, unavailable, 'item:'), true],
+                ['option_availability_changed', 'optionIds', changed(unavailable, previous, 'option:'), false],
+                ['option_availability_changed', 'optionIds', changed(previous, unavailable, 'option:'), true]
+            ];
+            
+            pushes.forEach(([action, key, ids, isAvailable]) => {
+                if (ids.length === 0) return;
+                console.log(`🕒 ${restaurant.id}: ${ids.length} ${key === 'itemIds' ? 'items' : 'options'} now ${isAvailable ? 'available' : 'unavailable'}`);
+                broadcastMenuChange(restaurant.id, action, { [key]: ids, is_available: isAvailable, reason: 'schedule' });
+            });
+        });
+        
+        // Restaurants that no longer exist
+        availabilitySnapshots.forEach((_, restaurantId) => {
+            if (!restaurants.some(r => r.id === restaurantId)) availabilitySnapshots.delete(restaurantId);
+        });
+        
+        const expired = now.toISOString();
+        await Promise.all([
+            supabase.from('menu_items').update({ unavailable_until: null }).lt('unavailable_until', expired),
+            supabase.from('customization_options').update({ unavailable_until: null }).lt('unavailable_until', expired)
+        ]);
+        
+    } catch (err) {
+        console.error('Availability job error:', err.message || err);
+    }
+}
+
+// GET DAYPARTS (with which are open now)
+app.get('/api/restaurants/:restaurantId/dayparts', requireStaff(...STAFF_ROLES), async (req, res) => {
+    try {
+        const { restaurantId } = req.params;
+        
+        const { data: restaurant, error } = await supabase
+            .from('restaurants')
+            .select('settings')
+            .eq('id', restaurantId)
+            .single();
+        
+        if (error || !restaurant) {
+            return res.status(404).json({ error: 'Restaurant not found' });
+        }
+        
+        const clock = availabilityClock(restaurant.settings || {});
+        const dayparts = clock.dayparts;
+        const openNow = Object.keys(dayparts).filter(name => daypartIsOpen(name, clock));
+        
+        res.json({ success: true, dayparts, open_now: openNow, timezone: restaurant.settings?.timezone || 'UTC' });
+        
+    } catch (err) {
+        console.error('Get dayparts error:', err);
+        res.status(500).json({ error: 'Failed to get dayparts' });
+    }
+});
+
+// REPLACE DAYPARTS (body: { dayparts: { name: [windows] } })
+app.put('/api/restaurants/:restaurantId/dayparts', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId } = req.params;
+        const { dayparts } = req.body || {};
+        
+        const validationError = validateDayparts(dayparts);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const { data: restaurant, error: fetchError } = await supabase
+            .from('restaurants')
+            .select('settings')
+            .eq('id', restaurantId)
+            .single();
+        
+        if (fetchError || !restaurant) {
+            return res.status(404).json({ error: 'Restaurant not found' });
+        }
+        
+        const { error } = await supabase
+            .from('restaurants')
+            .update({ settings: { ...(restaurant.settings || {}), dayparts } })
+            .eq('id', restaurantId);
+        
+        if (error) throw error;
+        
+        console.log(`🕒 Dayparts updated by ${req.staff.name}: ${Object.keys(dayparts).join(', ') || 'none'}`);
+        broadcastMenuChange(restaurantId, 'dayparts_updated', { dayparts });
+        
+        res.json({ success: true, dayparts });
+        
+    } catch (err) {
+        console.error('Update dayparts error:', err);
+        res.status(500).json({ error: 'Failed to update dayparts' });
+    }
+});
+
+// TOGGLE / HOLD CUSTOMIZATION OPTION AVAILABILITY
+app.patch('/api/restaurants/:restaurantId/customization-options/:optionId/availability', requireStaff('manager', 'kitchen'), async (req, res) => {
+    try {
+        const { restaurantId, optionId } = req.params;
+        const { update, error: inputError } = availabilityUpdate(req.body);
+        
+        if (inputError) {
+            return res.status(400).json({ error: inputError });
+        }
+        
+        if (!(await optionBelongsTo(restaurantId, optionId))) {
+            return res.status(404).json({ error: 'Customization option not found' });
+        }
+        
+        const { data: option, error } = await supabase
+            .from('customization_options')
+            .update(update)
+            .eq('id', optionId)
+            .select()
+            .single();
+        
+        if (error) throw error;
+        
+        const isAvailable = optionIsAvailable(option);
+        console.log(`📦 Option ${option.name} → ${isAvailable ? 'available' : option.unavailable_until ? `86 until ${option.unavailable_until}` : 'out of stock'}`);
+        broadcastMenuChange(restaurantId, 'option_availability_changed', { 
+            optionIds: [option.id], 
+            is_available: isAvailable, 
+            until: option.unavailable_until 
+        });
+        
+        res.json({ success: true, option });
+        
+    } catch (err) {
+        console.error('Toggle option availability error:', err);
+        res.status(500).json({ error: 'Failed to update availability' });
+    }
+});
+
+// ============================================
+// INVENTORY (stock counts, recipes, low-stock alerts)
+// ============================================
+// menu_items.stock_count counts ready-made portions (null = not tracked). Ingredients
+// keep a stock level in their own unit and are used through the recipe_lines of items
+// and customization options. Orders take their stock inside the create_order
+// transaction, so they can never oversell; sync_stock_availability then switches
+// sold-out items off and restocked ones back on. Managers get a low_stock event when
+// a level falls to its low_stock_threshold (or to zero when there is none).
+// Orders cancelled before the kitchen started on them give their stock back.
+const INGREDIENT_FIELDS = ['name', 'unit', 'low_stock_threshold'];
+const MAX_RECIPE_LINES = 30;
+const STOCK_RETURN_STATUSES = ['pending_payment', 'new', 'confirmed'];
+
+function isValidStockCount(value) {
+    return value === undefined || value === null || (Number.isInteger(value) && value >= 0);
+}
+
+function isValidStockLevel(value) {
+    return value === undefined || value === null || (typeof value === 'number' && Number.isFinite(value) && value >= 0);
+}
+
+// numeric(12, 3) in the database
+function roundStock(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+// Stock an order needs: tracked items plus ingredients from item and option recipes,
+// sorted by id for the RPC. shortages names what the current levels cannot cover.
+async function planStockUsage(restaurantId, calculatedItems, menuItems) {
+    const itemQuantities = new Map();
+    const optionQuantities = new Map();
+    const optionNames = new Map();
+    
+    calculatedItems.forEach(line => {
+        itemQuantities.set(line.id, (itemQuantities.get(line.id) || 0) + line.quantity);
+        line.customizations.forEach(c => {
+            optionQuantities.set(c.id, (optionQuantities.get(c.id) || 0) + line.quantity);
+            optionNames.set(c.id, c.name);
+        });
+    });
+    
+    const recipeFilters = [`menu_item_id.in.(${[...itemQuantities.keys()].join(',')})`];
+    if (optionQuantities.size > 0) {
+        recipeFilters.push(`customization_option_id.in.(${[...optionQuantities.keys()].join(',')})`);
+    }
+    
+    const { data: recipeLines, error } = await supabase
+        .from('recipe_lines')
+        .select('ingredient_id, menu_item_id, customization_option_id, quantity, ingredients(id, name, unit, stock)')
+        .eq('restaurant_id', restaurantId)
+        .or(recipeFilters.join(','));
+    
+    if (error) throw error;
+    
+    // What customers see when a stock row runs short: the items and options using it
+    const affected = new Map();
+    const addAffected = (stockId, name) => affected.set(stockId, [...new Set([...(affected.get(stockId) || []), name])]);
+    const needs = new Map();
+    
+    recipeLines.forEach(line => {
+        const portions = line.menu_item_id 
+            ? itemQuantities.get(line.menu_item_id) 
+            : optionQuantities.get(line.customization_option_id);
+        const need = needs.get(line.ingredient_id) || { ingredient: line.ingredients, quantity: 0 };
+        need.quantity = roundStock(need.quantity + Number(line.quantity) * portions);
+        needs.set(line.ingredient_id, need);
+        addAffected(line.ingredient_id, line.menu_item_id 
+            ? menuItems.find(m => m.id === line.menu_item_id).name 
+            : optionNames.get(line.customization_option_id));
+    });
+    
+    const trackedItems = menuItems.filter(m => m.stock_count !== null && m.stock_count !== undefined);
+    trackedItems.forEach(m => addAffected(m.id, m.name));
+    
+    const byId = (a, b) => (a.id < b.id ? -1 : 1);
+    const usage = {
+        items: trackedItems.map(m => ({ id: m.id, quantity: itemQuantities.get(m.id) })).sort(byId),
+        ingredients: [...needs.values()].map(n => ({ id: n.ingredient.id, quantity: n.quantity })).sort(byId)
+    };
+    
+    const shortIds = [
+        ...trackedItems.filter(m => m.stock_count < itemQuantities.get(m.id)).map(m => m.id),
+        ...[...needs.values()].filter(n => Number(n.ingredient.stock) < n.quantity).map(n => n.ingredient.id)
+    ];
+    
+    return {
+        usage: usage.items.length > 0 || usage.ingredients.length > 0 ? usage : null,
+        shortages: [...new Set(shortIds.flatMap(id => affected.get(id)))],
+        affected
+    };
+}
+
+// Managers (and admins) of a restaurant, wherever they are in the app
+function managerRoom(restaurantId) {
+    return `restaurant:${restaurantId}:managers`;
+}
+
+// Switch sold-out items and options off (and restocked ones on), then tell every screen
+async function syncStockAvailability(restaurantId) {
+    const { data: changes, error } = await supabase.rpc('sync_stock_availability', { p_restaurant_id: restaurantId });
+    
+    if (error) throw error;
+    
+    const pushes = [
+        ['availability_changed', 'itemIds', changes.items_off, false],
+        ['availability_changed', 'itemIds', changes.items_on, true],
+        ['option_availability_changed', 'optionIds', changes.options_off, false],
+        ['option_availability_changed', 'optionIds', changes.options_on, true]
+    ];
+    
+    pushes.forEach(([action, key, ids, isAvailable]) => {
+        if (!ids || ids.length === 0) return;
+        console.log(`📦 ${ids.length} ${key === 'itemIds' ? 'items' : 'options'} ${isAvailable ? 'back in stock' : 'sold out'}`);
+        broadcastMenuChange(restaurantId, action, { [key]: ids, is_available: isAvailable, reason: 'stock' });
+    });
+    
+    return changes;
+}
+
+// Alert managers about stock rows that just fell to their threshold.
+// used maps each row id to how much was just taken from it.
+async function alertLowStock(restaurantId, used) {
+    const ids = [...used.keys()];
+    if (ids.length === 0) return;
+    
+    const [ingredientsResult, itemsResult] = await Promise.all([
+        supabase
+            .from('ingredients')
+            .select('id, name, unit, stock, low_stock_threshold')
+            .eq('restaurant_id', restaurantId)
+            .in('id', ids),
+        supabase
+            .from('menu_items')
+            .select('id, name, stock_count, low_stock_threshold')
+            .eq('restaurant_id', restaurantId)
+            .in('id', ids)
+    ]);
+    
+    if (ingredientsResult.error) throw ingredientsResult.error;
+    if (itemsResult.error) throw itemsResult.error;
+    
+    const levels = [
+        ...ingredientsResult.data.map(i => ({ type: 'ingredient', id: i.id, name: i.name, unit: i.unit, level: Number(i.stock), threshold: i.low_stock_threshold })),
+        ...itemsResult.data.map(i => ({ type: 'item', id: i.id, name: i.name, unit: 'portion', level: i.stock_count, threshold: i.low_stock_threshold }))
+    ];
+    
+    const alerts = levels.filter(row => {
+        if (row.level === null) return false;
+        const threshold = Number(row.threshold ?? 0);
+        const before = row.level + used.get(row.id);
+        // Crossed the threshold, or ran out completely
+        return (row.level <= threshold && before > threshold) || (row.level <= 0 && before > 0);
+    }).map(row => ({ ...row, threshold: row.threshold === null ? null : Number(row.threshold), out: row.level <= 0 }));
+    
+    if (alerts.length === 0) return;
+    
+    console.log(`⚠️ Low stock: ${alerts.map(a => `${a.name} (${a.level})`).join(', ')}`);
+    io.to(managerRoom(restaurantId)).emit('low_stock', {
+        restaurantId,
+        alerts,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// After an order took stock. Failures here never fail the order.
+async function afterStockTaken(restaurantId, usage) {
+    try {
+        await syncStockAvailability(restaurantId);
+        await alertLowStock(restaurantId, new Map([...usage.items, ...usage.ingredients].map(row => [row.id, row.quantity])));
+    } catch (err) {
+        console.error('Stock follow-up error:', err.message || err);
+    }
+}
+
+// Give back the stock a cancelled order took. stock_usage is cleared first, so the
+// stock is only returned once however often this runs. Failures never fail the cancel.
+async function releaseOrderStock(order) {
+    if (!order.stock_usage) return;
+    
+    try {
+        const { data: claimed, error: claimError } = await supabase
+            .from('orders')
+            .update({ stock_usage: null })
+            .eq('id', order.id)
+            .not('stock_usage', 'is', null)
+            .select('id')
+            .maybeSingle();
+        
+        if (claimError) throw claimError;
+        if (!claimed) return;
+        
+        const { error } = await supabase.rpc('release_stock', { p_restaurant_id: order.restaurant_id, p_stock: order.stock_usage });
+        if (error) throw error;
+        
+        console.log(`📦 Stock returned for cancelled order ${order.order_number}`);
+        await syncStockAvailability(order.restaurant_id);
+    } catch (err) {
+        console.error(`❌ Stock release failed for order ${order.order_number}:`, err.message || err);
+    }
+}
+
+// Recipe lines must use the restaurant's own ingredients
+async function validateRecipeLines(restaurantId, lines) {
+    if (!Array.isArray(lines) || lines.length > MAX_RECIPE_LINES) {
+        return `lines must be an array of at most ${MAX_RECIPE_LINES} { ingredient_id, quantity }`;
+    }
+    if (lines.some(line => !line.ingredient_id || typeof line.quantity !== 'number' || !(line.quantity > 0))) {
+        return 'Each line needs an ingredient_id and a quantity above 0';
+    }
+    
+    const ingredientIds = [...new Set(lines.map(line => line.ingredient_id))];
+    if (ingredientIds.length !== lines.length) {
+        return 'Each ingredient can only appear once';
+    }
+    
+    const { data, error } = await supabase
+        .from('ingredients')
+        .select('id')
+        .eq('restaurant_id', restaurantId)
+        .in('id', ingredientIds);
+    
+    if (error) throw error;
+    return data.length === ingredientIds.length ? null : 'Ingredient not found for this restaurant';
+}
+
+// Replace the recipe of one item or option. owner is { menu_item_id } or { customization_option_id }.
+async function replaceRecipe(restaurantId, owner, lines) {
+    const [column, id] = Object.entries(owner)[0];
+    
+    const { error: deleteError } = await supabase
+        .from('recipe_lines')
+        .delete()
+        .eq('restaurant_id', restaurantId)
+        .eq(column, id);
+    
+    if (deleteError) throw deleteError;
+    if (lines.length === 0) return [];
+    
+    const { data, error } = await supabase
+        .from('recipe_lines')
+        .insert(lines.map(line => ({
+            restaurant_id: restaurantId,
+            ingredient_id: line.ingredient_id,
+            quantity: roundStock(line.quantity),
+            ...owner
+        })))
+        .select('id, ingredient_id, quantity');
+    
+    if (error) throw error;
+    return data;
+}
+
+// GET STOCK LEVELS (ingredients, tracked items and recipes)
+app.get('/api/restaurants/:restaurantId/inventory', requireStaff('manager', 'kitchen'), async (req, res) => {
+    try {
+        const { restaurantId } = req.params;
+        
+        const [ingredientsResult, itemsResult, recipesResult] = await Promise.all([
+            supabase
+                .from('ingredients')
+                .select('*')
+                .eq('restaurant_id', restaurantId)
+                .order('name'),
+            supabase
+                .from('menu_items')
+                .select('id, name, stock_count, low_stock_threshold, is_available, sold_out')
+                .eq('restaurant_id', restaurantId)
+                .not('stock_count', 'is', null)
+                .order('name'),
+            supabase
+                .from('recipe_lines')
+                .select('id, ingredient_id, menu_item_id, customization_option_id, quantity')
+                .eq('restaurant_id', restaurantId)
+        ]);
+        
+        if (ingredientsResult.error) throw ingredientsResult.error;
+        if (itemsResult.error) throw itemsResult.error;
+        if (recipesResult.error) throw recipesResult.error;
+        
+        const isLow = (level, threshold) => level !== null && level <= Number(threshold ?? 0);
+        
+        res.json({
+            success: true,
+            ingredients: ingredientsResult.data.map(i => ({ ...i, low: isLow(Number(i.stock), i.low_stock_threshold) })),
+            items: itemsResult.data.map(i => ({ ...i, low: isLow(i.stock_count, i.low_stock_threshold) })),
+            recipes: recipesResult.data
+        });
+        
+    } catch (err) {
+        console.error('Get inventory error:', err);
+        res.status(500).json({ error: 'Failed to get inventory' });
+    }
+});
+
+// ADJUST STOCK (body: { ingredient_id | menu_item_id, delta | stock })
+app.post('/api/restaurants/:restaurantId/inventory/adjust', requireStaff('manager', 'kitchen'), async (req, res) => {
+    try {
+        const { restaurantId } = req.params;
+        const { ingredient_id, menu_item_id, delta, stock } = req.body || {};
+        
+        if (!ingredient_id === !menu_item_id) {
+            return res.status(400).json({ error: 'Provide either ingredient_id or menu_item_id' });
+        }
+        if ((delta === undefined) === (stock === undefined)) {
+            return res.status(400).json({ error: 'Provide either delta or stock' });
+        }
+        if (delta !== undefined && (typeof delta !== 'number' || !Number.isFinite(delta) || delta === 0)) {
+            return res.status(400).json({ error: 'delta must be a non-zero number' });
+        }
+        if (stock !== undefined && !isValidStockLevel(stock)) {
+            return res.status(400).json({ error: 'stock must be a number of at least 0' });
+        }
+        if (menu_item_id && ![delta, stock].every(v => v === undefined || Number.isInteger(v))) {
+            return res.status(400).json({ error: 'Item stock is counted in whole portions' });
+        }
+        
+        const { data: level, error } = await supabase.rpc('adjust_stock', {
+            p_restaurant_id: restaurantId,
+            p_ingredient_id: ingredient_id || null,
+            p_menu_item_id: menu_item_id || null,
+            p_delta: delta ?? null,
+            p_stock: stock ?? null
+        });
+        
+        if (error?.message?.includes('stock_not_found')) {
+            return res.status(404).json({ error: ingredient_id ? 'Ingredient not found' : 'Menu item not found' });
+        }
+        if (error?.code === '23514') {
+            return res.status(409).json({ error: 'Stock cannot go below zero' });
+        }
+        if (error) throw error;
+        
+        const id = ingredient_id || menu_item_id;
+        console.log(`📦 Stock ${delta !== undefined ? `${delta > 0 ? '+' : ''}${delta}` : `set to ${stock}`} → ${level} by ${req.staff.name}`);
+        
+        await syncStockAvailability(restaurantId);
+        if (delta < 0) await alertLowStock(restaurantId, new Map([[id, -delta]]));
+        
+        res.json({ success: true, id, stock: Number(level) });
+        
+    } catch (err) {
+        console.error('Adjust stock error:', err);
+        res.status(500).json({ error: 'Failed to adjust stock' });
+    }
+});
+
+// CREATE INGREDIENT
+app.post('/api/restaurants/:restaurantId/ingredients', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId } = req.params;
+        const fields = pickFields(req.body, INGREDIENT_FIELDS);
+        const stock = req.body.stock ?? 0;
+        
+        if (!fields.name || !String(fields.name).trim()) {
+            return res.status(400).json({ error: 'Missing required field: name' });
+        }
+        if (!isValidStockLevel(stock) || stock === null || !isValidStockLevel(fields.low_stock_threshold)) {
+            return res.status(400).json({ error: 'stock and low_stock_threshold must be numbers of at least 0' });
+        }
+        
+        const { data: ingredient, error } = await supabase
+            .from('ingredients')
+            .insert([{
+                ...fields,
+                name: String(fields.name).trim(),
+                stock: roundStock(stock),
+                restaurant_id: restaurantId
+            }])
+            .select()
+            .single();
+        
+        if (error?.code === '23505') {
+            return res.status(409).json({ error: 'An ingredient with this name already exists' });
+        }
+        if (error) throw error;
+        
+        console.log(`🥕 Ingredient created: ${ingredient.name}`);
+        res.status(201).json({ success: true, ingredient });
+        
+    } catch (err) {
+        console.error('Create ingredient error:', err);
+        res.status(500).json({ error: 'Failed to create ingredient' });
+    }
+});
+
+// UPDATE INGREDIENT (stock changes go through /inventory/adjust)
+app.put('/api/restaurants/:restaurantId/ingredients/:ingredientId', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId, ingredientId } = req.params;
+        const fields = pickFields(req.body, INGREDIENT_FIELDS);
+        
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ error: 'No updatable fields provided' });
+        }
+        if (fields.name !== undefined && !String(fields.name).trim()) {
+            return res.status(400).json({ error: 'Ingredient name cannot be empty' });
+        }
+        if (!isValidStockLevel(fields.low_stock_threshold)) {
+            return res.status(400).json({ error: 'low_stock_threshold must be a number of at least 0, or null' });
+        }
+        
+        if (fields.name !== undefined) fields.name = String(fields.name).trim();
+        
+        const { data: ingredient, error } = await supabase
+            .from('ingredients')
+            .update({ ...fields, updated_at: new Date().toISOString() })
+            .eq('id', ingredientId)
+            .eq('restaurant_id', restaurantId)
+            .select()
+            .maybeSingle();
+        
+        if (error?.code === '23505') {
+            return res.status(409).json({ error: 'An ingredient with this name already exists' });
+        }
+        if (error) throw error;
+        
+        if (!ingredient) {
+            return res.status(404).json({ error: 'Ingredient not found' });
+        }
+        
+        res.json({ success: true, ingredient });
+        
+    } catch (err) {
+        console.error('Update ingredient error:', err);
+        res.status(500).json({ error: 'Failed to update ingredient' });
+    }
+});
+
+// DELETE INGREDIENT (its recipe lines go with it)
+app.delete('/api/restaurants/:restaurantId/ingredients/:ingredientId', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId, ingredientId } = req.params;
+        
+        const { data: ingredient, error } = await supabase
+            .from('ingredients')
+            .delete()
+            .eq('id', ingredientId)
+            .eq('restaurant_id', restaurantId)
+            .select('id, name')
+            .maybeSingle();
+        
+        if (error) throw error;
+        
+        if (!ingredient) {
+            return res.status(404).json({ error: 'Ingredient not found' });
+        }
+        
+        // Items that were only sold out because of this ingredient come back
+        await syncStockAvailability(restaurantId);
+        
+        console.log(`🗑️ Ingredient deleted: ${ingredient.name}`);
+        res.json({ success: true, deleted: ingredient });
+        
+    } catch (err) {
+        console.error('Delete ingredient error:', err);
+        res.status(500).json({ error: 'Failed to delete ingredient' });
+    }
+});
+
+// SET MENU ITEM RECIPE (body: { lines: [{ ingredient_id, quantity }] }, quantity per portion)
+app.put('/api/restaurants/:restaurantId/menu/:itemId/recipe', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId, itemId } = req.params;
+        const { lines } = req.body || {};
+        
+        const validationError = await validateRecipeLines(restaurantId, lines);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const { data: item } = await supabase
+            .from('menu_items')
+            .select('id, name')
+            .eq('id', itemId)
+            .eq('restaurant_id', restaurantId)
+            .maybeSingle();
+        
+        if (!item) {
+            return res.status(404).json({ error: 'Menu item not found' });
+        }
+        
+        const recipe = await replaceRecipe(restaurantId, { menu_item_id: itemId }, lines);
+        await syncStockAvailability(restaurantId);
+        
+        console.log(`📋 Recipe for ${item.name}: ${recipe.length} ingredients`);
+        res.json({ success: true, recipe });
+        
+    } catch (err) {
+        console.error('Set recipe error:', err);
+        res.status(500).json({ error: 'Failed to save recipe' });
+    }
+});
+
+// SET CUSTOMIZATION OPTION RECIPE (quantity per selection)
+app.put('/api/restaurants/:restaurantId/customization-options/:optionId/recipe', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId, optionId } = req.params;
+        const { lines } = req.body || {};
+        
+        const validationError = await validateRecipeLines(restaurantId, lines);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        if (!(await optionBelongsTo(restaurantId, optionId))) {
+            return res.status(404).json({ error: 'Customization option not found' });
+        }
+        
+        const recipe = await replaceRecipe(restaurantId, { customization_option_id: optionId }, lines);
+        await syncStockAvailability(restaurantId);
+        
+        res.json({ success: true, recipe });
+        
+    } catch (err) {
+        console.error('Set option recipe error:', err);
+        res.status(500).json({ error: 'Failed to save recipe' });
+    }
+});
+
+// ============================================
+// PROMO CODE MANAGEMENT
+// ============================================
+const PROMO_FIELDS = ['code', 'description', 'discount_type', 'discount_value', 'min_subtotal', 
+    'order_types', 'starts_at', 'expires_at', 'max_uses', 'is_active'];
+
+function validatePromoFields(fields) {
+    if (fields.code !== undefined) {
+        fields.code = String(fields.code).trim().toUpperCase();
+        if (!/^[A-Z0-9_-]{3,32}$/.test(fields.code)) {
+            return 'code must be 3-32 letters, digits, dashes or underscores';
+        }
+    }
+    if (fields.discount_type !== undefined && !['percentage', 'fixed'].includes(fields.discount_type)) {
+        return 'discount_type must be percentage or fixed';
+    }
+    if (fields.discount_value !== undefined) {
+        const value = Number(fields.discount_value);
+        const type = fields.discount_type;
+        if (!(value > 0) || (type === 'percentage' && value > 1) || (type === 'fixed' && !isValidPrice(value))) {
+            return 'discount_value must be a fraction (0-1] for percentage or an amount for fixed';
+        }
+    }
+    if (fields.min_subtotal !== undefined && fields.min_subtotal !== null && !isValidPrice(fields.min_subtotal)) {
+        return 'min_subtotal must be a valid amount';
+    }
+    if (fields.max_uses !== undefined && fields.max_uses !== null && !(Number.isInteger(fields.max_uses) && fields.max_uses > 0)) {
+        return 'max_uses must be a positive whole number';
+    }
+    if (fields.order_types !== undefined && fields.order_types !== null && !Array.isArray(fields.order_types)) {
+        return 'order_types must be an array';
+    }
+    for (const field of ['starts_at', 'expires_at']) {
+        if (fields[field] && isNaN(new Date(fields[field]).getTime())) {
+            return `${field} must be a valid date`;
+        }
+    }
+    return null;
+}
+
+// 1. LIST PROMO CODES
+app.get('/api/restaurants/:restaurantId/promo-codes', requireStaff('manager'), async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('promo_codes')
+            .select('*')
+            .eq('restaurant_id', req.params.restaurantId)
+            .order('created_at', { ascending: false });
+        
+        if (error) throw error;
+        
+        res.json({ success: true, promo_codes: data });
+        
+    } catch (err) {
+        console.error('List promo codes error:', err);
+        res.status(500).json({ error: 'Failed to get promo codes' });
+    }
+});
+
+// 2. CREATE PROMO CODE
+app.post('/api/restaurants/:restaurantId/promo-codes', requireStaff('manager'), async (req, res) => {
+    try {
+        const fields = pickFields(req.body, PROMO_FIELDS);
+        
+        if (!fields.code || !fields.discount_type || fields.discount_value === undefined) {
+            return res.status(400).json({ error: 'Missing required fields: code, discount_type, discount_value' });
+        }
+        
+        const validationError = validatePromoFields(fields);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const { data: promo, error } = await supabase
+            .from('promo_codes')
+            .insert([{ ...fields, restaurant_id: req.params.restaurantId }])
+            .select()
+            .single();
+        
+        if (error?.code === '23505') {
+            return res.status(409).json({ error: 'A promo code with this code already exists' });
+        }
+        if (error) throw error;
+        
+        console.log(`🏷️ Promo code created: ${promo.code}`);
+        res.status(201).json({ success: true, promo_code: promo });
+        
+    } catch (err) {
+        console.error('Create promo code error:', err);
+        res.status(500).json({ error: 'Failed to create promo code' });
+    }
+});
+
+// 3. UPDATE / DEACTIVATE PROMO CODE
+app.patch('/api/restaurants/:restaurantId/promo-codes/:promoId', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId, promoId } = req.params;
+        const fields = pickFields(req.body, PROMO_FIELDS);
+        
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ error: 'No updatable fields provided' });
+        }
+        
+        const { data: existing, error: fetchError } = await supabase
+            .from('promo_codes')
+            .select('*')
+            .eq('id', promoId)
+            .eq('restaurant_id', restaurantId)
+            .maybeSingle();
+        
+        if (fetchError) throw fetchError;
+        
+        if (!existing) {
+            return res.status(404).json({ error: 'Promo code not found' });
+        }
+        
+        // Check the promo as it will be saved, so a new value is held to the stored type and vice versa
+        const merged = { ...existing, ...fields };
+        const validationError = validatePromoFields(merged);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        if (fields.code !== undefined) fields.code = merged.code;
+        
+        const { data: promo, error } = await supabase
+            .from('promo_codes')
+            .update(fields)
+            .eq('id', promoId)
+            .eq('restaurant_id', restaurantId)
+            .select()
+            .maybeSingle();
+        
+        if (error) throw error;
+        
+        if (!promo) {
+            return res.status(404).json({ error: 'Promo code not found' });
+        }
+        
+        res.json({ success: true, promo_code: promo });
+        
+    } catch (err) {
+        console.error('Update promo code error:', err);
+        res.status(500).json({ error: 'Failed to update promo code' });
+    }
+});
+
+// ============================================
+// ORDER STATUS LIFECYCLE
+// ============================================
+// new → confirmed → preparing → ready → completed, plus cancelled, refunded and recalled.
+// A KDS may start an order straight from "new"; that counts as confirming it.
+// pending_payment orders only become "new" through the payment webhook; staff can only cancel them.
+const ORDER_TRANSITIONS = {
+    pending_payment: ['cancelled'],
+    new: ['confirmed', 'preparing', 'cancelled'],
+    confirmed: ['preparing', 'cancelled'],
+    preparing: ['ready', 'cancelled'],
+    ready: ['completed', 'recalled', 'cancelled'],
+    completed: ['recalled', 'refunded'],
+    recalled: ['preparing', 'ready', 'cancelled'],
+    cancelled: ['refunded'],
+    refunded: []
+};
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Statuses only some roles may set, and statuses that need a reason for the audit trail
+const TRANSITION_ROLES = {
+    cancelled: ['cashier', 'manager'],
+    refunded: ['manager']
+};
+const REASON_REQUIRED = ['cancelled', 'refunded', 'recalled'];
+
+function canTransition(from, to) {
+    return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+// Append an entry to order_status_history. Failures are logged, not thrown,
+// so an audit hiccup never blocks the kitchen.
+async function recordStatusChange(order, fromStatus, toStatus, actor, reason) {
+    const { error } = await supabase
+        .from('order_status_history')
+        .insert([{
+            order_id: order.id,
+            restaurant_id: order.restaurant_id,
+            from_status: fromStatus,
+            to_status: toStatus,
+            actor_id: actor?.staff_id || null,
+            actor_name: actor?.name || 'customer',
+            actor_role: actor?.role || 'customer',
+            reason: reason || null
+        }]);
+    
+    if (error) {
+        console.error(`❌ Status history insert failed for ${order.id}:`, error.message);
+    }
+}
+
+// ============================================
+// ORDER NUMBERS
+// ============================================
+// Configured in restaurants.settings.order_number:
+//   { prefix: 'UD', reset: 'daily' | 'never', pad: 3, day_start_hour: 4 }
+// settings.timezone decides when the business day rolls over.
+
+// "2026-10-19" for the restaurant's current business day. Orders placed before
+// day_start_hour (e.g. 2am on a late shift) still belong to the previous day.
+function businessDate(timezone, dayStartHour = 0, now = new Date()) {
+    const shifted = new Date(now.getTime() - dayStartHour * 60 * 60 * 1000);
+    try {
+        return new Intl.DateTimeFormat('en-CA', { timeZone: timezone || 'UTC' }).format(shifted);
+    } catch (e) {
+        console.error(`⚠️ Invalid timezone "${timezone}", using UTC`);
+        return new Intl.DateTimeFormat('en-CA', { timeZone: 'UTC' }).format(shifted);
+    }
+}
+
+function defaultOrderPrefix(restaurantName) {
+    const initials = (restaurantName || '')
+        .split(/\s+/)
+        .map(word => word.replace(/[^a-z0-9]/gi, '').charAt(0))
+        .join('')
+        .toUpperCase();
+    return initials.slice(0, 3) || 'ORD';
+}
+
+function validateOrderNumberSettings(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) return 'order_number must be an object';
+    
+    const { prefix, reset, pad, day_start_hour } = config;
+    if (prefix !== undefined && !(typeof prefix === 'string' && /^[A-Za-z0-9-]{0,10}$/.test(prefix))) {
+        return 'order_number.prefix must be up to 10 letters, digits or dashes';
+    }
+    if (reset !== undefined && !['daily', 'never'].includes(reset)) return 'order_number.reset must be daily or never';
+    if (pad !== undefined && !(Number.isInteger(pad) && pad >= 1 && pad <= 8)) return 'order_number.pad must be a whole number from 1 to 8';
+    if (day_start_hour !== undefined && !(Number.isInteger(day_start_hour) && day_start_hour >= 0 && day_start_hour <= 23)) {
+        return 'order_number.day_start_hour must be a whole number from 0 to 23';
+    }
+    return null;
+}
+
+// Counter period and formatting for the next order number. The number itself is
+// reserved inside the create_order RPC (next_order_number increments the counter
+// row under a lock), so two orders can never share a number.
+function orderNumberConfig(restaurant) {
+    const settings = restaurant.settings || {};
+    const config = settings.order_number || {};
+    const date = businessDate(settings.timezone, config.day_start_hour || 0);
+    
+    return {
+        businessDate: date,
+        period: config.reset === 'never' ? 'all' : date,
+        prefix: config.prefix ?? defaultOrderPrefix(restaurant.name),
+        pad: config.pad || 3
+    };
+}
+
+// ============================================
+// CUSTOMIZATION RULES
+// ============================================
+// Each selected option must belong to one of the item's item_customization_categories
+// and be available (not switched off or on an 86 hold). Per category: is_required, selection_type ('single' | 'multiple'),
+// and optional min_selections / max_selections.
+
+function customizationLimits(category) {
+    const min = Math.max(category.min_selections || 0, category.is_required ? 1 : 0);
+    const max = category.selection_type === 'single' ? 1 : (category.max_selections || Infinity);
+    return { min, max };
+}
+
+// Load the categories and options for every ordered item in two queries, then check
+// each line item. Returns { violations, optionsById } - violations is empty when valid.
+async function validateCustomizations(orderItems, menuItems, at = new Date()) {
+    const itemIds = menuItems.map(m => m.id);
+    
+    const { data: categories, error: catError } = await supabase
+        .from('item_customization_categories')
+        .select('*')
+        .in('menu_item_id', itemIds);
+    
+    if (catError) throw catError;
+    
+    const categoryIds = categories.map(c => c.id);
+    let options = [];
+    
+    if (categoryIds.length > 0) {
+        const { data, error: optError } = await supabase
+            .from('customization_options')
+            .select('id, name, price, category_id, is_available, unavailable_until')
+            .in('category_id', categoryIds);
+        
+        if (optError) throw optError;
+        options = data;
+    }
+    
+    const optionsById = new Map(options.map(o => [o.id, o]));
+    const violations = [];
+    
+    orderItems.forEach((orderItem, index) => {
+        const menuItem = menuItems.find(m => m.id === orderItem.id);
+        if (!menuItem) return;
+        
+        const itemCategories = categories.filter(c => c.menu_item_id === menuItem.id);
+        const violation = (code, message, extra = {}) => violations.push({
+            item_index: index,
+            item_id: menuItem.id,
+            item_name: menuItem.name,
+            code,
+            message,
+            ...extra
+        });
+        
+        const selected = orderItem.customizations ?? [];
+        if (!Array.isArray(selected) || selected.some(c => !c || typeof c !== 'object')) {
+            violation('invalid_customizations', 'customizations must be a list of { id } objects');
+            return;
+        }
+        const selectedIds = selected.map(c => c.id);
+        
+        if (new Set(selectedIds).size !== selectedIds.length) {
+            violation('duplicate_option', 'The same option was selected more than once');
+        }
+        
+        selectedIds.forEach(optionId => {
+            const option = optionsById.get(optionId);
+            const category = option && itemCategories.find(c => c.id === option.category_id);
+            
+            if (!category) {
+                violation('invalid_option', `Option is not offered for ${menuItem.name}`, { option_id: optionId });
+            } else if (!optionIsAvailable(option, at)) {
+                violation('option_unavailable', `${option.name} is currently unavailable`, { 
+                    option_id: optionId, 
+                    category_id: category.id 
+                });
+            }
+        });
+        
+        itemCategories.forEach(category => {
+            const count = selectedIds.filter(id => optionsById.get(id)?.category_id === category.id).length;
+            const { min, max } = customizationLimits(category);
+            
+            if (count < min && (category.is_required || count > 0)) {
+                violation('too_few_selections', `${category.name}: choose at least ${min}`, { 
+                    category_id: category.id, min, selected: count 
+                });
+            }
+            if (count > max) {
+                violation('too_many_selections', `${category.name}: choose at most ${max}`, { 
+                    category_id: category.id, max, selected: count 
+                });
+            }
+        });
+    });
+    
+    return { violations, optionsById };
+}
+
+// ============================================
+// PRICING ENGINE
+// ============================================
+// restaurants.settings:
+//   tax_rate       default tax rate (menu_categories.tax_rate overrides it per category)
+//   tax_inclusive  menu prices already include tax
+//   charges        [{ name, type: 'percentage' | 'fixed', value, order_types?, taxable? }]
+//   discounts      [{ name, type: 'percentage' | 'fixed', value, order_types?, min_subtotal? }]
+// order_types on rules and promo codes are fulfillment types (dine_in, pickup, delivery).
+// Promo codes are stored per restaurant in the promo_codes table.
+
+// settings.charges / settings.discounts (field is the setting's name, for messages)
+function validatePricingRules(rules, field) {
+    if (!Array.isArray(rules)) return `${field} must be a list of rules`;
+    
+    for (const rule of rules) {
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return `${field} must be a list of rules`;
+        if (typeof rule.name !== 'string' || !rule.name.trim() || rule.name.length > 60) {
+            return `${field}: every rule needs a name of at most 60 characters`;
+        }
+        if (!['percentage', 'fixed'].includes(rule.type)) return `${field}: type must be percentage or fixed`;
+        if (typeof rule.value !== 'number' || (rule.type === 'percentage' ? !(rule.value >= 0 && rule.value <= 1) : !isValidPrice(rule.value))) {
+            return `${field}: value must be a fraction 0-1 for percentage or an amount for fixed`;
+        }
+        if (rule.order_types !== undefined && !(Array.isArray(rule.order_types) && 
+            rule.order_types.every(type => FULFILLMENT_TYPES.includes(normalizeFulfillmentType(type))))) {
+            return `${field}: order_types must be a list of ${FULFILLMENT_TYPES.join(', ')}`;
+        }
+        if (rule.min_subtotal !== undefined && !isValidPrice(rule.min_subtotal)) return `${field}: min_subtotal must be a valid amount`;
+        if (rule.taxable !== undefined && typeof rule.taxable !== 'boolean') return `${field}: taxable must be true or false`;
+    }
+    return null;
+}
+
+function appliesToOrderType(rule, orderType) {
+    if (!Array.isArray(rule.order_types) || rule.order_types.length === 0) return true;
+    return rule.order_types.map(normalizeFulfillmentType).includes(normalizeFulfillmentType(orderType));
+}
+
+function adjustmentCents(rule, baseCents) {
+    return rule.type === 'percentage' ? Math.round(baseCents * rule.value) : toCents(rule.value);
+}
+
+// Split an amount across weights so the parts always add up to the exact total
+function allocateProportionally(totalCents, weights) {
+    const sum = weights.reduce((a, b) => a + b, 0);
+    if (sum === 0 || totalCents === 0) return weights.map(() => 0);
+    
+    const parts = weights.map(w => Math.floor(totalCents * w / sum));
+    let remainder = totalCents - parts.reduce((a, b) => a + b, 0);
+    for (let i = 0; remainder > 0; i = (i + 1) % parts.length) {
+        if (weights[i] > 0) {
+            parts[i]++;
+            remainder--;
+        }
+    }
+    return parts;
+}
+
+// Tax added on top of a net amount, or contained in it when prices are tax-inclusive
+function taxFor(netCents, rate, inclusive) {
+    return inclusive ? netCents - Math.round(netCents / (1 + rate)) : Math.round(netCents * rate);
+}
+
+// lines: [{ cents, taxRate }] - taxRate null means the restaurant default.
+// Everything is in cents; adjustments itemize each discount, charge and tax.
+// extraDiscounts (loyalty points) apply after the promo code.
+function calculatePricing(lines, settings, orderType, promo, extraCharges = [], extraDiscounts = []) {
+    const defaultRate = settings.tax_rate || 0;
+    const inclusive = !!settings.tax_inclusive;
+    const subtotalCents = lines.reduce((sum, line) => sum + line.cents, 0);
+    const adjustments = [];
+    
+    // Discounts: automatic ones from settings first, then the promo code
+    const discountRules = (settings.discounts || []).filter(rule => 
+        appliesToOrderType(rule, orderType) && subtotalCents >= toCents(rule.min_subtotal || 0)
+    );
+    if (promo) {
+        discountRules.push({ 
+            name: promo.description || `Promo ${promo.code}`, 
+            type: promo.discount_type, 
+            value: Number(promo.discount_value), 
+            code: promo.code 
+        });
+    }
+    discountRules.push(...extraDiscounts);
+    
+    let discountCents = 0;
+    discountRules.forEach(rule => {
+        const amount = Math.min(adjustmentCents(rule, subtotalCents), subtotalCents - discountCents);
+        if (amount <= 0) return;
+        discountCents += amount;
+        adjustments.push({ type: 'discount', name: rule.name, code: rule.code, points: rule.points, amount_cents: -amount });
+    });
+    
+    // Service charges / delivery fees for this order type
+    const netCents = subtotalCents - discountCents;
+    const taxableCharges = [];
+    let chargesCents = 0;
+    const chargeRules = (settings.charges || []).filter(rule => appliesToOrderType(rule, orderType));
+    [...chargeRules, ...extraCharges].forEach(rule => {
+        const amount = adjustmentCents(rule, netCents);
+        if (amount <= 0) return;
+        chargesCents += amount;
+        if (rule.taxable) taxableCharges.push(amount);
+        adjustments.push({ type: 'charge', name: rule.name, amount_cents: amount });
+    });
+    
+    // Tax per rate, on each line after its share of the discounts
+    const lineDiscounts = allocateProportionally(discountCents, lines.map(line => line.cents));
+    const taxableByRate = new Map();
+    const addTaxable = (rate, cents) => taxableByRate.set(rate, (taxableByRate.get(rate) || 0) + cents);
+    lines.forEach((line, i) => addTaxable(line.taxRate ?? defaultRate, line.cents - lineDiscounts[i]));
+    taxableCharges.forEach(cents => addTaxable(defaultRate, cents));
+    
+    let taxCents = 0;
+    [...taxableByRate.entries()].sort((a, b) => a[0] - b[0]).forEach(([rate, base]) => {
+        const amount = taxFor(base, rate, inclusive);
+        if (amount <= 0) return;
+        taxCents += amount;
+        adjustments.push({ 
+            type: 'tax', 
+            name: `Tax ${+(rate * 100).toFixed(2)}%${inclusive ? ' (included)' : ''}`, 
+            rate, 
+            amount_cents: amount 
+        });
+    });
+    
+    return {
+        subtotalCents,
+        discountCents,
+        chargesCents,
+        taxCents,
+        totalCents: netCents + chargesCents + (inclusive ? 0 : taxCents),
+        inclusive,
+        defaultRate,
+        adjustments
+    };
+}
+
+// Dollar strings for responses, receipts and the KDS
+function formatPricing(pricing) {
+    return {
+        subtotal: formatCents(pricing.subtotalCents),
+        discount_total: formatCents(pricing.discountCents),
+        charges_total: formatCents(pricing.chargesCents),
+        tax: formatCents(pricing.taxCents),
+        total: formatCents(pricing.totalCents),
+        tax_rate: (pricing.defaultRate * 100).toFixed(1) + '%',
+        tax_inclusive: pricing.inclusive,
+        adjustments: pricing.adjustments.map(({ amount_cents, ...adj }) => ({ ...adj, amount: formatCents(amount_cents) }))
+    };
+}
+
+// Look up and check a promo code. Usage limits are enforced again atomically
+// by the create_order RPC when the order is saved.
+async function findPromoCode(restaurantId, code, subtotalCents, orderType) {
+    const { data: promo, error } = await supabase
+        .from('promo_codes')
+        .select('*')
+        .eq('restaurant_id', restaurantId)
+        .eq('code', String(code).trim().toUpperCase())
+        .maybeSingle();
+    
+    if (error) throw error;
+    
+    const now = new Date();
+    const reject = reason => { throw new OrderError(400, { error: 'Invalid promo code', reason }); };
+    
+    if (!promo || !promo.is_active) reject('Promo code not found');
+    if (promo.starts_at && new Date(promo.starts_at) > now) reject('Promo code is not active yet');
+    if (promo.expires_at && new Date(promo.expires_at) <= now) reject('Promo code has expired');
+    if (promo.max_uses && promo.used_count >= promo.max_uses) reject('Promo code has been fully redeemed');
+    if (promo.min_subtotal && subtotalCents < toCents(promo.min_subtotal)) {
+        reject(`Order subtotal must be at least $${Number(promo.min_subtotal).toFixed(2)}`);
+    }
+    if (!appliesToOrderType(promo, orderType)) reject(`Promo code is not valid for ${orderType} orders`);
+    
+    return promo;
+}
+
+// ============================================
+// CUSTOMERS & LOYALTY
+// ============================================
+// Every order is linked to a customer record per restaurant, found by the phone
+// number in E.164 form (+12465551234). restaurants.settings:
+//   phone_country_code  calling code for numbers typed without one (default 1)
+//   loyalty             points are off without it:
+//     points_per_dollar   points earned per currency unit spent after discounts (default 1)
+//     point_value         what one point is worth when redeemed (default 0.01)
+//     min_redeem_points   smallest redemption (default 0)
+//     max_redeem_share    share of the subtotal that may be paid with points (default 1)
+//
+// create_order awards and redeems points in the order's transaction and
+// reverse_order_loyalty hands them back when the order is cancelled or refunded.
+// Spending points, renaming a customer or changing their consent needs proof that
+// the customer is the one ordering: a staff session, a WhatsApp chat order, or
+// verification_code - a one-time code sent to their WhatsApp by POST
+// /customers/verify. Codes last 10 minutes, allow 5 wrong guesses and are used up
+// by the order they come with.
+//
+// WhatsApp messages of kind 'marketing' only go to customers who opted in: at
+// checkout, from their tracking link, by texting SUBSCRIBE (STOP opts out) or at the counter.
+const LOYALTY_DEFAULTS = { points_per_dollar: 1, point_value: 0.01, min_redeem_points: 0, max_redeem_share: 1 };
+const DEFAULT_PHONE_COUNTRY_CODE = '1';
+const CUSTOMER_FIELDS = 'id, phone, name, loyalty_points, marketing_opt_in, marketing_consent_at, marketing_consent_source, created_at, updated_at';
+const CUSTOMER_HISTORY_LIMIT = 20;
+const VERIFICATION_CODE_TTL_MS = 10 * 60 * 1000;
+const VERIFICATION_RESEND_MS = 60 * 1000;
+const VERIFICATION_HOURLY_LIMIT = 5;
+const VERIFICATION_MAX_ATTEMPTS = 5;
+const SETTLED_PAYMENT_STATUSES = ['paid', 'partially_refunded'];
+
+// E.164 form of a phone number, or null when it cannot be one. Numbers without
+// + or 00 are national numbers of countryCode unless they already start with it.
+function normalizePhone(phone, countryCode = DEFAULT_PHONE_COUNTRY_CODE) {
+    const text = String(phone || '').trim();
+    let digits = phoneDigits(text);
+    
+    if (!text.startsWith('+')) {
+        if (digits.startsWith('00')) {
+            digits = digits.slice(2);
+        } else if (!(digits.length > 10 && digits.startsWith(countryCode))) {
+            digits = countryCode + digits.replace(/^0+/, '');
+        }
+    }
+    
+    if (!/^[1-9][0-9]{7,14}$/.test(digits)) return null;
+    // +1 (North America and the Caribbean) numbers always have 10 digits after the 1
+    if (digits.startsWith('1') && digits.length !== 11) return null;
+    return `+${digits}`;
+}
+
+function phoneCountryCode(settings) {
+    return String(settings?.phone_country_code || DEFAULT_PHONE_COUNTRY_CODE);
+}
+
+function loyaltySettings(settings) {
+    return settings?.loyalty ? { ...LOYALTY_DEFAULTS, ...settings.loyalty } : null;
+}
+
+function validateLoyaltySettings(loyalty) {
+    if (typeof loyalty !== 'object' || Array.isArray(loyalty)) return 'loyalty must be an object';
+    
+    const { points_per_dollar, point_value, min_redeem_points, max_redeem_share } = { ...LOYALTY_DEFAULTS, ...loyalty };
+    if (!(typeof points_per_dollar === 'number' && points_per_dollar >= 0)) return 'loyalty.points_per_dollar must be a number of 0 or more';
+    if (!(typeof point_value === 'number' && point_value > 0)) return 'loyalty.point_value must be a positive number';
+    if (!(Number.isInteger(min_redeem_points) && min_redeem_points >= 0)) return 'loyalty.min_redeem_points must be a whole number';
+    if (!(typeof max_redeem_share === 'number' && max_redeem_share > 0 && max_redeem_share <= 1)) return 'loyalty.max_redeem_share must be more than 0 and at most 1';
+    return null;
+}
+
+// Discount rule for spending points, limited to the share of the subtotal points may pay
+function loyaltyDiscount(loyalty, points, subtotalCents) {
+    if (points === undefined || points === null || points === 0) return null;
+    
+    if (!loyalty) {
+        throw new OrderError(400, { error: 'This restaurant has no loyalty program' });
+    }
+    if (!Number.isInteger(points) || points < 0) {
+        throw new OrderError(400, { error: 'redeem_points must be a whole number' });
+    }
+    if (points < loyalty.min_redeem_points) {
+        throw new OrderError(400, { error: `At least ${loyalty.min_redeem_points} points must be redeemed at once` });
+    }
+    
+    const pointCents = loyalty.point_value * 100;
+    const usable = Math.min(points, Math.floor(subtotalCents * loyalty.max_redeem_share / pointCents + 1e-9));
+    if (usable <= 0) return null;
+    
+    return {
+        name: `Loyalty points (${usable})`,
+        type: 'fixed',
+        value: Math.round(usable * pointCents) / 100,
+        points: usable
+    };
+}
+
+// Points redeemed and earned for a priced order. Redemption is what the discount
+// actually covered, which other discounts may have made smaller than asked for.
+function loyaltyForPricing(loyalty, pricing) {
+    if (!loyalty) return null;
+    
+    const redemption = pricing.adjustments.find(adj => adj.points);
+    if (redemption) {
+        redemption.points = Math.min(redemption.points, Math.ceil(-redemption.amount_cents / (loyalty.point_value * 100) - 1e-9));
+        redemption.name = `Loyalty points (${redemption.points})`;
+    }
+    
+    return {
+        redeem_points: redemption ? redemption.points : 0,
+        earn_points: Math.floor((pricing.subtotalCents - pricing.discountCents) / 100 * loyalty.points_per_dollar + 1e-9)
+    };
+}
+
+function consentFields(optIn, source) {
+    return { marketing_opt_in: optIn, marketing_consent_at: new Date().toISOString(), marketing_consent_source: source };
+}
+
+// Find or create the customer for a phone number, refreshing the name and, when
+// marketingOptIn is a boolean, their marketing consent
+// verified: the phone number is proven (staff, the WhatsApp sender or a one-time
+// code). Otherwise a new customer is still created, but an existing one keeps
+// their name and no consent is recorded - anyone can type a stranger's number.
+async function upsertCustomer(restaurantId, phone, { name, marketingOptIn, source, verified = true } = {}) {
+    const row = { restaurant_id: restaurantId, phone, updated_at: new Date().toISOString() };
+    if (name && String(name).trim()) row.name = String(name).trim().slice(0, 100);
+    
+    if (!verified) {
+        const { error: insertError } = await supabase
+            .from('customers')
+            .upsert(row, { onConflict: 'restaurant_id,phone', ignoreDuplicates: true });
+        
+        if (insertError) throw insertError;
+        
+        const { data, error } = await supabase
+            .from('customers')
+            .select(CUSTOMER_FIELDS)
+            .eq('restaurant_id', restaurantId)
+            .eq('phone', phone)
+            .single();
+        
+        if (error) throw error;
+        return data;
+    }
+    
+    if (typeof marketingOptIn === 'boolean') Object.assign(row, consentFields(marketingOptIn, source));
+    
+    const { data, error } = await supabase
+        .from('customers')
+        .upsert(row, { onConflict: 'restaurant_id,phone' })
+        .select(CUSTOMER_FIELDS)
+        .single();
+    
+    if (error) throw error;
+    return data;
+}
+
+// Marketing messages are addressed to the customer's E.164 number; numbers in
+// national format are read with the restaurant's calling code
+async function hasMarketingConsent(restaurantId, recipient) {
+    let countryCode = DEFAULT_PHONE_COUNTRY_CODE;
+    if (!String(recipient || '').trim().startsWith('+')) {
+        const { data: restaurant, error: restaurantError } = await supabase
+            .from('restaurants')
+            .select('settings')
+            .eq('id', restaurantId)
+            .single();
+        
+        if (restaurantError) throw restaurantError;
+        countryCode = phoneCountryCode(restaurant.settings);
+    }
+    
+    const phone = normalizePhone(recipient, countryCode);
+    if (!phone) return false;
+    
+    const { data, error } = await supabase
+        .from('customers')
+        .select('marketing_opt_in')
+        .eq('restaurant_id', restaurantId)
+        .eq('phone', phone)
+        .maybeSingle();
+    
+    if (error) throw error;
+    return !!data?.marketing_opt_in;
+}
+
+function verificationCodeHash(restaurantId, phone, code) {
+    return crypto.createHmac('sha256', SESSION_SECRET).update(`${restaurantId}:${phone}:${code}`).digest('hex');
+}
+
+// Check a one-time code sent to the phone: { result: 'ok' | 'invalid' | 'expired' | 'locked', code_id }.
+// A matching code stays valid until markVerificationCodeUsed.
+async function checkVerificationCode(restaurantId, phone, code) {
+    if (typeof code !== 'string' || !/^[0-9]{6}$/.test(code.trim())) return { result: 'invalid' };
+    
+    const { data, error } = await supabase.rpc('check_customer_verification_code', {
+        p_restaurant_id: restaurantId,
+        p_phone: phone,
+        p_code_hash: verificationCodeHash(restaurantId, phone, code.trim()),
+        p_max_attempts: VERIFICATION_MAX_ATTEMPTS
+    });
+    
+    if (error) throw error;
+    return data;
+}
+
+async function markVerificationCodeUsed(codeId) {
+    const { error } = await supabase
+        .from('customer_verification_codes')
+        .update({ used_at: new Date().toISOString() })
+        .eq('id', codeId)
+        .is('used_at', null);
+    
+    if (error) console.error(`❌ Failed to use up verification code ${codeId}:`, error.message);
+}
+
+function verificationError(result) {
+    return new OrderError(403, {
+        error: result === 'locked' ? 'Too many wrong codes - ask for a new one'
+            : result === 'expired' ? 'Your code has expired - ask for a new one'
+            : result === 'invalid' ? 'That code is not right - check your WhatsApp and try again'
+            : 'Enter the code we sent to your WhatsApp to use your points',
+        verification: result
+    });
+}
+
+// A tracking token only stands in for the customer once its order has been paid
+// or completed - anyone can place an unpaid order with someone else's number.
+function isSettledOrder(order) {
+    return order.status === 'completed' || SETTLED_PAYMENT_STATUSES.includes(order.payment_status);
+}
+
+// Give back what a cancelled or refunded order did to the customer's points
+async function reverseOrderLoyalty(order, actor) {
+    if (!order.customer_id || !(order.loyalty_points_earned || order.loyalty_points_redeemed)) return;
+    
+    try {
+        const { data: change, error } = await supabase.rpc('reverse_order_loyalty', { 
+            p_order_id: order.id, 
+            p_actor_name: actor?.name || null 
+        });
+        if (error) throw error;
+        if (change) console.log(`🎁 Loyalty points for order ${order.order_number} reversed (${change > 0 ? '+' : ''}${change})`);
+    } catch (err) {
+        console.error(`❌ Loyalty reversal failed for order ${order.order_number}:`, err.message || err);
+    }
+}
+
+// An earlier order, rebuilt from today's menu. Lines that can no longer be
+// ordered as they were are left out and listed in unavailable.
+async function buildReorder(restaurantId, previousOrder) {
+    const previousItems = typeof previousOrder.order_items === 'string' 
+        ? JSON.parse(previousOrder.order_items) 
+        : (previousOrder.order_items || []);
+    if (previousItems.length === 0) return { items: [], unavailable: [] };
+    
+    const { restaurant, menuItems, categories } = await loadOrderContext(restaurantId, previousItems);
+    const clock = availabilityClock(restaurant.settings || {});
+    
+    const unavailable = [];
+    const candidates = previousItems.filter(item => {
+        const menuItem = menuItems.find(m => m.id === item.id);
+        const orderable = menuItem && !unavailableReason(menuItem, categories.get(menuItem.category_id), clock);
+        if (!orderable) unavailable.push(item.name);
+        return orderable;
+    }).map(item => ({
+        id: item.id,
+        quantity: item.quantity,
+        customizations: (item.customizations || []).map(c => ({ id: c.id })),
+        special_notes: item.special_notes || ''
+    }));
+    
+    const { violations, optionsById } = await validateCustomizations(candidates, menuItems);
+    const broken = new Set(violations.map(v => v.item_index));
+    
+    const items = [];
+    candidates.forEach((line, index) => {
+        const menuItem = menuItems.find(m => m.id === line.id);
+        if (broken.has(index)) {
+            unavailable.push(menuItem.name);
+            return;
+        }
+        items.push({
+            ...line,
+            name: menuItem.name,
+            price: Number(menuItem.price),
+            customizations: line.customizations.map(({ id }) => {
+                const option = optionsById.get(id);
+                return { id, name: option.name, price: Number(option.price) };
+            })
+        });
+    });
+    
+    return { items, unavailable };
+}
+
+// LIST / SEARCH CUSTOMERS (q: name or phone number)
+app.get('/api/restaurants/:restaurantId/customers', requireStaff('cashier', 'manager'), async (req, res) => {
+    try {
+        const { restaurantId } = req.params;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        
+        let query = supabase
+            .from('customers')
+            .select(CUSTOMER_FIELDS)
+            .eq('restaurant_id', restaurantId)
+            .order('updated_at', { ascending: false })
+            .limit(limit);
+        
+        const q = String(req.query.q || '').trim();
+        if (q) {
+            // Keep only characters that cannot break the PostgREST filter syntax
+            const term = q.replace(/[^\p{L}\p{N} '-]/gu, '').slice(0, 50);
+            const digits = phoneDigits(q);
+            const conditions = [`name.ilike.*${term}*`];
+            if (digits.length >= 3) conditions.push(`phone.like.*${digits}*`);
+            query = query.or(conditions.join(','));
+        }
+        
+        const { data: customers, error } = await query;
+        
+        if (error) throw error;
+        
+        res.json({ success: true, customers });
+        
+    } catch (err) {
+        console.error('List customers error:', err);
+        res.status(500).json({ error: 'Failed to list customers' });
+    }
+});
+
+// CUSTOMER PROFILE with order history and loyalty ledger
+app.get('/api/restaurants/:restaurantId/customers/:customerId', requireStaff('cashier', 'manager'), async (req, res) => {
+    try {
+        const { restaurantId, customerId } = req.params;
+        
+        const { data: customer, error } = await supabase
+            .from('customers')
+            .select(CUSTOMER_FIELDS)
+            .eq('id', customerId)
+            .eq('restaurant_id', restaurantId)
+            .maybeSingle();
+        
+        if (error) throw error;
+        
+        if (!customer) {
+            return res.status(404).json({ error: 'Customer not found' });
+        }
+        
+        const [ordersResult, loyaltyResult] = await Promise.all([
+            supabase
+                .from('orders')
+                .select('id, order_number, status, fulfillment_type, total_amount, loyalty_points_earned, loyalty_points_redeemed, created_at')
+                .eq('customer_id', customerId)
+                .order('created_at', { ascending: false }),
+            supabase
+                .from('loyalty_transactions')
+                .select('id, order_id, points, reason, note, actor_name, created_at')
+                .eq('customer_id', customerId)
+                .order('created_at', { ascending: false })
+                .limit(CUSTOMER_HISTORY_LIMIT)
+        ]);
+        
+        if (ordersResult.error) throw ordersResult.error;
+        if (loyaltyResult.error) throw loyaltyResult.error;
+        
+        const counted = ordersResult.data.filter(order => !['cancelled', 'refunded', 'pending_payment'].includes(order.status));
+        
+        res.json({
+            success: true,
+            customer: {
+                ...customer,
+                order_count: counted.length,
+                total_spent: formatCents(counted.reduce((sum, order) => sum + toCents(order.total_amount), 0)),
+                last_order_at: counted[0]?.created_at || null
+            },
+            orders: ordersResult.data.slice(0, CUSTOMER_HISTORY_LIMIT),
+            loyalty_transactions: loyaltyResult.data
+        });
+        
+    } catch (err) {
+        console.error('Get customer error:', err);
+        res.status(500).json({ error: 'Failed to get customer' });
+    }
+});
+
+// UPDATE CUSTOMER (body: { name?, marketing_opt_in? }) - e.g. consent given at the counter
+app.put('/api/restaurants/:restaurantId/customers/:customerId', requireStaff('cashier', 'manager'), async (req, res) => {
+    try {
+        const { restaurantId, customerId } = req.params;
+        const { name, marketing_opt_in } = req.body || {};
+        const updates = {};
+        
+        if (name !== undefined) {
+            if (!String(name).trim()) {
+                return res.status(400).json({ error: 'Customer name cannot be empty' });
+            }
+            updates.name = String(name).trim().slice(0, 100);
+        }
+        if (marketing_opt_in !== undefined) {
+            if (typeof marketing_opt_in !== 'boolean') {
+                return res.status(400).json({ error: 'marketing_opt_in must be true or false' });
+            }
+            Object.assign(updates, consentFields(marketing_opt_in, 'staff'));
+        }
+        
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'No updatable fields provided' });
+        }
+        
+        const { data: customer, error } = await supabase
+            .from('customers')
+            .update({ ...updates, updated_at: new Date().toISOString() })
+            .eq('id', customerId)
+            .eq('restaurant_id', restaurantId)
+            .select(CUSTOMER_FIELDS)
+            .maybeSingle();
+        
+        if (error) throw error;
+        
+        if (!customer) {
+            return res.status(404).json({ error: 'Customer not found' });
+        }
+        
+        res.json({ success: true, customer });
+        
+    } catch (err) {
+        console.error('Update customer error:', err);
+        res.status(500).json({ error: 'Failed to update customer' });
+    }
+});
+
+// ADJUST LOYALTY POINTS (body: { points, note }) - positive adds, negative removes
+app.post('/api/restaurants/:restaurantId/customers/:customerId/loyalty', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId, customerId } = req.params;
+        const { points, note } = req.body || {};
+        
+        if (!Number.isInteger(points) || points === 0) {
+            return res.status(400).json({ error: 'points must be a whole number other than 0' });
+        }
+        if (!note || !String(note).trim()) {
+            return res.status(400).json({ error: 'A note is required for point adjustments' });
+        }
+        
+        const { data: customer } = await supabase
+            .from('customers')
+            .select('id')
+            .eq('id', customerId)
+            .eq('restaurant_id', restaurantId)
+            .maybeSingle();
+        
+        if (!customer) {
+            return res.status(404).json({ error: 'Customer not found' });
+        }
+        
+        const { data: balance, error } = await supabase.rpc('adjust_loyalty_points', {
+            p_customer_id: customerId,
+            p_points: points,
+            p_note: String(note).trim().slice(0, 200),
+            p_actor_name: req.staff.name
+        });
+        
+        if (error?.message?.includes('insufficient_points')) {
+            return res.status(409).json({ error: 'The customer does not have that many points' });
+        }
+        if (error) throw error;
+        
+        console.log(`🎁 ${req.staff.name} adjusted loyalty points for customer ${customerId} by ${points}`);
+        res.json({ success: true, loyalty_points: balance });
+        
+    } catch (err) {
+        console.error('Adjust loyalty points error:', err);
+        res.status(500).json({ error: 'Failed to adjust loyalty points' });
+    }
+});
+
+// SEND A VERIFICATION CODE to the customer's WhatsApp (body: { phone_number }).
+// The code goes with the order as verification_code to spend loyalty points or
+// change marketing consent.
+app.post('/api/restaurants/:restaurantId/customers/verify', async (req, res) => {
+    try {
+        const { restaurantId } = req.params;
+        
+        if (!whatsappEnabled()) {
+            return res.status(503).json({ error: 'Phone verification is not available right now' });
+        }
+        
+        const { data: restaurant, error: restaurantError } = await supabase
+            .from('restaurants')
+            .select('name, settings')
+            .eq('id', restaurantId)
+            .eq('is_active', true)
+            .maybeSingle();
+        
+        if (restaurantError) throw restaurantError;
+        if (!restaurant) {
+            return res.status(404).json({ error: 'Restaurant not found' });
+        }
+        
+        const phone = normalizePhone(req.body?.phone_number, phoneCountryCode(restaurant.settings));
+        if (!phone) {
+            return res.status(400).json({ error: 'phone_number must be a valid phone number' });
+        }
+        
+        const { data: recent, error: recentError } = await supabase
+            .from('customer_verification_codes')
+            .select('created_at')
+            .eq('restaurant_id', restaurantId)
+            .eq('phone', phone)
+            .gte('created_at', new Date(Date.now() - 60 * 60 * 1000).toISOString())
+            .order('created_at', { ascending: false })
+            .limit(VERIFICATION_HOURLY_LIMIT);
+        
+        if (recentError) throw recentError;
+        if (recent.length >= VERIFICATION_HOURLY_LIMIT || 
+            (recent[0] && Date.now() - new Date(recent[0].created_at).getTime() < VERIFICATION_RESEND_MS)) {
+            return res.status(429).json({ error: 'A code was sent recently - please wait before asking for another' });
+        }
+        
+        const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+        const { error } = await supabase
+            .from('customer_verification_codes')
+            .insert([{
+                restaurant_id: restaurantId,
+                phone,
+                code_hash: verificationCodeHash(restaurantId, phone, code),
+                expires_at: new Date(Date.now() + VERIFICATION_CODE_TTL_MS).toISOString()
+            }]);
+        
+        if (error) throw error;
+        
+        const queued = await queueWhatsAppMessage({
+            restaurantId,
+            recipient: phone,
+            message: `${code} is your ${restaurant.name} code. It expires in 10 minutes - don't share it with anyone.`
+        });
+        if (!queued) {
+            return res.status(503).json({ error: 'Could not send a code right now' });
+        }
+        
+        console.log(`🔑 Verification code sent to ${maskPhone(phone)}`);
+        res.json({ success: true, expires_in: VERIFICATION_CODE_TTL_MS / 1000 });
+        
+    } catch (err) {
+        console.error('Send verification code error:', err);
+        res.status(500).json({ error: 'Failed to send code' });
+    }
+});
+
+// REORDER: the tracked order rebuilt from today's menu. The customer's name and
+// points only come back once that order is paid or completed (see isSettledOrder).
+app.get('/api/track/:token/reorder', async (req, res) => {
+    try {
+        const tracked = await findOrderByTrackingToken(req.params.token);
+        
+        if (!tracked) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        
+        let customer = null;
+        
+        if (tracked.customer_id && isSettledOrder(tracked)) {
+            const { data, error } = await supabase
+                .from('customers')
+                .select('name, loyalty_points, marketing_opt_in')
+                .eq('id', tracked.customer_id)
+                .single();
+            
+            if (error) throw error;
+            customer = data;
+        }
+        
+        const { items, unavailable } = await buildReorder(tracked.restaurant_id, tracked);
+        const { data: restaurant } = await supabase
+            .from('restaurants')
+            .select('settings')
+            .eq('id', tracked.restaurant_id)
+            .single();
+        const loyalty = loyaltySettings(restaurant?.settings);
+        
+        res.json({
+            success: true,
+            order_number: tracked.order_number,
+            items,
+            unavailable,
+            customer,
+            loyalty: loyalty && { point_value: loyalty.point_value, min_redeem_points: loyalty.min_redeem_points }
+        });
+        
+    } catch (err) {
+        if (err instanceof OrderError) {
+            return res.status(err.status).json(err.body);
+        }
+        console.error('Reorder error:', err);
+        res.status(500).json({ error: 'Failed to load last order' });
+    }
+});
+
+// MARKETING CONSENT from the customer's own tracking link (body: { opt_in }).
+// Only links of paid or completed orders can change it.
+app.put('/api/track/:token/marketing', async (req, res) => {
+    try {
+        const { opt_in } = req.body || {};
+        
+        if (typeof opt_in !== 'boolean') {
+            return res.status(400).json({ error: 'opt_in must be true or false' });
+        }
+        
+        const order = await findOrderByTrackingToken(req.params.token);
+        
+        if (!order || !order.customer_id || !isSettledOrder(order)) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        
+        const { error } = await supabase
+            .from('customers')
+            .update({ ...consentFields(opt_in, 'web'), updated_at: new Date().toISOString() })
+            .eq('id', order.customer_id);
+        
+        if (error) throw error;
+        
+        console.log(`📣 Customer ${order.customer_id} ${opt_in ? 'opted in to' : 'opted out of'} marketing`);
+        res.json({ success: true, marketing_opt_in: opt_in });
+        
+    } catch (err) {
+        console.error('Marketing consent error:', err);
+        res.status(500).json({ error: 'Failed to update consent' });
+    }
+});
+
+// ============================================
+// FULFILLMENT (dine-in, pickup, delivery)
+// ============================================
+// restaurants.settings:
+//   tables      optional list of valid table numbers for dine-in
+//   delivery    { zones: [{ name, fee, min_subtotal?, areas?, postcodes?, radius_km? }],
+//                 origin?: { lat, lng }, fee_taxable? }
+//               With no zones configured any address is accepted and no zone fee is added.
+//   scheduling  { min_lead_minutes (default 20), max_days_ahead (default 7) }
+const FULFILLMENT_TYPES = ['dine_in', 'pickup', 'delivery'];
+const ORDER_SOURCES = ['web', 'walk-in', 'phone', 'whatsapp', 'aggregator'];
+const FULFILLMENT_ALIASES = {
+    'dine-in': 'dine_in', dinein: 'dine_in', table: 'dine_in',
+    takeout: 'pickup', takeaway: 'pickup', collection: 'pickup'
+};
+const ADDRESS_FIELDS = ['line1', 'line2', 'area', 'city', 'postcode', 'instructions', 'lat', 'lng'];
+
+function normalizeFulfillmentType(type) {
+    const key = String(type || '').trim().toLowerCase();
+    return FULFILLMENT_ALIASES[key] || key;
+}
+
+// Older clients send a single order_type that mixes channel ("Walk-in", "Phone")
+// with fulfilment ("Delivery", "Takeout"). Split it into the two fields.
+function resolveOrderChannel(input) {
+    const legacyType = String(input.order_type || '').trim().toLowerCase();
+    const fulfillment = normalizeFulfillmentType(input.fulfillment_type || 
+        (FULFILLMENT_TYPES.includes(normalizeFulfillmentType(legacyType)) ? legacyType : 'pickup'));
+    const source = String(input.order_source || (ORDER_SOURCES.includes(legacyType) ? legacyType : 'web')).toLowerCase();
+    
+    return { fulfillment, source };
+}
+
+function isStringList(value) {
+    return Array.isArray(value) && value.every(entry => typeof entry === 'string' && entry.trim() && entry.length <= 100);
+}
+
+function validateDeliverySettings(delivery) {
+    if (!delivery || typeof delivery !== 'object' || Array.isArray(delivery)) return 'delivery must be an object';
+    
+    const { zones, origin, fee_taxable } = delivery;
+    if (zones !== undefined && !Array.isArray(zones)) return 'delivery.zones must be a list';
+    for (const zone of zones || []) {
+        if (!zone || typeof zone !== 'object' || Array.isArray(zone)) return 'delivery.zones must be a list of zones';
+        if (typeof zone.name !== 'string' || !zone.name.trim() || zone.name.length > 60) {
+            return 'delivery.zones: every zone needs a name of at most 60 characters';
+        }
+        if (zone.fee !== undefined && !isValidPrice(zone.fee)) return `${zone.name}: fee must be a valid amount`;
+        if (zone.min_subtotal !== undefined && !isValidPrice(zone.min_subtotal)) return `${zone.name}: min_subtotal must be a valid amount`;
+        if (zone.areas !== undefined && !isStringList(zone.areas)) return `${zone.name}: areas must be a list of names`;
+        if (zone.postcodes !== undefined && !isStringList(zone.postcodes)) return `${zone.name}: postcodes must be a list of postcode prefixes`;
+        if (zone.radius_km !== undefined && !(typeof zone.radius_km === 'number' && zone.radius_km > 0 && zone.radius_km <= 100)) {
+            return `${zone.name}: radius_km must be a number from 0 to 100`;
+        }
+    }
+    if (origin !== undefined && !(origin && Number.isFinite(origin.lat) && Number.isFinite(origin.lng) &&
+        Math.abs(origin.lat) <= 90 && Math.abs(origin.lng) <= 180)) {
+        return 'delivery.origin must be { lat, lng }';
+    }
+    if (fee_taxable !== undefined && typeof fee_taxable !== 'boolean') return 'delivery.fee_taxable must be true or false';
+    return null;
+}
+
+function validateSchedulingSettings(scheduling) {
+    if (!scheduling || typeof scheduling !== 'object' || Array.isArray(scheduling)) return 'scheduling must be an object';
+    
+    const { min_lead_minutes, max_days_ahead } = scheduling;
+    if (min_lead_minutes !== undefined && !(Number.isInteger(min_lead_minutes) && min_lead_minutes >= 0 && min_lead_minutes <= 24 * 60)) {
+        return 'scheduling.min_lead_minutes must be a whole number from 0 to 1440';
+    }
+    if (max_days_ahead !== undefined && !(Number.isInteger(max_days_ahead) && max_days_ahead >= 0 && max_days_ahead <= 60)) {
+        return 'scheduling.max_days_ahead must be a whole number from 0 to 60';
+    }
+    return null;
+}
+
+function distanceKm(a, b) {
+    const rad = deg => deg * Math.PI / 180;
+    const dLat = rad(b.lat - a.lat);
+    const dLng = rad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+// First configured zone that covers the address, by area name, postcode prefix or distance
+function findDeliveryZone(address, delivery) {
+    const area = (address.area || address.city || '').trim().toLowerCase();
+    const postcode = (address.postcode || '').replace(/\s+/g, '').toUpperCase();
+    const hasCoords = Number.isFinite(address.lat) && Number.isFinite(address.lng);
+    
+    return (delivery.zones || []).find(zone => {
+        if (area && (zone.areas || []).some(a => a.toLowerCase() === area)) return true;
+        if (postcode && (zone.postcodes || []).some(p => postcode.startsWith(p.replace(/\s+/g, '').toUpperCase()))) return true;
+        if (zone.radius_km && hasCoords && delivery.origin) {
+            return distanceKm(delivery.origin, address) <= zone.radius_km;
+        }
+        return false;
+    }) || null;
+}
+
+function parseScheduledTime(value, settings) {
+    const scheduling = settings.scheduling || {};
+    const leadMinutes = scheduling.min_lead_minutes ?? 20;
+    const maxDays = scheduling.max_days_ahead ?? 7;
+    const time = new Date(value);
+    
+    if (isNaN(time.getTime())) {
+        throw new OrderError(400, { error: 'scheduled_for must be an ISO date-time' });
+    }
+    if (time.getTime() < Date.now() + leadMinutes * 60 * 1000) {
+        throw new OrderError(400, { error: `Scheduled orders need at least ${leadMinutes} minutes notice` });
+    }
+    if (time.getTime() > Date.now() + maxDays * 24 * 60 * 60 * 1000) {
+        throw new OrderError(400, { error: `Orders can be scheduled at most ${maxDays} days ahead` });
+    }
+    return time.toISOString();
+}
+
+// Validate the fulfilment fields of an order. Returns the columns to store and,
+// for zoned delivery, the fee as an extra pricing charge. Throws OrderError.
+function resolveFulfillment(input, settings, subtotalCents) {
+    const { fulfillment, source } = resolveOrderChannel(input);
+    
+    if (!FULFILLMENT_TYPES.includes(fulfillment)) {
+        throw new OrderError(400, { error: `fulfillment_type must be one of: ${FULFILLMENT_TYPES.join(', ')}` });
+    }
+    if (!ORDER_SOURCES.includes(source)) {
+        throw new OrderError(400, { error: `order_source must be one of: ${ORDER_SOURCES.join(', ')}` });
+    }
+    
+    const result = {
+        fulfillment_type: fulfillment,
+        order_source: source,
+        table_number: null,
+        delivery_address: null,
+        delivery_zone: null,
+        scheduled_for: null,
+        charges: []
+    };
+    
+    if (fulfillment === 'dine_in') {
+        const table = String(input.table_number ?? '').trim();
+        if (!table || table.length > 20) {
+            throw new OrderError(400, { error: 'table_number is required for dine-in orders' });
+        }
+        if (Array.isArray(settings.tables) && !settings.tables.map(String).includes(table)) {
+            throw new OrderError(400, { error: `Unknown table: ${table}` });
+        }
+        result.table_number = table;
+    }
+    
+    if (fulfillment === 'delivery') {
+        const address = input.delivery_address;
+        if (!address || typeof address !== 'object' || Array.isArray(address) || !String(address.line1 || '').trim()) {
+            throw new OrderError(400, { error: 'delivery_address with at least line1 is required for delivery orders' });
+        }
+        result.delivery_address = pickFields(address, ADDRESS_FIELDS);
+        const badField = ADDRESS_FIELDS.find(key => {
+            const value = result.delivery_address[key];
+            if (value === undefined || value === null) return false;
+            return ['lat', 'lng'].includes(key) ? !Number.isFinite(Number(value)) : typeof value !== 'string' || value.length > 200;
+        });
+        if (badField) {
+            throw new OrderError(400, { error: `delivery_address.${badField} must be ${['lat', 'lng'].includes(badField) ? 'a number' : 'text of at most 200 characters'}` });
+        }
+        ['lat', 'lng'].forEach(key => {
+            if (key in result.delivery_address) result.delivery_address[key] = Number(result.delivery_address[key]);
+        });
+        
+        const delivery = settings.delivery || {};
+        if (Array.isArray(delivery.zones) && delivery.zones.length > 0) {
+            const zone = findDeliveryZone(result.delivery_address, delivery);
+            if (!zone) {
+                throw new OrderError(400, { error: 'Sorry, we do not deliver to this address' });
+            }
+            if (zone.min_subtotal && subtotalCents < toCents(zone.min_subtotal)) {
+                throw new OrderError(400, { 
+                    error: `Delivery to ${zone.name} needs a subtotal of at least $${Number(zone.min_subtotal).toFixed(2)}` 
+                });
+            }
+            result.delivery_zone = zone.name;
+            if (Number(zone.fee) > 0) {
+                result.charges.push({ 
+                    name: `Delivery (${zone.name})`, 
+                    type: 'fixed', 
+                    value: Number(zone.fee), 
+                    taxable: !!delivery.fee_taxable 
+                });
+            }
+        }
+    }
+    
+    if (input.scheduled_for) {
+        if (fulfillment === 'dine_in') {
+            throw new OrderError(400, { error: 'Dine-in orders cannot be scheduled' });
+        }
+        result.scheduled_for = parseScheduledTime(input.scheduled_for, settings);
+    }
+    
+    return result;
+}
+
+// Customer-facing line for confirmations, e.g. "🚗 Delivery to 12 Bay St · Fri 6:30 PM"
+function describeFulfillment(fulfillment, timezone) {
+    let text = fulfillment.fulfillment_type === 'dine_in' ? `🍽️ Table ${fulfillment.table_number}`
+        : fulfillment.fulfillment_type === 'delivery' ? `🚗 Delivery to ${fulfillment.delivery_address.line1}`
+        : '🛍️ Pickup';
+    
+    if (fulfillment.scheduled_for) {
+        text += ` · ${formatLocalTime(fulfillment.scheduled_for, timezone, { weekday: 'short', hour: 'numeric', minute: '2-digit' })}`;
+    }
+    return text;
+}
+
+// ============================================
+// KITCHEN LOAD & PROMISE TIMES
+// ============================================
+// restaurants.settings.kitchen (all optional, minutes unless noted):
+//   remote_promise_minutes  base promise for web / phone / WhatsApp orders
+//   walkin_expect_minutes   base promise for walk-in orders
+//   per_order_minutes       added per order already in the queue
+//   capacity                active orders that count as 100% load
+//   lock_threshold          % of the promise after which an order's ETA stops moving
+//   load_trigger            load % at which ETAs are padded (throttled)
+//   delay_padding           minutes added to unlocked orders while throttled
+//   weekend_offset / weekend_padding   extra minutes Fri/Sat 18:00-21:00 local time
+//   notify_delays           WhatsApp customers when throttling pushes their ETA out
+const KITCHEN_DEFAULTS = {
+    remote_promise_minutes: 20,
+    walkin_expect_minutes: 10,
+    per_order_minutes: 2,
+    capacity: 10,
+    lock_threshold: 75,
+    load_trigger: 90,
+    delay_padding: 20,
+    weekend_offset: true,
+    weekend_padding: 8,
+    notify_delays: true
+};
+const KITCHEN_LIMITS = {
+    remote_promise_minutes: [1, 240],
+    walkin_expect_minutes: [1, 240],
+    per_order_minutes: [0, 30],
+    capacity: [1, 500],
+    lock_threshold: [10, 100],
+    load_trigger: [10, 100],
+    delay_padding: [0, 120],
+    weekend_padding: [0, 60]
+};
+const ACTIVE_STATUSES = ['new', 'confirmed', 'preparing', 'recalled'];
+
+// Last known throttle state per restaurant, so ETAs are only reworked when it flips
+const kitchenThrottleState = new Map();
+
+function kitchenSettings(settings) {
+    return { ...KITCHEN_DEFAULTS, ...((settings || {}).kitchen || {}) };
+}
+
+function validateKitchenSettings(fields) {
+    for (const [key, value] of Object.entries(fields)) {
+        if (KITCHEN_LIMITS[key]) {
+            const [min, max] = KITCHEN_LIMITS[key];
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+                return `${key} must be a number from ${min} to ${max}`;
+            }
+        } else if (key in KITCHEN_DEFAULTS) {
+            if (typeof value !== 'boolean') return `${key} must be true or false`;
+        } else {
+            return `Unknown setting: ${key}`;
+        }
+    }
+    return null;
+}
+
+function formatLocalTime(iso, timezone, options = { hour: 'numeric', minute: '2-digit' }) {
+    try {
+        return new Date(iso).toLocaleString('en-US', { ...options, timeZone: timezone || 'UTC' });
+    } catch (err) {
+        return new Date(iso).toLocaleString('en-US', { ...options, timeZone: 'UTC' });
+    }
+}
+
+function isWeekendPeak(timezone, now = new Date()) {
+    let parts;
+    try {
+        parts = new Intl.DateTimeFormat('en-US', { timeZone: timezone || 'UTC', weekday: 'short', hour: 'numeric', hourCycle: 'h23' })
+            .formatToParts(now);
+    } catch (err) {
+        parts = new Intl.DateTimeFormat('en-US', { timeZone: 'UTC', weekday: 'short', hour: 'numeric', hourCycle: 'h23' })
+            .formatToParts(now);
+    }
+    const weekday = parts.find(p => p.type === 'weekday').value;
+    const hour = parseInt(parts.find(p => p.type === 'hour').value);
+    return ['Fri', 'Sat'].includes(weekday) && hour >= 18 && hour < 21;
+}
+
+// Orders the kitchen is working on now (scheduled orders count once they are due)
+async function activeOrderCount(restaurantId, kitchen) {
+    const dueBy = new Date(Date.now() + kitchen.remote_promise_minutes * 60 * 1000).toISOString();
+    const { count, error } = await supabase
+        .from('orders')
+        .select('id', { count: 'exact', head: true })
+        .eq('restaurant_id', restaurantId)
+        .in('status', ACTIVE_STATUSES)
+        .or(`scheduled_for.is.null,scheduled_for.lte.${dueBy}`);
+    
+    if (error) throw error;
+    return count || 0;
+}
+
+function loadSummary(activeOrders, kitchen) {
+    const loadPercentage = Math.min(100, Math.round(activeOrders / kitchen.capacity * 100));
+    const throttled = loadPercentage >= kitchen.load_trigger;
+    return {
+        active_orders: activeOrders,
+        capacity: kitchen.capacity,
+        load_percentage: loadPercentage,
+        throttled,
+        estimated_wait_minutes: kitchen.remote_promise_minutes + activeOrders * kitchen.per_order_minutes +
+            (throttled ? kitchen.delay_padding : 0)
+    };
+}
+
+// Minutes until a new order should be ready, split into its parts
+function estimatePromise(kitchen, { source, activeOrders, throttled, timezone, now = new Date() }) {
+    return {
+        base: source === 'walk-in' ? kitchen.walkin_expect_minutes : kitchen.remote_promise_minutes,
+        queue: activeOrders * kitchen.per_order_minutes,
+        weekend: kitchen.weekend_offset && isWeekendPeak(timezone, now) ? kitchen.weekend_padding : 0,
+        throttle: throttled ? kitchen.delay_padding : 0
+    };
+}
+
+function promiseMinutes(breakdown) {
+    return breakdown.base + breakdown.queue + breakdown.weekend + breakdown.throttle;
+}
+
+function addMinutes(iso, minutes) {
+    return new Date(new Date(iso).getTime() + minutes * 60 * 1000).toISOString();
+}
+
+// Promise for an order about to be created. Scheduled orders are promised for their slot.
+async function promiseForNewOrder(restaurantId, settings, fulfillment, now) {
+    if (fulfillment.scheduled_for) {
+        return { promised_at: fulfillment.scheduled_for, promise_breakdown: null, promise_minutes: null };
+    }
+    
+    const kitchen = kitchenSettings(settings);
+    const activeOrders = await activeOrderCount(restaurantId, kitchen);
+    const { throttled } = loadSummary(activeOrders, kitchen);
+    const breakdown = estimatePromise(kitchen, { 
+        source: fulfillment.order_source, 
+        activeOrders, 
+        throttled, 
+        timezone: settings.timezone 
+    });
+    const minutes = promiseMinutes(breakdown);
+    
+    return { promised_at: addMinutes(now, minutes), promise_breakdown: breakdown, promise_minutes: minutes };
+}
+
+// Recalculate the load after the queue changes. When the throttle state flips,
+// pad (or un-pad) the ETAs of orders that are not yet locked and tell everyone.
+async function refreshKitchenLoad(restaurantId) {
+    const { data: restaurant, error } = await supabase
+        .from('restaurants')
+        .select('name, settings')
+        .eq('id', restaurantId)
+        .single();
+    
+    if (error) throw error;
+    
+    const settings = restaurant.settings || {};
+    const kitchen = kitchenSettings(settings);
+    const load = loadSummary(await activeOrderCount(restaurantId, kitchen), kitchen);
+    
+    io.to(`restaurant:${restaurantId}`).emit('kitchen_load', load);
+    
+    if (kitchenThrottleState.get(restaurantId) === load.throttled) return load;
+    kitchenThrottleState.set(restaurantId, load.throttled);
+    console.log(`${load.throttled ? '🚨' : '✅'} Kitchen load ${load.load_percentage}% - ETAs ${load.throttled ? 'padded' : 'restored'}`);
+    
+    const { data: orders, error: ordersError } = await supabase
+        .from('orders')
+        .select('id, order_number, phone_number, created_at, promised_at, promise_breakdown')
+        .eq('restaurant_id', restaurantId)
+        .in('status', ACTIVE_STATUSES)
+        .is('scheduled_for', null);
+    
+    if (ordersError) throw ordersError;
+    
+    const throttle = load.throttled ? kitchen.delay_padding : 0;
+    const now = Date.now();
+    
+    for (const order of orders) {
+        const breakdown = order.promise_breakdown;
+        if (!breakdown || breakdown.throttle === throttle) continue;
+        
+        // Anchored: far enough into its promise that the ETA no longer moves
+        const elapsedMinutes = (now - new Date(order.created_at).getTime()) / 60000;
+        if (elapsedMinutes >= promiseMinutes(breakdown) * kitchen.lock_threshold / 100) continue;
+        
+        const updated = { ...breakdown, throttle };
+        const minutes = promiseMinutes(updated);
+        const promisedAt = addMinutes(order.created_at, minutes);
+        
+        const { error: updateError } = await supabase
+            .from('orders')
+            .update({ promised_at: promisedAt, promise_breakdown: updated })
+            .eq('id', order.id);
+        
+        if (updateError) {
+            console.error(`❌ Failed to update ETA for ${order.order_number}:`, updateError.message);
+            continue;
+        }
+        
+        emitOrderEvent(restaurantId, 'eta_updated', { 
+            orderId: order.id, 
+            orderNumber: order.order_number, 
+            promisedAt, 
+            promiseMinutes: minutes 
+        });
+        publishTrackingUpdate(order.id, { promised_at: promisedAt });
+        
+        if (load.throttled && kitchen.notify_delays && whatsappEnabled()) {
+            await queueWhatsAppMessage({
+                restaurantId,
+                orderId: order.id,
+                recipient: order.phone_number,
+                message: `⏱️ *Kitchen update*\n\n${restaurant.name || 'Restaurant'} is very busy right now. ` +
+                    `Order #${order.order_number} is now expected around ${formatLocalTime(promisedAt, settings.timezone)}. ` +
+                    `Thanks for your patience!`
+            });
+        }
+    }
+    
+    return load;
+}
+
+// Fire-and-forget wrapper for request handlers
+function scheduleKitchenRefresh(restaurantId) {
+    refreshKitchenLoad(restaurantId).catch(err => console.error('Kitchen load refresh error:', err));
+}
+
+// GET KITCHEN SETTINGS AND CURRENT LOAD
+app.get('/api/restaurants/:restaurantId/kitchen', requireStaff(...STAFF_ROLES), async (req, res) => {
+    try {
+        const { restaurantId } = req.params;
+        
+        const { data: restaurant, error } = await supabase
+            .from('restaurants')
+            .select('settings')
+            .eq('id', restaurantId)
+            .single();
+        
+        if (error || !restaurant) {
+            return res.status(404).json({ error: 'Restaurant not found' });
+        }
+        
+        const kitchen = kitchenSettings(restaurant.settings);
+        const load = loadSummary(await activeOrderCount(restaurantId, kitchen), kitchen);
+        
+        res.json({ success: true, settings: kitchen, load });
+        
+    } catch (err) {
+        console.error('Get kitchen error:', err);
+        res.status(500).json({ error: 'Failed to get kitchen settings' });
+    }
+});
+
+// UPDATE KITCHEN SETTINGS
+app.put('/api/restaurants/:restaurantId/kitchen', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId } = req.params;
+        const updates = req.body || {};
+        
+        const validationError = validateKitchenSettings(updates);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const { data: restaurant, error: fetchError } = await supabase
+            .from('restaurants')
+            .select('settings')
+            .eq('id', restaurantId)
+            .single();
+        
+        if (fetchError || !restaurant) {
+            return res.status(404).json({ error: 'Restaurant not found' });
+        }
+        
+        const settings = restaurant.settings || {};
+        const kitchen = { ...(settings.kitchen || {}), ...updates };
+        
+        const { error } = await supabase
+            .from('restaurants')
+            .update({ settings: { ...settings, kitchen } })
+            .eq('id', restaurantId);
+        
+        if (error) throw error;
+        
+        // New thresholds may change who is throttled
+        kitchenThrottleState.delete(restaurantId);
+        const load = await refreshKitchenLoad(restaurantId);
+        
+        console.log(`⚙️ Kitchen settings updated by ${req.staff.name}`);
+        res.json({ success: true, settings: kitchenSettings({ kitchen }), load });
+        
+    } catch (err) {
+        console.error('Update kitchen error:', err);
+        res.status(500).json({ error: 'Failed to update kitchen settings' });
+    }
+});
+
+// ============================================
+// ORDER PRICING & CREATION PIPELINE
+// ============================================
+// Money is kept in integer cents from the moment prices leave the database;
+// dollars only appear when formatting responses and messages.
+const MAX_ITEM_QUANTITY = 99;
+
+function toCents(amount) {
+    return Math.round(Number(amount) * 100);
+}
+
+function formatCents(cents) {
+    return (cents / 100).toFixed(2);
+}
+
+// Thrown by the pipeline for problems with the order itself (HTTP status + JSON body)
+class OrderError extends Error {
+    constructor(status, body) {
+        super(body.error);
+        this.status = status;
+        this.body = body;
+    }
+}
+
+// Restaurant settings, menu rows for the ordered items and their categories (tax rates, stations, dayparts), fetched in parallel
+async function loadOrderContext(restaurantId, orderItems) {
+    const itemIds = [...new Set(orderItems.map(item => item.id))];
+    
+    const [restaurantResult, itemsResult, categoriesResult] = await Promise.all([
+        supabase
+            .from('restaurants')
+            .select('settings, name, is_active')
+            .eq('id', restaurantId)
+            .single(),
+        supabase
+            .from('menu_items')
+            .select('id, name, price, is_available, unavailable_until, daypart, category_id, station, stock_count')
+            .eq('restaurant_id', restaurantId)
+            .in('id', itemIds),
+        supabase
+            .from('menu_categories')
+            .select('id, tax_rate, station, daypart')
+            .eq('restaurant_id', restaurantId)
+    ]);
+    
+    if (restaurantResult.error) throw restaurantResult.error;
+    if (itemsResult.error) throw itemsResult.error;
+    if (categoriesResult.error) throw categoriesResult.error;
+    
+    if (!restaurantResult.data.is_active) {
+        throw new OrderError(409, { error: `${restaurantResult.data.name} is not taking orders right now` });
+    }
+    
+    const categoryTaxRates = new Map(categoriesResult.data
+        .filter(c => c.tax_rate !== null && c.tax_rate !== undefined)
+        .map(c => [c.id, Number(c.tax_rate)]));
+    
+    // Kitchen station per item: its own, else its category's, else the restaurant default
+    const defaultStation = restaurantResult.data.settings?.default_station || 'kitchen';
+    const categoryStations = new Map(categoriesResult.data.map(c => [c.id, c.station]));
+    const stations = new Map(itemsResult.data.map(item => 
+        [item.id, item.station || categoryStations.get(item.category_id) || defaultStation]));
+    
+    const categories = new Map(categoriesResult.data.map(c => [c.id, c]));
+    
+    return { restaurant: restaurantResult.data, menuItems: itemsResult.data, categories, categoryTaxRates, stations };
+}
+
+// Price every line item from database prices (never the client's)
+function priceOrderItems(orderItems, menuItems, optionsById, categoryTaxRates) {
+    const lines = [];
+    
+    const calculatedItems = orderItems.map(orderItem => {
+        const menuItem = menuItems.find(m => m.id === orderItem.id);
+        const quantity = parseInt(orderItem.quantity) || 1;
+        const unitCents = toCents(menuItem.price);
+        
+        const customizations = (orderItem.customizations || []).map(selected => {
+            const opt = optionsById.get(selected.id);
+            return { id: opt.id, name: opt.name, price_cents: toCents(opt.price) };
+        });
+        const customizationsCents = customizations.reduce((sum, c) => sum + c.price_cents, 0);
+        const itemTotalCents = (unitCents + customizationsCents) * quantity;
+        lines.push({ cents: itemTotalCents, taxRate: categoryTaxRates.get(menuItem.category_id) ?? null });
+        
+        return {
+            id: menuItem.id,
+            name: menuItem.name,
+            price: unitCents / 100,
+            quantity: quantity,
+            customizations: customizations.map(c => ({ id: c.id, name: c.name, price: c.price_cents / 100 })),
+            special_notes: orderItem.special_notes || '',
+            item_total: itemTotalCents / 100
+        };
+    });
+    
+    return { calculatedItems, lines };
+}
+
+function validateOrderItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new OrderError(400, { error: 'Missing required field: items' });
+    }
+    
+    const badQuantity = items.find(item => item.quantity !== undefined && 
+        !(Number.isInteger(Number(item.quantity)) && item.quantity >= 1 && item.quantity <= MAX_ITEM_QUANTITY));
+    if (badQuantity) {
+        throw new OrderError(400, { error: `Item quantities must be whole numbers from 1 to ${MAX_ITEM_QUANTITY}` });
+    }
+}
+
+// Validate and price an order without saving it. Used for checkout quotes and
+// as the first half of createOrder. Throws OrderError for bad input.
+async function quoteOrder(restaurantId, input) {
+    validateOrderItems(input.items);
+    
+    const { items: orderItems, promo_code } = input;
+    const { restaurant, menuItems, categories, categoryTaxRates, stations } = await loadOrderContext(restaurantId, orderItems);
+    
+    const missing = orderItems.filter(item => !menuItems.some(m => m.id === item.id));
+    if (missing.length > 0) {
+        throw new OrderError(400, { error: 'Some items are not on this menu', missing: missing.map(i => i.id) });
+    }
+    
+    // Scheduled orders are checked against the menu at the time they are for;
+    // resolveFulfillment validates the time itself further down
+    const scheduledAt = input.scheduled_for ? new Date(input.scheduled_for) : null;
+    const availableAt = scheduledAt && !isNaN(scheduledAt.getTime()) ? scheduledAt : new Date();
+    const clock = availabilityClock(restaurant.settings || {}, availableAt);
+    
+    // Check if any items are switched off, 86'd or outside their daypart
+    const unavailableItems = menuItems
+        .map(item => ({ item, reason: unavailableReason(item, categories.get(item.category_id), clock) }))
+        .filter(entry => entry.reason);
+    if (unavailableItems.length > 0) {
+        throw new OrderError(400, { 
+            error: scheduledAt ? 'Some items are not available at the scheduled time' : 'Some items are currently unavailable',
+            unavailable: unavailableItems.map(entry => entry.item.name),
+            reasons: unavailableItems.map(({ item, reason }) => ({ 
+                id: item.id, 
+                name: item.name, 
+                reason,
+                until: reason === 'held' ? item.unavailable_until : undefined
+            }))
+        });
+    }
+    
+    // Check customizations against each item's category rules
+    const { violations, optionsById } = await validateCustomizations(orderItems, menuItems, availableAt);
+    if (violations.length > 0) {
+        throw new OrderError(400, { error: 'Invalid customizations', violations });
+    }
+    
+    const settings = restaurant.settings || {};
+    const { calculatedItems, lines } = priceOrderItems(orderItems, menuItems, optionsById, categoryTaxRates);
+    const subtotalCents = lines.reduce((sum, line) => sum + line.cents, 0);
+    const fulfillment = resolveFulfillment(input, settings, subtotalCents);
+    const orderType = fulfillment.fulfillment_type;
+    const promo = promo_code ? await findPromoCode(restaurantId, promo_code, subtotalCents, orderType) : null;
+    const loyaltyProgram = loyaltySettings(settings);
+    const pointsDiscount = loyaltyDiscount(loyaltyProgram, input.redeem_points, subtotalCents);
+    const pricing = calculatePricing(lines, settings, orderType, promo, fulfillment.charges, pointsDiscount ? [pointsDiscount] : []);
+    const loyalty = loyaltyForPricing(loyaltyProgram, pricing);
+    
+    // Early answer for quotes; create_order re-checks stock inside its transaction
+    const stock = await planStockUsage(restaurantId, calculatedItems, menuItems);
+    if (stock.shortages.length > 0) {
+        throw new OrderError(409, { error: 'Not enough stock', unavailable: stock.shortages });
+    }
+    
+    return { restaurant, calculatedItems, pricing, promo, loyalty, fulfillment, stations, stock };
+}
+
+// Validate, price and save an order, then notify the customer and the KDS.
+// Shared by every channel that creates orders. Throws OrderError for bad input.
+// customerVerified: a staff member is placing the order, so the customer may spend points.
+// phoneVerified: the order comes from the customer's own WhatsApp number.
+// external: { source, order_id } for orders relayed by a delivery aggregator (see
+// AGGREGATOR ORDERS). They may come without a usable phone number, are already paid
+// for and do not create customer records or loyalty points.
+async function createOrder(restaurantId, input, { customerVerified = false, phoneVerified = false, external = null } = {}) {
+    const { customer_name, phone_number, notes } = input;
+    
+    if (!customer_name || (!phone_number && !external) || !Array.isArray(input.items) || input.items.length === 0) {
+        throw new OrderError(400, { error: 'Missing required fields: customer_name, phone_number, items' });
+    }
+    if (!external && resolveOrderChannel(input).source === 'aggregator') {
+        throw new OrderError(400, { error: 'Delivery app orders can only come in through an integration' });
+    }
+    
+    const quote = await quoteOrder(restaurantId, input);
+    const { restaurant, calculatedItems, pricing, promo, fulfillment, stations, stock } = quote;
+    const loyalty = external ? null : quote.loyalty;
+    
+    const phone = phone_number ? normalizePhone(phone_number, phoneCountryCode(restaurant.settings)) : null;
+    if (!phone && !external) {
+        throw new OrderError(400, { error: 'phone_number must be a valid phone number' });
+    }
+    if (input.marketing_opt_in !== undefined && typeof input.marketing_opt_in !== 'boolean') {
+        throw new OrderError(400, { error: 'marketing_opt_in must be true or false' });
+    }
+    
+    // The customer's number is proven by a staff session, by being the WhatsApp
+    // sender or by a one-time code; only then may they spend points, be renamed or
+    // change their marketing consent
+    const verification = customerVerified || phoneVerified || external || input.verification_code === undefined
+        ? null
+        : await checkVerificationCode(restaurantId, phone, input.verification_code);
+    if (verification && verification.result !== 'ok') {
+        throw verificationError(verification.result);
+    }
+    const phoneProven = customerVerified || phoneVerified || !!verification;
+    
+    const customer = external ? null : await upsertCustomer(restaurantId, phone, {
+        name: customer_name,
+        marketingOptIn: input.marketing_opt_in,
+        source: customerVerified ? 'staff' : fulfillment.order_source === 'whatsapp' ? 'whatsapp' : 'web',
+        verified: phoneProven
+    });
+    
+    if (loyalty?.redeem_points) {
+        if (!phoneProven) {
+            throw verificationError('required');
+        }
+        if (customer.loyalty_points < loyalty.redeem_points) {
+            throw new OrderError(409, { error: 'Not enough loyalty points', loyalty_points: customer.loyalty_points });
+        }
+    }
+    
+    const tickets = buildStationTickets(calculatedItems, stations);
+    const totals = formatPricing(pricing);
+    const payments = external ? null : paymentFor(restaurant.settings, fulfillment.order_source, pricing.totalCents);
+    
+    // Stock, number allocation, promo redemption, order insert, history entry and station tickets happen in one transaction.
+    // Orders that must be paid first are saved as pending_payment and keep their stock until paid or expired.
+    const numbering = orderNumberConfig(restaurant);
+    const now = new Date().toISOString();
+    const promise = await promiseForNewOrder(restaurantId, restaurant.settings || {}, fulfillment, now);
+    const trackingToken = newTrackingToken();
+    const { data: savedOrder, error: dbError } = await supabase.rpc('create_order', {
+        p_order: {
+            id: uuidv4(),
+            restaurant_id: restaurantId,
+            business_date: numbering.businessDate,
+            customer_name: customer_name,
+            phone_number: phone,
+            order_source: fulfillment.order_source,
+            fulfillment_type: fulfillment.fulfillment_type,
+            table_number: fulfillment.table_number,
+            delivery_address: fulfillment.delivery_address,
+            delivery_zone: fulfillment.delivery_zone,
+            scheduled_for: fulfillment.scheduled_for,
+            promised_at: promise.promised_at,
+            promise_breakdown: promise.promise_breakdown,
+            tracking_token: trackingToken,
+            order_items: JSON.stringify(calculatedItems),
+            total_amount: totals.total,
+            pricing: totals,
+            user_input: notes || '',
+            status: payments ? 'pending_payment' : 'new',
+            payment_status: payments ? 'pending' : 'not_required',
+            external_source: external?.source || null,
+            external_order_id: external?.order_id || null,
+            stock_usage: stock.usage,
+            created_at: now,
+            updated_at: now
+        },
+        p_period: numbering.period,
+        p_prefix: numbering.prefix,
+        p_pad: numbering.pad,
+        p_promo_code_id: promo?.id || null,
+        p_tickets: tickets,
+        p_stock: stock.usage,
+        p_customer_id: customer?.id || null,
+        p_redeem_points: loyalty?.redeem_points || 0,
+        p_earn_points: loyalty?.earn_points || 0
+    });
+    
+    if (dbError?.message?.includes('promo_code_exhausted')) {
+        throw new OrderError(409, { error: 'Invalid promo code', reason: 'Promo code has been fully redeemed' });
+    }
+    if (dbError?.message?.includes('insufficient_points')) {
+        // Spent on another order between the check above and the insert
+        throw new OrderError(409, { error: 'Not enough loyalty points' });
+    }
+    if (dbError?.message?.includes('insufficient_stock')) {
+        // Someone else took the last of it between the quote and the insert
+        throw new OrderError(409, { error: 'Not enough stock', unavailable: stock.affected.get(dbError.details) || [] });
+    }
+    if (dbError?.code === '23505' && external) {
+        // The aggregator sent the same order twice at the same time
+        throw new OrderError(409, { error: 'This order was already received' });
+    }
+    if (dbError) throw dbError;
+    
+    console.log(`✅ Order created: ${savedOrder.order_number} - $${totals.total}${payments ? ' (waiting for payment)' : ''}`);
+    if (verification) await markVerificationCodeUsed(verification.code_id);
+    if (stock.usage) afterStockTaken(restaurantId, stock.usage);
+    
+    // Paid channels only reach the kitchen once the payment webhook arrives
+    const payment = payments ? await startPayment(savedOrder, payments) : null;
+    if (!payment) {
+        await announceOrder(savedOrder, restaurant, tickets, promise);
+    }
+    
+    return {
+        id: savedOrder.id,
+        order_number: savedOrder.order_number,
+        status: savedOrder.status,
+        fulfillment_type: fulfillment.fulfillment_type,
+        table_number: fulfillment.table_number,
+        delivery_address: fulfillment.delivery_address,
+        delivery_zone: fulfillment.delivery_zone,
+        scheduled_for: fulfillment.scheduled_for,
+        promised_at: promise.promised_at,
+        promise_minutes: promise.promise_minutes,
+        tracking_token: trackingToken,
+        tracking_url: trackingUrl(trackingToken),
+        customer_id: customer?.id || null,
+        ...(external ? { external_source: external.source, external_order_id: external.order_id } : {}),
+        items: calculatedItems,
+        ...totals,
+        ...(loyalty ? { loyalty: {
+            points_redeemed: loyalty.redeem_points,
+            points_earned: loyalty.earn_points,
+            balance: customer.loyalty_points - loyalty.redeem_points + loyalty.earn_points
+        } } : {}),
+        ...(payment ? { payment: publicPaymentView(payment) } : {})
+    };
+}
+
+// Tell the customer and the kitchen about a saved order (status 'new').
+// Runs at creation, or when the payment of a pending_payment order arrives.
+async function announceOrder(order, restaurant, tickets, promise) {
+    const restaurantId = order.restaurant_id;
+    const restaurantName = restaurant.name || 'Restaurant';
+    const items = typeof order.order_items === 'string' ? JSON.parse(order.order_items) : order.order_items;
+    const totals = order.pricing;
+    const now = order.updated_at || new Date().toISOString();
+    
+    // Send WhatsApp confirmation (delivery apps message their own customers)
+    if (whatsappEnabled() && order.order_source !== 'aggregator') {
+        const itemsText = items.map(item => {
+            let itemStr = `• ${item.name} x${item.quantity}`;
+            if (item.customizations && item.customizations.length > 0) {
+                const customText = item.customizations.map(c => c.name).join(', ');
+                itemStr += `\n  + ${customText}`;
+            }
+            itemStr += ` - $${item.item_total.toFixed(2)}`;
+            return itemStr;
+        }).join('\n');
+        
+        const adjustmentsText = totals.adjustments
+            .map(adj => `${adj.name}: ${adj.amount.startsWith('-') ? '-$' + adj.amount.slice(1) : '$' + adj.amount}`)
+            .join('\n');
+        
+        const confirmationMessage = `✅ *Order Confirmed!*\n\n` +
+            `${restaurantName}\n` +
+            `Order #${order.order_number}\n` +
+            `${describeFulfillment(order, restaurant.settings?.timezone)}\n` +
+            (promise.promise_minutes 
+                ? `⏱️ Ready in about ${promise.promise_minutes} min (around ${formatLocalTime(promise.promised_at, restaurant.settings?.timezone)})\n` 
+                : '') +
+            (order.payment_status === 'paid' ? `💳 Paid online\n` : '') +
+            `\n` +
+            `*Your Order:*\n` +
+            itemsText +
+            `\n\nSubtotal: $${totals.subtotal}` +
+            (adjustmentsText ? `\n${adjustmentsText}` : '') +
+            `\n*Total: $${totals.total}*\n\n` +
+            (PUBLIC_URL ? `Track your order live: ${trackingUrl(order.tracking_token)}\n\n` : '') +
+            `Thank you! We'll send you updates as your order is prepared.`;
+        
+        await queueWhatsAppMessage({
+            restaurantId,
+            orderId: order.id,
+            recipient: order.phone_number,
+            message: confirmationMessage
+        });
+    }
+    
+    emitOrderEvent(restaurantId, 'new-kds-order', {
+        id: order.id,
+        orderNumber: order.order_number,
+        customerName: order.customer_name,
+        phone: order.phone_number,
+        orderType: order.order_source,
+        fulfillmentType: order.fulfillment_type,
+        tableNumber: order.table_number,
+        deliveryAddress: order.delivery_address,
+        deliveryZone: order.delivery_zone,
+        scheduledFor: order.scheduled_for,
+        promisedAt: promise.promised_at,
+        promiseMinutes: promise.promise_minutes,
+        paymentStatus: order.payment_status,
+        externalSource: order.external_source,
+        externalOrderId: order.external_order_id,
+        items,
+        tickets: tickets.map(t => ({ id: t.id, station: t.station, items: t.items })),
+        ...totals,
+        status: 'new',
+        timestamp: now,
+        notes: order.user_input || ''
+    });
+    
+    // Station screens only get their own part of the order
+    tickets.forEach(ticket => {
+        emitOrderEvent(restaurantId, 'station_ticket', {
+            ticketId: ticket.id,
+            orderId: order.id,
+            orderNumber: order.order_number,
+            station: ticket.station,
+            customerName: order.customer_name,
+            fulfillmentType: order.fulfillment_type,
+            tableNumber: order.table_number,
+            promisedAt: promise.promised_at,
+            items: ticket.items,
+            timestamp: now
+        }, { station: ticket.station });
+    });
+    console.log(`📡 KDS broadcast sent for order ${order.order_number} (${tickets.map(t => t.station).join(', ')})`);
+    
+    queueOrderPrints(order, restaurant, tickets);
+    scheduleKitchenRefresh(restaurantId);
+    await queueWebhookEvent(restaurantId, 'order.created', { order: webhookOrderView(order) });
+}
+
+// ============================================
+// PAYMENTS
+// ============================================
+// restaurants.settings.payments (payments are off without a provider):
+//   provider        name of an adapter in PAYMENT_PROVIDERS
+//   required_for    order sources that pay before the kitchen sees the order
+//                   (default web and whatsapp; staff-entered orders pay at the counter.
+//                   Only staff sessions can place orders from other sources than web.)
+//   currency        ISO code (default settings.currency, else USD)
+//   expire_minutes  unpaid orders are cancelled after this long (default 30)
+//
+// Orders that need paying are saved as pending_payment with payment_status 'pending'.
+// The provider's webhook moves them to 'new' and only then are the kitchen and the
+// customer told. Cancelling a paid order refunds whatever has not been refunded yet.
+//
+// A provider adapter implements:
+//   createIntent({ order, amountCents, currency })        -> { id, status, checkout_url }
+//   cancelIntent({ payment })                             -> optional, best effort
+//   refund({ payment, refund, amountCents })              -> { id, status: 'pending' | 'succeeded' }
+//   parseWebhook(req) -> event, or null when the signature does not match. Events:
+//     { type: 'payment.succeeded' | 'payment.failed', provider_payment_id }
+//     { type: 'refund.succeeded' | 'refund.failed', provider_refund_id, reference }
+//   where reference is our payment_refunds id, echoed back by the provider.
+const PAYMENT_DEFAULTS = { required_for: ['web', 'whatsapp'], currency: 'USD', expire_minutes: 30 };
+const PAYMENT_EXPIRY_POLL_MS = 60 * 1000;
+const PAYMENT_ACTOR = { staff_id: null, name: 'Payments', role: 'system' };
+
+// The mock provider settles everything locally, so checkout can be tested offline.
+// Anyone can "pay" through it, so it only exists with MOCK_PAYMENTS=true.
+const MOCK_PAYMENTS_ENABLED = process.env.MOCK_PAYMENTS === 'true';
+const MOCK_PAYMENT_SECRET = process.env.MOCK_PAYMENT_SECRET || crypto.randomBytes(32).toString('hex');
+const MOCK_REFUND_DELAY_MS = 500;
+
+function mockSignature(body) {
+    return crypto.createHmac('sha256', MOCK_PAYMENT_SECRET).update(body).digest('hex');
+}
+
+// Deliver a mock provider event to our own webhook, signed like a real provider would
+async function sendMockPaymentEvent(event) {
+    const body = JSON.stringify(event);
+    await axios.post(`http://127.0.0.1:${PORT}/api/payments/webhook/mock`, body, {
+        headers: { 'Content-Type': 'application/json', 'X-Mock-Signature': mockSignature(body) }
+    });
+}
+
+const mockPaymentProvider = {
+    async createIntent() {
+        const id = `mock_pay_${crypto.randomBytes(12).toString('hex')}`;
+        return { id, status: 'requires_payment', checkout_url: `${PUBLIC_URL}/pay/mock/${id}` };
+    },
+    
+    async refund({ payment, refund, amountCents }) {
+        const id = `mock_ref_${crypto.randomBytes(12).toString('hex')}`;
+        // Settles a moment later through the webhook, like a real provider
+        setTimeout(() => {
+            sendMockPaymentEvent({ 
+                type: 'refund.succeeded', 
+                provider_payment_id: payment.provider_payment_id, 
+                provider_refund_id: id, 
+                reference: refund.id, 
+                amount_cents: amountCents 
+            }).catch(err => console.error('Mock refund webhook error:', err.message));
+        }, MOCK_REFUND_DELAY_MS);
+        return { id, status: 'pending' };
+    },
+    
+    parseWebhook(req) {
+        const header = req.get('X-Mock-Signature') || '';
+        const expected = mockSignature(req.rawBody || '');
+        return safeEqual(header, expected) ? req.body : null;
+    }
+};
+
+const PAYMENT_PROVIDERS = {
+    ...(MOCK_PAYMENTS_ENABLED ? { mock: mockPaymentProvider } : {})
+};
+
+// settings.payments as saved through the restaurant admin API. Only installed
+// providers are accepted (the mock one only when MOCK_PAYMENTS=true).
+function validatePaymentSettings(payments) {
+    if (!payments || typeof payments !== 'object' || Array.isArray(payments)) return 'payments must be an object';
+    if (payments.provider != null && !PAYMENT_PROVIDERS[payments.provider]) {
+        const installed = Object.keys(PAYMENT_PROVIDERS);
+        return installed.length > 0 
+            ? `payments.provider must be one of: ${installed.join(', ')}` 
+            : 'No payment provider is installed';
+    }
+    if (payments.required_for !== undefined && 
+        !(Array.isArray(payments.required_for) && payments.required_for.every(source => ORDER_SOURCES.includes(source)))) {
+        return `payments.required_for must be a list of: ${ORDER_SOURCES.join(', ')}`;
+    }
+    if (payments.currency !== undefined && !/^[A-Z]{3}$/.test(String(payments.currency))) {
+        return 'payments.currency must be a 3-letter ISO code like USD';
+    }
+    if (payments.expire_minutes !== undefined && !(Number.isInteger(payments.expire_minutes) && payments.expire_minutes > 0)) {
+        return 'payments.expire_minutes must be a whole number of minutes';
+    }
+    return null;
+}
+
+// Payment settings for an order from this source, or null when it is paid in person.
+// A configured provider that is not installed is an error rather than free food.
+function paymentFor(settings, source, totalCents) {
+    const config = { ...PAYMENT_DEFAULTS, currency: settings?.currency || PAYMENT_DEFAULTS.currency, ...settings?.payments };
+    if (!config.provider || !config.required_for.includes(source) || totalCents <= 0) return null;
+    
+    const adapter = PAYMENT_PROVIDERS[config.provider];
+    if (!adapter) {
+        throw new OrderError(503, { error: 'Online payments are unavailable right now' });
+    }
+    return { ...config, adapter };
+}
+
+// Create the provider intent for a freshly saved pending_payment order. When the
+// provider fails, the order is cancelled (returning its stock) and the error is thrown.
+async function startPayment(order, payments) {
+    const amountCents = toCents(order.total_amount);
+    let intent;
+    
+    try {
+        intent = await payments.adapter.createIntent({ order, amountCents, currency: payments.currency });
+    } catch (err) {
+        console.error(`❌ Payment intent failed for ${order.order_number}:`, err.message);
+        await changeOrderStatus(order, 'cancelled', PAYMENT_ACTOR, 'Payment could not be started');
+        throw new OrderError(502, { error: 'Payment could not be started. Please try again.' });
+    }
+    
+    const { data: payment, error } = await supabase
+        .from('payments')
+        .insert([{
+            order_id: order.id,
+            restaurant_id: order.restaurant_id,
+            provider: payments.provider,
+            provider_payment_id: intent.id,
+            amount_cents: amountCents,
+            currency: payments.currency,
+            checkout_url: intent.checkout_url || null
+        }])
+        .select()
+        .single();
+    
+    if (error) throw error;
+    
+    console.log(`💳 Payment ${intent.id} started for order ${order.order_number} ($${order.total_amount})`);
+    return payment;
+}
+
+// Payment as shown to the customer who is checking out
+function publicPaymentView(payment) {
+    return {
+        status: payment.status,
+        amount: formatCents(payment.amount_cents),
+        currency: payment.currency,
+        checkout_url: payment.checkout_url
+    };
+}
+
+// Refund whatever is left of an order's payments (or amountCents of it)
+async function refundOrderPayment(order, { amountCents, reason, actor }) {
+    const { data: payments, error } = await supabase
+        .from('payments')
+        .select('*')
+        .eq('order_id', order.id)
+        .eq('status', 'succeeded');
+    
+    if (error) throw error;
+    
+    const payment = payments[0];
+    if (!payment) return null;
+    
+    const remainingCents = payment.amount_cents - payment.refunded_cents;
+    if (amountCents === undefined && remainingCents <= 0) return null;
+    
+    const adapter = PAYMENT_PROVIDERS[payment.provider];
+    if (!adapter) throw new Error(`Payment provider ${payment.provider} is not available`);
+    
+    const { data: refund, error: refundError } = await supabase.rpc('request_refund', {
+        p_payment_id: payment.id,
+        p_amount_cents: amountCents ?? remainingCents,
+        p_reason: reason || null,
+        p_actor_name: actor?.name || null
+    });
+    
+    if (refundError) throw refundError;
+    
+    let result;
+    try {
+        result = await adapter.refund({ payment, refund, amountCents: refund.amount_cents });
+    } catch (err) {
+        console.error(`❌ Refund failed for order ${order.order_number}:`, err.message);
+        await supabase.rpc('settle_refund', { p_refund_id: refund.id, p_succeeded: false });
+        throw err;
+    }
+    
+    if (result.status === 'succeeded') {
+        await supabase.rpc('settle_refund', { p_refund_id: refund.id, p_succeeded: true, p_provider_refund_id: result.id });
+    } else {
+        await supabase.from('payment_refunds').update({ provider_refund_id: result.id }).eq('id', refund.id);
+    }
+    
+    console.log(`💸 Refund of $${formatCents(refund.amount_cents)} for order ${order.order_number}: ${result.status}`);
+    return { ...refund, provider_refund_id: result.id, status: result.status };
+}
+
+// Money and stock side of a cancellation. Unpaid orders drop their payment and give
+// their stock back; paid ones are refunded. Failures are logged for staff to follow up.
+async function settlePaymentOnCancel(order, previousStatus, actor, reason) {
+    try {
+        if (previousStatus === 'pending_payment') {
+            const { data: payments } = await supabase
+                .from('payments')
+                .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+                .eq('order_id', order.id)
+                .eq('status', 'requires_payment')
+                .select();
+            
+            for (const payment of payments || []) {
+                await PAYMENT_PROVIDERS[payment.provider]?.cancelIntent?.({ payment });
+            }
+            
+            await supabase.from('orders').update({ payment_status: 'failed' }).eq('id', order.id).eq('payment_status', 'pending');
+        } else if (['paid', 'partially_refunded'].includes(order.payment_status)) {
+            await refundOrderPayment(order, { reason, actor });
+        }
+    } catch (err) {
+        console.error(`❌ Payment follow-up failed for order ${order.order_number}:`, err.message || err);
+    }
+}
+
+// Apply one verified provider event. Safe to receive more than once.
+async function handlePaymentEvent(provider, event) {
+    if (event.type === 'refund.succeeded' || event.type === 'refund.failed') {
+        let refundId = event.reference;
+        if (!refundId) {
+            const { data } = await supabase
+                .from('payment_refunds')
+                .select('id')
+                .eq('provider_refund_id', event.provider_refund_id)
+                .maybeSingle();
+            refundId = data?.id;
+        }
+        if (!refundId) return console.log(`⚠️ Unknown refund ${event.provider_refund_id} from ${provider}`);
+        
+        const { data: paymentStatus, error } = await supabase.rpc('settle_refund', {
+            p_refund_id: refundId,
+            p_succeeded: event.type === 'refund.succeeded',
+            p_provider_refund_id: event.provider_refund_id || null
+        });
+        if (error) throw error;
+        if (paymentStatus) console.log(`💸 Refund ${refundId} ${event.type === 'refund.succeeded' ? 'completed' : 'failed'} (${paymentStatus})`);
+        return;
+    }
+    
+    const succeeded = event.type === 'payment.succeeded';
+    if (!succeeded && event.type !== 'payment.failed') return;
+    
+    // Repeated events change nothing. A customer may still pay after a decline or after
+    // the order was cancelled; that money is kept track of (and refunded below).
+    const { data: payment, error } = await supabase
+        .from('payments')
+        .update({ status: succeeded ? 'succeeded' : 'failed', updated_at: new Date().toISOString() })
+        .eq('provider', provider)
+        .eq('provider_payment_id', event.provider_payment_id)
+        .in('status', succeeded ? ['requires_payment', 'failed', 'cancelled'] : ['requires_payment'])
+        .select()
+        .maybeSingle();
+    
+    if (error) throw error;
+    if (!payment) return;
+    
+    const { data: order, error: orderError } = await supabase
+        .from('orders')
+        .select('*')
+        .eq('id', payment.order_id)
+        .single();
+    
+    if (orderError) throw orderError;
+    
+    if (!succeeded) {
+        console.log(`💳 Payment failed for order ${order.order_number}`);
+        if (order.status === 'pending_payment') {
+            await changeOrderStatus(order, 'cancelled', PAYMENT_ACTOR, 'Payment failed');
+        }
+        return;
+    }
+    
+    if (order.status !== 'pending_payment') {
+        // Paid after the order expired or was cancelled - give the money back
+        console.log(`💳 Late payment for ${order.status} order ${order.order_number}, refunding`);
+        await supabase.from('orders').update({ payment_status: 'paid' }).eq('id', order.id);
+        await refundOrderPayment({ ...order, payment_status: 'paid' }, { reason: `Paid after the order was ${order.status}`, actor: PAYMENT_ACTOR });
+        return;
+    }
+    
+    await releaseOrderToKitchen(order);
+}
+
+// A paid order goes to the kitchen: fresh promise time, status 'new', then the
+// same announcements an unpaid-channel order gets when it is created
+async function releaseOrderToKitchen(order) {
+    const { data: restaurant, error } = await supabase
+        .from('restaurants')
+        .select('name, settings')
+        .eq('id', order.restaurant_id)
+        .single();
+    
+    if (error) throw error;
+    
+    const now = new Date().toISOString();
+    const promise = await promiseForNewOrder(order.restaurant_id, restaurant.settings || {}, order, now);
+    
+    const { data: released, error: updateError } = await supabase
+        .from('orders')
+        .update({ 
+            status: 'new', 
+            payment_status: 'paid', 
+            promised_at: promise.promised_at, 
+            promise_breakdown: promise.promise_breakdown,
+            updated_at: now 
+        })
+        .eq('id', order.id)
+        .eq('status', 'pending_payment')
+        .select()
+        .maybeSingle();
+    
+    if (updateError) throw updateError;
+    if (!released) return;
+    
+    await recordStatusChange(released, 'pending_payment', 'new', PAYMENT_ACTOR, null);
+    
+    const { data: tickets, error: ticketsError } = await supabase
+        .from('order_tickets')
+        .select('id, station, items')
+        .eq('order_id', order.id);
+    
+    if (ticketsError) throw ticketsError;
+    
+    console.log(`💳 Order ${released.order_number} paid - sending to the kitchen`);
+    await announceOrder(released, restaurant, tickets, promise);
+    publishTrackingUpdate(released.id, { status: 'new', promised_at: released.promised_at });
+}
+
+// Cancel orders whose payment was never completed
+async function expireUnpaidOrders() {
+    try {
+        const { data: orders, error } = await supabase
+            .from('orders')
+            .select('*, restaurants(settings)')
+            .eq('status', 'pending_payment')
+            .order('created_at')
+            .limit(100);
+        
+        if (error) throw error;
+        
+        for (const order of orders) {
+            const { restaurants: restaurant, ...row } = order;
+            const expireMinutes = restaurant?.settings?.payments?.expire_minutes || PAYMENT_DEFAULTS.expire_minutes;
+            if (Date.now() - new Date(row.created_at).getTime() < expireMinutes * 60 * 1000) continue;
+            
+            console.log(`⌛ Order ${row.order_number} was not paid in ${expireMinutes} min, cancelling`);
+            await changeOrderStatus(row, 'cancelled', PAYMENT_ACTOR, 'Payment not completed in time');
+        }
+    } catch (err) {
+        console.error('Payment expiry error:', err.message || err);
+    }
+}
+
+// PAYMENT PROVIDER WEBHOOK
+app.post('/api/payments/webhook/:provider', async (req, res) => {
+    const { provider } = req.params;
+    const adapter = PAYMENT_PROVIDERS[provider];
+    
+    if (!adapter) {
+        return res.status(404).json({ error: 'Unknown payment provider' });
+    }
+    
+    try {
+        const event = adapter.parseWebhook(req);
+        if (!event) {
+            console.error(`❌ Invalid ${provider} payment webhook signature`);
+            return res.status(401).json({ error: 'Invalid signature' });
+        }
+        
+        await handlePaymentEvent(provider, event);
+        res.json({ received: true });
+    } catch (err) {
+        // A non-2xx answer makes the provider retry
+        console.error('Payment webhook error:', err);
+        res.status(500).json({ error: 'Failed to process payment event' });
+    }
+});
+
+// ORDER PAYMENTS AND REFUNDS (staff)
+app.get('/api/orders/:orderId/payments', requireStaff('cashier', 'manager'), async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        
+        const { data: order } = await supabase
+            .from('orders')
+            .select('id, restaurant_id, payment_status')
+            .eq('id', orderId)
+            .maybeSingle();
+        
+        if (!order || !canAccessRestaurant(req.staff, order.restaurant_id)) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        
+        const [paymentsResult, refundsResult] = await Promise.all([
+            supabase.from('payments').select('*').eq('order_id', orderId).order('created_at'),
+            supabase.from('payment_refunds').select('*').eq('order_id', orderId).order('created_at')
+        ]);
+        
+        if (paymentsResult.error) throw paymentsResult.error;
+        if (refundsResult.error) throw refundsResult.error;
+        
+        res.json({ 
+            success: true, 
+            payment_status: order.payment_status, 
+            payments: paymentsResult.data, 
+            refunds: refundsResult.data 
+        });
+        
+    } catch (err) {
+        console.error('Get payments error:', err);
+        res.status(500).json({ error: 'Failed to get payments' });
+    }
+});
+
+// REFUND AN ORDER (body: { amount?, reason }) - the whole remaining amount by default
+app.post('/api/orders/:orderId/refund', requireStaff('manager'), async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        const { amount, reason } = req.body || {};
+        
+        if (!(reason && String(reason).trim())) {
+            return res.status(400).json({ error: 'A reason is required for refunds' });
+        }
+        if (amount !== undefined && (!isValidPrice(amount) || Number(amount) <= 0)) {
+            return res.status(400).json({ error: 'amount must be a positive amount with at most 2 decimals' });
+        }
+        
+        const { data: order } = await supabase
+            .from('orders')
+            .select('*')
+            .eq('id', orderId)
+            .maybeSingle();
+        
+        if (!order || !canAccessRestaurant(req.staff, order.restaurant_id)) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        
+        const refund = await refundOrderPayment(order, {
+            amountCents: amount === undefined ? undefined : toCents(amount),
+            reason: String(reason).trim(),
+            actor: req.staff
+        });
+        
+        if (!refund) {
+            return res.status(409).json({ error: 'This order has no online payment to refund' });
+        }
+        
+        res.json({ success: true, refund });
+        
+    } catch (err) {
+        if (err.message?.includes('refund_exceeds_payment')) {
+            return res.status(409).json({ 
+                error: 'Refund is more than what is left of the payment', 
+                refundable: formatCents(Number(err.details || 0)) 
+            });
+        }
+        if (err.message?.includes('payment_not_refundable')) {
+            return res.status(409).json({ error: 'This payment cannot be refunded' });
+        }
+        console.error('Refund error:', err);
+        res.status(500).json({ error: 'Failed to refund order' });
+    }
+});
+
+// MOCK PROVIDER CHECKOUT (offline testing)
+if (MOCK_PAYMENTS_ENABLED) {
+    app.get('/pay/mock/:paymentId', (req, res) => {
+        res.sendFile(path.join(__dirname, 'public', 'mock-checkout.html'));
+    });
+    
+    // Payment details for the mock checkout page
+    app.get('/api/payments/mock/:paymentId', async (req, res) => {
+        try {
+            const { data: payment } = await supabase
+                .from('payments')
+                .select('*, orders(order_number, tracking_token)')
+                .eq('provider', 'mock')
+                .eq('provider_payment_id', req.params.paymentId)
+                .maybeSingle();
+            
+            if (!payment) {
+                return res.status(404).json({ error: 'Payment not found' });
+            }
+            
+            res.json({ 
+                success: true, 
+                payment: publicPaymentView(payment), 
+                order_number: payment.orders?.order_number,
+                tracking_url: payment.orders?.tracking_token ? trackingUrl(payment.orders.tracking_token) : null
+            });
+            
+        } catch (err) {
+            console.error('Get mock payment error:', err);
+            res.status(500).json({ error: 'Failed to get payment' });
+        }
+    });
+    
+    // The "customer" pays or declines; the result arrives through the webhook as usual
+    app.post('/api/payments/mock/:paymentId/complete', async (req, res) => {
+        try {
+            const { outcome } = req.body || {};
+            
+            if (!['succeeded', 'failed'].includes(outcome)) {
+                return res.status(400).json({ error: 'outcome must be succeeded or failed' });
+            }
+            
+            await sendMockPaymentEvent({ type: `payment.${outcome}`, provider_payment_id: req.params.paymentId });
+            res.json({ success: true, outcome });
+            
+        } catch (err) {
+            console.error('Complete mock payment error:', err.message || err);
+            res.status(500).json({ error: 'Failed to complete payment' });
+        }
+    });
+}
+
+// ============================================
+// ORDER QUOTE (checkout preview, nothing is saved)
+// ============================================
+app.post('/api/restaurants/:restaurantId/orders/quote', async (req, res) => {
+    try {
+        const { calculatedItems, pricing, loyalty, fulfillment } = await quoteOrder(req.params.restaurantId, req.body);
+        
+        res.json({ 
+            success: true, 
+            quote: { 
+                fulfillment_type: fulfillment.fulfillment_type, 
+                delivery_zone: fulfillment.delivery_zone,
+                items: calculatedItems, 
+                ...formatPricing(pricing),
+                ...(loyalty ? { loyalty: { points_redeemed: loyalty.redeem_points, points_earned: loyalty.earn_points } } : {})
+            } 
+        });
+        
+    } catch (err) {
+        if (err instanceof OrderError) {
+            return res.status(err.status).json(err.body);
+        }
+        console.error('Quote order error:', err);
+        res.status(500).json({ error: 'Failed to price order' });
+    }
+});
+
+// ============================================
+// IDEMPOTENCY KEYS
+// ============================================
+// Ordering pages send an Idempotency-Key header per checkout attempt. A retry with
+// the same key inside the window gets the original response back - no second order,
+// WhatsApp message or KDS card.
+const IDEMPOTENCY_WINDOW_HOURS = 24;
+const IDEMPOTENCY_PRUNE_MS = 60 * 60 * 1000;
+
+function requestHash(body) {
+    return crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+}
+
+// Claim a key. Returns { claimed: true } for a fresh key, or { replay } / { conflict }
+// describing what to send back instead.
+async function claimIdempotencyKey(restaurantId, key, hash) {
+    const { error } = await supabase
+        .from('idempotency_keys')
+        .insert([{ restaurant_id: restaurantId, key, request_hash: hash }]);
+    
+    if (!error) return { claimed: true };
+    if (error.code !== '23505') throw error;
+    
+    const { data: existing, error: fetchError } = await supabase
+        .from('idempotency_keys')
+        .select('*')
+        .eq('restaurant_id', restaurantId)
+        .eq('key', key)
+        .maybeSingle();
+    
+    if (fetchError) throw fetchError;
+    if (!existing) return claimIdempotencyKey(restaurantId, key, hash);
+    
+    const age = Date.now() - new Date(existing.created_at).getTime();
+    if (age > IDEMPOTENCY_WINDOW_HOURS * 60 * 60 * 1000) {
+        await releaseIdempotencyKey(restaurantId, key);
+        return claimIdempotencyKey(restaurantId, key, hash);
+    }
+    
+    if (existing.request_hash !== hash) {
+        return { conflict: { status: 422, error: 'Idempotency-Key was already used for a different order' } };
+    }
+    if (existing.status !== 'completed') {
+        return { conflict: { status: 409, error: 'This order is still being processed' } };
+    }
+    
+    return { replay: existing.response };
+}
+
+async function completeIdempotencyKey(restaurantId, key, response) {
+    const { error } = await supabase
+        .from('idempotency_keys')
+        .update({ status: 'completed', response })
+        .eq('restaurant_id', restaurantId)
+        .eq('key', key);
+    
+    if (error) console.error(`❌ Failed to store idempotent response for ${key}:`, error.message);
+}
+
+// Failed attempts give the key back so the customer can retry
+async function releaseIdempotencyKey(restaurantId, key) {
+    await supabase
+        .from('idempotency_keys')
+        .delete()
+        .eq('restaurant_id', restaurantId)
+        .eq('key', key);
+}
+
+// Keys past the window can no longer be replayed
+async function pruneIdempotencyKeys() {
+    try {
+        const cutoff = new Date(Date.now() - IDEMPOTENCY_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+        const { error } = await supabase
+            .from('idempotency_keys')
+            .delete()
+            .lt('created_at', cutoff);
+        
+        if (error) throw error;
+    } catch (err) {
+        console.error('Idempotency key prune error:', err.message || err);
+    }
+}
+
+// ============================================
+// UPDATED: CREATE ORDER WITH CUSTOMIZATIONS
+// ============================================
+app.post('/api/restaurants/:restaurantId/orders', async (req, res) => {
+    const { restaurantId } = req.params;
+    const idempotencyKey = req.get('Idempotency-Key');
+    
+    if (idempotencyKey !== undefined && (!idempotencyKey || idempotencyKey.length > 255)) {
+        return res.status(400).json({ error: 'Idempotency-Key must be 1-255 characters' });
+    }
+    
+    // Staff entering an order at the counter vouch for the customer (loyalty redemption)
+    // and may set other channels than web, which decide whether the order is paid online
+    const staff = verifyToken(getBearerToken(req));
+    const staffEntered = !!staff && PHONE_ROLES.includes(staff.role) && canAccessRestaurant(staff, restaurantId);
+    
+    if (!staffEntered && resolveOrderChannel(req.body || {}).source !== 'web') {
+        return res.status(403).json({ error: 'Only staff can place walk-in, phone or WhatsApp orders' });
+    }
+    
+    try {
+        if (idempotencyKey) {
+            const claim = await claimIdempotencyKey(restaurantId, idempotencyKey, requestHash(req.body));
+            
+            if (claim.replay) {
+                console.log(`♻️ Replaying order response for key ${idempotencyKey}`);
+                res.set('Idempotent-Replayed', 'true');
+                return res.json(claim.replay);
+            }
+            if (claim.conflict) {
+                return res.status(claim.conflict.status).json({ error: claim.conflict.error });
+            }
+        }
+        
+        const order = await createOrder(restaurantId, req.body, { customerVerified: staffEntered });
+        const response = { success: true, order };
+        
+        if (idempotencyKey) {
+            await completeIdempotencyKey(restaurantId, idempotencyKey, response);
+        }
+        
+        res.json(response);
+        
+    } catch (err) {
+        if (idempotencyKey) {
+            await releaseIdempotencyKey(restaurantId, idempotencyKey).catch(() => {});
+        }
+        if (err instanceof OrderError) {
+            return res.status(err.status).json(err.body);
+        }
+        console.error('Create order error:', err);
+        res.status(500).json({ error: 'Failed to create order' });
+    }
+});
+
+// ============================================
+// 4. UPDATE ORDER STATUS (with WhatsApp notifications)
+// ============================================
+// Apply an allowed status change: optimistic update, history entry, customer
+// message and broadcasts. Returns the updated order, or null when another
+// device changed the status first.
+async function changeOrderStatus(currentOrder, status, actor, reason) {
+    const orderId = currentOrder.id;
+    
+    // Update in database - only if nobody changed the status in the meantime
+    const { data, error } = await supabase
+        .from('orders')
+        .update({ 
+            status,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', orderId)
+        .eq('status', currentOrder.status)
+        .select()
+        .maybeSingle();
+    
+    if (error) throw error;
+    if (!data) return null;
+    
+    await recordStatusChange(data, currentOrder.status, status, actor, reason);
+    
+    console.log(`📝 Order ${data.order_number} status: ${currentOrder.status} → ${status}`);
+    // Send WhatsApp notifications for status changes
+    if (whatsappEnabled() && currentOrder.phone_number && currentOrder.order_source !== 'aggregator') {
+        let message = '';
+        let shouldSend = false;
+        
+        if (status === 'preparing' && ['new', 'confirmed'].includes(currentOrder.status)) {
+            message = `👨‍🍳 *Order Update*\n\n` +
+                `Order #${data.order_number}\n\n` +
+                `Your order is now being prepared! 🔥`;
+            shouldSend = true;
+        } 
+        else if (status === 'ready' && currentOrder.status === 'preparing') {
+            message = `✅ *Order Ready!*\n\n` +
+                `Order #${data.order_number}\n\n` +
+                `Your order is ready for pickup!`;
+            shouldSend = true;
+        }
+        else if (status === 'completed' && currentOrder.status === 'ready') {
+            message = `*Order Completed*\n\n` +
+                `Order #${data.order_number}\n\n` +
+                `Thank you for your order! 😊`;
+            shouldSend = true;
+        }
+        
+        if (shouldSend) {
+            console.log(`📱 Queueing WhatsApp update to ${currentOrder.phone_number}`);
+            await queueWhatsAppMessage({
+                restaurantId: currentOrder.restaurant_id,
+                orderId,
+                recipient: currentOrder.phone_number,
+                message
+            });
+        }
+    }
+    // Broadcast to other KDS displays and the customer's tracking page
+    emitOrderEvent(currentOrder.restaurant_id, 'order_updated', {
+        orderId: orderId,
+        status: status,
+        previousStatus: currentOrder.status
+    });
+    publishTrackingUpdate(orderId, { status, promised_at: data.promised_at });
+    
+    // Nothing was cooked yet, so what the order took goes back on the shelf
+    if (status === 'cancelled' && STOCK_RETURN_STATUSES.includes(currentOrder.status)) {
+        await releaseOrderStock(data);
+    }
+    
+    // Station screens drop their tickets when an order is cancelled
+    if (status === 'cancelled') {
+        const { data: tickets } = await supabase
+            .from('order_tickets')
+            .select('station')
+            .eq('order_id', orderId);
+        (tickets || []).filter(ticket => ticket.station !== EXPO_STATION).forEach(ticket => emitOrderEvent(currentOrder.restaurant_id, 'order_updated', {
+            orderId, status, previousStatus: currentOrder.status
+        }, { station: ticket.station }));
+    }
+    
+    if (ACTIVE_STATUSES.includes(status) !== ACTIVE_STATUSES.includes(currentOrder.status)) {
+        scheduleKitchenRefresh(currentOrder.restaurant_id);
+    }
+    
+    // Integrations only hear about orders once they reached the kitchen (order.created)
+    if (currentOrder.status !== 'pending_payment') {
+        await queueWebhookEvent(currentOrder.restaurant_id, status === 'cancelled' ? 'order.cancelled' : 'order.status_changed', {
+            order: webhookOrderView(data),
+            previous_status: currentOrder.status,
+            ...(status === 'cancelled' ? { reason: reason || null } : {})
+        });
+    }
+    
+    if (['cancelled', 'refunded'].includes(status)) {
+        await settlePaymentOnCancel(data, currentOrder.status, actor, reason);
+        await reverseOrderLoyalty(data, actor);
+    }
+    
+    return data;
+}
+
+app.put('/api/orders/:orderId/status', requireStaff(...STAFF_ROLES), async (req, res) => {
+    const { orderId } = req.params;
+    const { status, reason } = req.body;
+    
+    if (!ORDER_STATUSES.includes(status)) {
+        return res.status(400).json({ 
+            success: false, 
+            error: `status must be one of: ${ORDER_STATUSES.join(', ')}` 
+        });
+    }
+    
+    const allowedRoles = TRANSITION_ROLES[status];
+    if (allowedRoles && req.staff.role !== 'admin' && !allowedRoles.includes(req.staff.role)) {
+        return res.status(403).json({ success: false, error: `Your role cannot set orders to ${status}` });
+    }
+    
+    if (REASON_REQUIRED.includes(status) && !(reason && String(reason).trim())) {
+        return res.status(400).json({ success: false, error: `A reason is required to set orders to ${status}` });
+    }
+    
+    try {
+        // Get current order details BEFORE updating
+        const { data: currentOrder, error: fetchError } = await supabase
+            .from('orders')
+            .select('*')
+            .eq('id', orderId)
+            .single();
+        
+        if (fetchError) {
+            return res.status(500).json({ success: false, error: fetchError.message });
+        }
+        
+        if (!canAccessRestaurant(req.staff, currentOrder.restaurant_id)) {
+            return res.status(404).json({ success: false, error: 'Order not found' });
+        }
+        
+        if (!canTransition(currentOrder.status, status)) {
+            return res.status(409).json({ 
+                success: false, 
+                error: `Cannot change order from ${currentOrder.status} to ${status}`,
+                current_status: currentOrder.status,
+                allowed: ORDER_TRANSITIONS[currentOrder.status] || []
+            });
+        }
+        const data = await changeOrderStatus(currentOrder, status, req.staff, reason);
+        
+        if (!data) {
+            return res.status(409).json({ 
+                success: false, 
+                error: 'Order status was changed by another device. Refresh and try again.' 
+            });
+        }
+        
+        res.json({ success: true, order: redactForRole(data, req.staff.role) });
+        
+    } catch (err) {
+        console.error('Update status error:', err);
+        res.status(500).json({ error: err.message || 'Failed to update status' });
+    }
+});
+// ============================================
+// STATION TICKETS (routing & bump tracking)
+// ============================================
+// Each order is split into one ticket per station. Stations bump their own
+// items; the first bump starts the order (preparing) and once every ticket is
+// done the order is marked ready - the expo screen just watches.
+const EXPO_STATION = 'expo';
+const AUTO_ACTOR = { staff_id: null, name: 'Expo (auto)', role: 'system' };
+
+function isValidStation(station) {
+    return station === undefined || station === null || 
+        (typeof station === 'string' && /^[a-z0-9_-]{1,30}$/.test(station));
+}
+
+// Group priced order lines into station tickets
+function buildStationTickets(calculatedItems, stations) {
+    const byStation = new Map();
+    
+    calculatedItems.forEach((item, line) => {
+        const station = stations.get(item.id);
+        if (!byStation.has(station)) byStation.set(station, []);
+        byStation.get(station).push({
+            line,
+            id: item.id,
+            name: item.name,
+            quantity: item.quantity,
+            customizations: item.customizations,
+            special_notes: item.special_notes,
+            done: false,
+            done_at: null
+        });
+    });
+    
+    return [...byStation.entries()].map(([station, items]) => ({ id: uuidv4(), station, items }));
+}
+
+function ticketStatus(items) {
+    if (items.every(item => item.done)) return 'done';
+    return items.some(item => item.done) ? 'in_progress' : 'pending';
+}
+
+// Ticket events go to the station's screens plus the full feed and expo
+function emitTicketEvent(restaurantId, event, payload) {
+    emitOrderEvent(restaurantId, event, payload);
+    if (payload.station !== EXPO_STATION) {
+        emitOrderEvent(restaurantId, event, payload, { station: payload.station });
+    }
+}
+
+const TICKET_ORDER_FIELDS = 'order_number, customer_name, status, fulfillment_type, table_number, promised_at';
+
+// Tickets still to be worked on: not bumped, and their order is still in the kitchen.
+// Orders readied, completed or cancelled from the KDS leave their tickets behind unbumped.
+function openTicketsQuery(restaurantId) {
+    return supabase
+        .from('order_tickets')
+        .select(`*, orders!inner(${TICKET_ORDER_FIELDS})`)
+        .eq('restaurant_id', restaurantId)
+        .neq('status', 'done')
+        .in('orders.status', ACTIVE_STATUSES);
+}
+
+// LIST TICKETS (station screens load their queue with this; ?include_done=true for everything)
+app.get('/api/restaurants/:restaurantId/tickets', requireStaff(...STAFF_ROLES), async (req, res) => {
+    try {
+        const { restaurantId } = req.params;
+        const { station, include_done } = req.query;
+        
+        let query = include_done === 'true'
+            ? supabase.from('order_tickets').select(`*, orders(${TICKET_ORDER_FIELDS})`).eq('restaurant_id', restaurantId)
+            : openTicketsQuery(restaurantId);
+        
+        query = query.order('created_at', { ascending: true });
+        if (station) query = query.eq('station', station);
+        
+        const { data, error } = await query;
+        
+        if (error) throw error;
+        
+        res.json({ success: true, tickets: data });
+        
+    } catch (err) {
+        console.error('Get tickets error:', err);
+        res.status(500).json({ error: 'Failed to get tickets' });
+    }
+});
+
+// BUMP TICKET ITEMS
+// Body: { lines?: [line numbers], done?: boolean }. Without lines the whole ticket is bumped;
+// done: false un-bumps (e.g. an item was sent back).
+app.post('/api/tickets/:ticketId/bump', requireStaff(...STAFF_ROLES), async (req, res) => {
+    try {
+        const { ticketId } = req.params;
+        const { lines, done = true } = req.body || {};
+        
+        if (lines !== undefined && !(Array.isArray(lines) && lines.every(Number.isInteger))) {
+            return res.status(400).json({ error: 'lines must be an array of line numbers' });
+        }
+        if (typeof done !== 'boolean') {
+            return res.status(400).json({ error: 'done must be a boolean' });
+        }
+        
+        const { data: ticket, error: fetchError } = await supabase
+            .from('order_tickets')
+            .select('*, orders(*)')
+            .eq('id', ticketId)
+            .maybeSingle();
+        
+        if (fetchError) throw fetchError;
+        
+        if (!ticket || !canAccessRestaurant(req.staff, ticket.restaurant_id)) {
+            return res.status(404).json({ error: 'Ticket not found' });
+        }
+        
+        const order = ticket.orders;
+        if (!ACTIVE_STATUSES.includes(order.status) && !(done === false && order.status === 'ready')) {
+            return res.status(409).json({ error: `Order ${order.order_number} is ${order.status}` });
+        }
+        
+        const unknown = (lines || []).filter(line => !ticket.items.some(item => item.line === line));
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Lines not on this ticket: ${unknown.join(', ')}` });
+        }
+        
+        const now = new Date().toISOString();
+        const items = ticket.items.map(item => (!lines || lines.includes(item.line))
+            ? { ...item, done, done_at: done ? (item.done_at || now) : null }
+            : item);
+        const status = ticketStatus(items);
+        
+        // Only if no other screen bumped this ticket in the meantime
+        const { data: updated, error } = await supabase
+            .from('order_tickets')
+            .update({ items, status, updated_at: now, done_at: status === 'done' ? now : null })
+            .eq('id', ticketId)
+            .eq('updated_at', ticket.updated_at)
+            .select()
+            .maybeSingle();
+        
+        if (error) throw error;
+        
+        if (!updated) {
+            return res.status(409).json({ error: 'Ticket was changed by another screen. Refresh and try again.' });
+        }
+        
+        console.log(`🔔 ${ticket.station} bumped ${order.order_number} (${status})`);
+        emitTicketEvent(ticket.restaurant_id, 'ticket_updated', {
+            ticketId,
+            orderId: order.id,
+            orderNumber: order.order_number,
+            station: ticket.station,
+            status,
+            items
+        });
+        
+        const orderStatus = await advanceOrderFromTickets(order, status);
+        
+        res.json({ success: true, ticket: updated, order_status: orderStatus });
+        
+    } catch (err) {
+        console.error('Bump ticket error:', err);
+        res.status(500).json({ error: 'Failed to bump ticket' });
+    }
+});
+
+// Start the order on the first bump and mark it ready when every station is done
+async function advanceOrderFromTickets(order, bumpedTicketStatus) {
+    let current = order;
+    
+    if (bumpedTicketStatus !== 'pending' && ['new', 'confirmed'].includes(current.status)) {
+        current = await changeOrderStatus(current, 'preparing', AUTO_ACTOR) || current;
+    }
+    
+    if (bumpedTicketStatus === 'done' && canTransition(current.status, 'ready')) {
+        const { data: tickets, error } = await supabase
+            .from('order_tickets')
+            .select('status')
+            .eq('order_id', order.id);
+        
+        if (error) throw error;
+        
+        if (tickets.every(t => t.status === 'done')) {
+            console.log(`🍽️ All stations done - ${order.order_number} is ready`);
+            current = await changeOrderStatus(current, 'ready', AUTO_ACTOR) || current;
+        }
+    }
+    
+    return current.status;
+}
+
+// ============================================
+// PRINTING (ESC/POS kitchen tickets & receipts)
+// ============================================
+// Paper tickets for kitchens without screens. Printers (printers table) take raw
+// ESC/POS over TCP, usually port 9100. Kitchen printers print their station's
+// ticket, or the whole order when they have no station; receipt printers print
+// itemized customer receipts. Jobs are rendered into print_jobs when an order
+// reaches the kitchen and sent by a background worker, so a printer that is off
+// or out of paper prints the job once it is back instead of losing it.
+//
+// MOCK_PRINTER_PORT starts a local stand-in that logs what it receives as text;
+// point a printer at 127.0.0.1 on that port to try printing without hardware.
+//
+// Printers sit on the restaurant's LAN, so private addresses are fine, but only on
+// the raw printing ports (9100-9109) and never on this machine or link-local
+// addresses (cloud metadata services) - except the mock printer. The host is
+// resolved and checked again for every job, and the job goes to the checked address.
+const PRINTER_PORTS = { min: 9100, max: 9109 };
+const MOCK_PRINTER_PORT = parseInt(process.env.MOCK_PRINTER_PORT) || null;
+const PRINT_POLL_MS = parseInt(process.env.PRINT_POLL_MS) || 5000;
+const PRINT_BATCH_SIZE = 20;
+const PRINT_MAX_ATTEMPTS = 10;
+const PRINT_TIMEOUT_MS = 10 * 1000;
+const PRINTER_FIELDS = ['name', 'host', 'port', 'kind', 'station', 'width', 'copies', 'auto_print', 'is_active'];
+const PRINTER_KINDS = ['kitchen', 'receipt'];
+const PRINT_JOB_FIELDS = 'id, restaurant_id, printer_id, order_id, ticket_id, kind, reprint, status, attempts, last_error, printed_at, created_at, updated_at';
+
+// The few ESC/POS commands the tickets use
+const ESC = '\x1b';
+const GS = '\x1d';
+const ESCPOS = {
+    init: ESC + '@',
+    left: ESC + 'a\x00',
+    center: ESC + 'a\x01',
+    boldOn: ESC + 'E\x01',
+    boldOff: ESC + 'E\x00',
+    normal: GS + '!\x00',
+    tall: GS + '!\x01',
+    large: GS + '!\x11',
+    cut: '\n\n\n' + GS + 'V\x42\x00'
+};
+
+let printQueueRunning = false;
+
+// 10s, 20s, 40s ... capped at 5 minutes
+function printBackoffMs(attempts) {
+    return Math.min(10 * 1000 * 2 ** (attempts - 1), 5 * 60 * 1000);
+}
+
+// Printers use a single-byte code page: drop accents, emoji and anything else non-ASCII
+function printableText(text) {
+    return String(text ?? '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[\u2018\u2019]/g, "'")
+        .replace(/[\u201c\u201d]/g, '"')
+        .replace(/[\u2013\u2014]/g, '-')
+        .replace(/[^\x20-\x7e\n]/g, '')
+        .replace(/ {2,}/g, ' ')
+        .trim();
+}
+
+// Word-wrap to the paper width; continuation lines are indented like the first
+function wrapText(text, width, indent = '') {
+    const lines = [];
+    let line = indent;
+    
+    printableText(text).split(/\s+/).filter(Boolean).forEach(word => {
+        while (word.length > width - indent.length) {
+            if (line.trim()) lines.push(line);
+            lines.push(indent + word.slice(0, width - indent.length));
+            word = word.slice(width - indent.length);
+            line = indent;
+        }
+        if (line.trim() && line.length + 1 + word.length > width) {
+            lines.push(line);
+            line = indent;
+        }
+        line += (line.trim() ? ' ' : '') + word;
+    });
+    if (line.trim()) lines.push(line);
+    
+    return lines.join('\n');
+}
+
+// "2 x Burger ........ 24.20" - the amount is never cut off
+function amountLine(label, amount, width) {
+    const right = ` ${amount}`;
+    const lines = wrapText(label, width - right.length).split('\n');
+    const last = lines.pop() || '';
+    return [...lines, last + ' '.repeat(width - right.length - last.length) + right].join('\n');
+}
+
+function printFulfillment(order) {
+    if (order.fulfillment_type === 'dine_in') return `DINE-IN - TABLE ${order.table_number}`;
+    if (order.fulfillment_type === 'delivery') return 'DELIVERY';
+    return 'PICKUP';
+}
+
+// One kitchen ticket: big order number, how it leaves the kitchen, then the items
+// with their customizations and notes. ticket is { station, items } (station null = whole order).
+function renderKitchenTicket(order, ticket, { width, timezone, reprint }) {
+    const rule = '-'.repeat(width);
+    const out = [ESCPOS.init, ESCPOS.center];
+    
+    out.push(ESCPOS.boldOn, printableText((ticket.station || 'kitchen').toUpperCase()), ESCPOS.boldOff, '\n');
+    out.push(ESCPOS.large, `#${printableText(order.order_number)}`, ESCPOS.normal, '\n');
+    if (reprint) out.push(ESCPOS.boldOn, '*** REPRINT ***', ESCPOS.boldOff, '\n');
+    
+    out.push(ESCPOS.left, '\n', ESCPOS.tall, printFulfillment(order), ESCPOS.normal, '\n');
+    if (order.scheduled_for) {
+        out.push(ESCPOS.boldOn, `SCHEDULED ${printableText(formatLocalTime(order.scheduled_for, timezone, { weekday: 'short', hour: 'numeric', minute: '2-digit' }))}`, ESCPOS.boldOff, '\n');
+    }
+    out.push(wrapText(`${formatLocalTime(order.created_at, timezone)} - ${order.customer_name}`, width), '\n');
+    out.push(rule, '\n');
+    
+    ticket.items.forEach(item => {
+        out.push(ESCPOS.tall, ESCPOS.boldOn, wrapText(`${item.quantity} x ${item.name}`, width), ESCPOS.boldOff, ESCPOS.normal, '\n');
+        (item.customizations || []).forEach(c => out.push(wrapText(`+ ${c.name}`, width, '   '), '\n'));
+        if (item.special_notes) out.push(ESCPOS.boldOn, wrapText(`! ${item.special_notes}`, width, '   '), ESCPOS.boldOff, '\n');
+    });
+    
+    if (order.user_input) {
+        out.push(rule, '\n', ESCPOS.boldOn, 'NOTE:', ESCPOS.boldOff, '\n', wrapText(order.user_input, width), '\n');
+    }
+    out.push(ESCPOS.cut);
+    
+    return out.join('');
+}
+
+// Itemized customer receipt with the same totals the customer was charged
+function renderReceipt(order, restaurantName, { width, timezone, reprint }) {
+    const rule = '-'.repeat(width);
+    const pricing = order.pricing || {};
+    const items = typeof order.order_items === 'string' ? JSON.parse(order.order_items) : (order.order_items || []);
+    const out = [ESCPOS.init, ESCPOS.center];
+    
+    out.push(ESCPOS.tall, ESCPOS.boldOn, wrapText(restaurantName, width), ESCPOS.boldOff, ESCPOS.normal, '\n');
+    out.push(`Order #${printableText(order.order_number)}`, '\n');
+    out.push(printableText(formatLocalTime(order.created_at, timezone, { dateStyle: 'medium', timeStyle: 'short' })), '\n');
+    out.push(printFulfillment(order), '\n');
+    if (reprint) out.push('*** COPY ***', '\n');
+    
+    out.push(ESCPOS.left, rule, '\n');
+    items.forEach(item => {
+        out.push(amountLine(`${item.quantity} x ${item.name}`, Number(item.item_total).toFixed(2), width), '\n');
+        (item.customizations || []).forEach(c => {
+            const price = Number(c.price || 0);
+            out.push(wrapText(`+ ${c.name}${price ? ` (${price.toFixed(2)})` : ''}`, width, '    '), '\n');
+        });
+    });
+    out.push(rule, '\n');
+    
+    if (pricing.subtotal) out.push(amountLine('Subtotal', pricing.subtotal, width), '\n');
+    (pricing.adjustments || []).forEach(adj => out.push(amountLine(adj.name, adj.amount, width), '\n'));
+    out.push(ESCPOS.boldOn, amountLine('TOTAL', pricing.total || Number(order.total_amount).toFixed(2), width), ESCPOS.boldOff, '\n');
+    
+    if (['paid', 'partially_refunded', 'refunded', 'refund_pending'].includes(order.payment_status)) {
+        out.push('Paid online', '\n');
+    }
+    out.push('\n', ESCPOS.center, 'Thank you!', '\n', ESCPOS.cut);
+    
+    return out.join('');
+}
+
+function renderTestPage(printer) {
+    return [
+        ESCPOS.init, ESCPOS.center, ESCPOS.large, 'TEST', ESCPOS.normal, '\n',
+        wrapText(printer.name, printer.width), '\n',
+        `${printer.kind}${printer.station ? ` / ${printer.station}` : ''} - ${printer.width} columns`, '\n',
+        ESCPOS.left, '1234567890'.repeat(Math.ceil(printer.width / 10)).slice(0, printer.width), '\n',
+        ESCPOS.cut
+    ].join('');
+}
+
+function printJobContent(text, copies) {
+    return Buffer.from(text.repeat(copies || 1), 'latin1').toString('base64');
+}
+
+// Print jobs for an order on the given printers. Station printers only get their own
+// station's ticket; station-less kitchen printers get one ticket with every item.
+function orderPrintJobs(order, restaurant, tickets, printers, { kind, reprint = false } = {}) {
+    const timezone = restaurant.settings?.timezone;
+    const items = typeof order.order_items === 'string' ? JSON.parse(order.order_items) : (order.order_items || []);
+    const jobs = [];
+    
+    printers.filter(printer => !kind || printer.kind === kind).forEach(printer => {
+        const options = { width: printer.width, timezone, reprint };
+        const base = { restaurant_id: order.restaurant_id, printer_id: printer.id, order_id: order.id, reprint };
+        
+        if (printer.kind === 'receipt') {
+            jobs.push({ ...base, kind: 'receipt', content: printJobContent(renderReceipt(order, restaurant.name || 'Restaurant', options), printer.copies) });
+            return;
+        }
+        
+        const printed = printer.station
+            ? tickets.filter(ticket => ticket.station === printer.station)
+            : [{ id: null, station: null, items }];
+        
+        printed.forEach(ticket => jobs.push({
+            ...base,
+            kind: 'kitchen',
+            ticket_id: ticket.id,
+            content: printJobContent(renderKitchenTicket(order, ticket, options), printer.copies)
+        }));
+    });
+    
+    return jobs;
+}
+
+async function queuePrintJobs(jobs) {
+    if (jobs.length === 0) return [];
+    
+    const { data, error } = await supabase
+        .from('print_jobs')
+        .insert(jobs)
+        .select(PRINT_JOB_FIELDS);
+    
+    if (error) throw error;
+    
+    setImmediate(processPrintQueue);
+    return data;
+}
+
+// Auto-print tickets and receipts for an order that just reached the kitchen
+async function queueOrderPrints(order, restaurant, tickets) {
+    try {
+        const { data: printers, error } = await supabase
+            .from('printers')
+            .select('*')
+            .eq('restaurant_id', order.restaurant_id)
+            .eq('is_active', true)
+            .eq('auto_print', true);
+        
+        if (error) throw error;
+        
+        const jobs = await queuePrintJobs(orderPrintJobs(order, restaurant, tickets, printers));
+        if (jobs.length) console.log(`🖨️ Queued ${jobs.length} print job(s) for order ${order.order_number}`);
+    } catch (err) {
+        console.error(`❌ Failed to queue prints for order ${order.order_number}:`, err.message || err);
+    }
+}
+
+// Network an IP address belongs to: 'loopback', 'link-local', 'private',
+// 'unspecified', 'multicast' or 'public'. Shared with outbound webhooks.
+function addressScope(ip) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+    if (mapped) return addressScope(mapped[1]);
+    // The same in hex, as URLs write it: ::ffff:7f00:1 is 127.0.0.1
+    const mappedHex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(ip);
+    if (mappedHex) {
+        const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+        return addressScope(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+    }
+    
+    if (net.isIPv4(ip)) {
+        const [a, b] = ip.split('.').map(Number);
+        if (a === 0) return 'unspecified';
+        if (a === 127) return 'loopback';
+        if (a === 169 && b === 254) return 'link-local';
+        if (a === 10 || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127)) return 'private';
+        if (a >= 224) return 'multicast';
+        return 'public';
+    }
+    
+    const address = ip.toLowerCase();
+    if (address === '::') return 'unspecified';
+    if (address === '::1') return 'loopback';
+    if (/^fe[89ab]/.test(address)) return 'link-local';
+    if (/^f[cd]/.test(address)) return 'private';
+    if (address.startsWith('ff')) return 'multicast';
+    return 'public';
+}
+
+// Resolve host and return the first address allowed by isAllowed(scope), or throw
+async function resolveAllowedAddress(host, isAllowed) {
+    const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+    const blocked = addresses.find(({ address }) => !isAllowed(addressScope(address)));
+    if (blocked || addresses.length === 0) {
+        throw new Error(`${host} resolves to an address that is not allowed`);
+    }
+    return addresses[0].address;
+}
+
+function isMockPrinterPort(port) {
+    return !!MOCK_PRINTER_PORT && port === MOCK_PRINTER_PORT;
+}
+
+function isAllowedPrinterPort(port) {
+    return (port >= PRINTER_PORTS.min && port <= PRINTER_PORTS.max) || isMockPrinterPort(port);
+}
+
+function isAllowedPrinterScope(scope, port) {
+    if (scope === 'loopback') return isMockPrinterPort(port);
+    return scope === 'private' || scope === 'public';
+}
+
+// Send raw bytes to a network printer; resolves once the printer has taken them
+async function sendToPrinter(host, port, content) {
+    if (!isAllowedPrinterPort(port)) {
+        throw new Error(`Port ${port} is not a printer port`);
+    }
+    const address = await resolveAllowedAddress(host, scope => isAllowedPrinterScope(scope, port));
+    
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host: address, port });
+        socket.setTimeout(PRINT_TIMEOUT_MS);
+        socket.on('connect', () => socket.end(content));
+        socket.on('timeout', () => socket.destroy(new Error(`Printer at ${host}:${port} did not respond`)));
+        socket.on('error', reject);
+        socket.on('close', hadError => { if (!hadError) resolve(); });
+    });
+}
+
+async function updatePrintJob(job, updates) {
+    const { data, error } = await supabase
+        .from('print_jobs')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', job.id)
+        .select(PRINT_JOB_FIELDS)
+        .single();
+    
+    if (error) {
+        console.error(`❌ Print job update failed for ${job.id}:`, error.message);
+        return;
+    }
+    
+    // Lets screens show a printer that is offline or out of paper
+    emitOrderEvent(data.restaurant_id, 'print_job_updated', data);
+}
+
+async function deliverPrintJob(job, printer) {
+    if (!printer?.is_active) {
+        return updatePrintJob(job, { status: 'failed', last_error: 'Printer is disabled' });
+    }
+    
+    try {
+        await sendToPrinter(printer.host, printer.port, Buffer.from(job.content, 'base64'));
+        return updatePrintJob(job, { status: 'printed', printed_at: new Date().toISOString(), last_error: null });
+    } catch (err) {
+        if (job.attempts >= PRINT_MAX_ATTEMPTS) {
+            console.error(`❌ Print job ${job.id} on ${printer.name} failed permanently after ${job.attempts} attempt(s)`);
+            return updatePrintJob(job, { status: 'failed', last_error: err.message });
+        }
+        
+        return updatePrintJob(job, {
+            status: 'queued',
+            last_error: err.message,
+            next_attempt_at: new Date(Date.now() + printBackoffMs(job.attempts)).toISOString()
+        });
+    }
+}
+
+// Claim due jobs and print them. Each printer gets its jobs in order; printers
+// are served side by side so one that is offline does not hold up the others.
+async function processPrintQueue() {
+    if (printQueueRunning) return;
+    printQueueRunning = true;
+    
+    try {
+        let batch;
+        do {
+            const { data, error } = await supabase.rpc('claim_print_jobs', { p_limit: PRINT_BATCH_SIZE });
+            if (error) throw error;
+            batch = data || [];
+            if (batch.length === 0) break;
+            
+            const { data: printers, error: printersError } = await supabase
+                .from('printers')
+                .select('*')
+                .in('id', [...new Set(batch.map(job => job.printer_id))]);
+            
+            if (printersError) throw printersError;
+            
+            const byPrinter = new Map();
+            batch.forEach(job => {
+                if (!byPrinter.has(job.printer_id)) byPrinter.set(job.printer_id, []);
+                byPrinter.get(job.printer_id).push(job);
+            });
+            
+            await Promise.all([...byPrinter.entries()].map(async ([printerId, jobs]) => {
+                const printer = printers.find(p => p.id === printerId);
+                for (const job of jobs) {
+                    await deliverPrintJob(job, printer);
+                }
+            }));
+        } while (batch.length === PRINT_BATCH_SIZE);
+        
+    } catch (err) {
+        console.error('❌ Print queue error:', err.message);
+    } finally {
+        printQueueRunning = false;
+    }
+}
+
+function validatePrinterFields(fields) {
+    if (fields.name !== undefined && !String(fields.name || '').trim()) return 'Printer name cannot be empty';
+    if (fields.host !== undefined && !/^[A-Za-z0-9.-]{1,253}$/.test(String(fields.host || ''))) return 'host must be a hostname or IP address';
+    if (fields.port !== undefined && !(Number.isInteger(fields.port) && isAllowedPrinterPort(fields.port))) {
+        return `port must be between ${PRINTER_PORTS.min} and ${PRINTER_PORTS.max}`;
+    }
+    if (fields.host !== undefined && net.isIP(String(fields.host)) && !isAllowedPrinterScope(addressScope(String(fields.host)), fields.port)) {
+        return 'host must be a printer on your network, not a loopback or link-local address';
+    }
+    if (fields.kind !== undefined && !PRINTER_KINDS.includes(fields.kind)) return `kind must be one of: ${PRINTER_KINDS.join(', ')}`;
+    if (!isValidStation(fields.station)) return 'station must be lowercase letters, numbers, - or _';
+    if (fields.width !== undefined && !(Number.isInteger(fields.width) && fields.width >= 24 && fields.width <= 64)) return 'width must be between 24 and 64 characters';
+    if (fields.copies !== undefined && !(Number.isInteger(fields.copies) && fields.copies >= 1 && fields.copies <= 5)) return 'copies must be between 1 and 5';
+    for (const flag of ['auto_print', 'is_active']) {
+        if (fields[flag] !== undefined && typeof fields[flag] !== 'boolean') return `${flag} must be true or false`;
+    }
+    return null;
+}
+
+// LIST PRINTERS
+app.get('/api/restaurants/:restaurantId/printers', requireStaff('manager'), async (req, res) => {
+    try {
+        const { data: printers, error } = await supabase
+            .from('printers')
+            .select('*')
+            .eq('restaurant_id', req.params.restaurantId)
+            .order('name');
+        
+        if (error) throw error;
+        
+        res.json({ success: true, printers });
+        
+    } catch (err) {
+        console.error('Get printers error:', err);
+        res.status(500).json({ error: 'Failed to get printers' });
+    }
+});
+
+// ADD PRINTER (body: { name, host, port?, kind?, station?, width?, copies?, auto_print? })
+app.post('/api/restaurants/:restaurantId/printers', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId } = req.params;
+        const fields = pickFields(req.body || {}, PRINTER_FIELDS);
+        
+        if (!fields.name || !fields.host) {
+            return res.status(400).json({ error: 'Missing required fields: name, host' });
+        }
+        const validationError = validatePrinterFields(fields);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const { data: printer, error } = await supabase
+            .from('printers')
+            .insert([{ ...fields, name: String(fields.name).trim(), restaurant_id: restaurantId }])
+            .select()
+            .single();
+        
+        if (error?.code === '23505') {
+            return res.status(409).json({ error: 'A printer with this name already exists' });
+        }
+        if (error) throw error;
+        
+        console.log(`🖨️ Printer added: ${printer.name} (${printer.host}:${printer.port})`);
+        res.status(201).json({ success: true, printer });
+        
+    } catch (err) {
+        console.error('Create printer error:', err);
+        res.status(500).json({ error: 'Failed to add printer' });
+    }
+});
+
+// UPDATE PRINTER
+app.put('/api/restaurants/:restaurantId/printers/:printerId', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId, printerId } = req.params;
+        const fields = pickFields(req.body || {}, PRINTER_FIELDS);
+        
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ error: 'No updatable fields provided' });
+        }
+        const validationError = validatePrinterFields(fields);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        if (fields.name !== undefined) fields.name = String(fields.name).trim();
+        
+        const { data: printer, error } = await supabase
+            .from('printers')
+            .update({ ...fields, updated_at: new Date().toISOString() })
+            .eq('id', printerId)
+            .eq('restaurant_id', restaurantId)
+            .select()
+            .maybeSingle();
+        
+        if (error?.code === '23505') {
+            return res.status(409).json({ error: 'A printer with this name already exists' });
+        }
+        if (error) throw error;
+        
+        if (!printer) {
+            return res.status(404).json({ error: 'Printer not found' });
+        }
+        
+        res.json({ success: true, printer });
+        
+    } catch (err) {
+        console.error('Update printer error:', err);
+        res.status(500).json({ error: 'Failed to update printer' });
+    }
+});
+
+// DELETE PRINTER (its queued jobs go with it)
+app.delete('/api/restaurants/:restaurantId/printers/:printerId', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId, printerId } = req.params;
+        
+        const { data: printer, error } = await supabase
+            .from('printers')
+            .delete()
+            .eq('id', printerId)
+            .eq('restaurant_id', restaurantId)
+            .select('id, name')
+            .maybeSingle();
+        
+        if (error) throw error;
+        
+        if (!printer) {
+            return res.status(404).json({ error: 'Printer not found' });
+        }
+        
+        console.log(`🗑️ Printer deleted: ${printer.name}`);
+        res.json({ success: true, deleted: printer });
+        
+    } catch (err) {
+        console.error('Delete printer error:', err);
+        res.status(500).json({ error: 'Failed to delete printer' });
+    }
+});
+
+// PRINT A TEST PAGE
+app.post('/api/restaurants/:restaurantId/printers/:printerId/test', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId, printerId } = req.params;
+        
+        const { data: printer } = await supabase
+            .from('printers')
+            .select('*')
+            .eq('id', printerId)
+            .eq('restaurant_id', restaurantId)
+            .maybeSingle();
+        
+        if (!printer) {
+            return res.status(404).json({ error: 'Printer not found' });
+        }
+        
+        const [job] = await queuePrintJobs([{
+            restaurant_id: restaurantId,
+            printer_id: printer.id,
+            kind: 'test',
+            content: printJobContent(renderTestPage(printer))
+        }]);
+        
+        res.status(202).json({ success: true, job });
+        
+    } catch (err) {
+        console.error('Test print error:', err);
+        res.status(500).json({ error: 'Failed to queue test page' });
+    }
+});
+
+// LIST PRINT JOBS (?status=failed, ?order_id=) - newest first
+app.get('/api/restaurants/:restaurantId/print-jobs', requireStaff(...STAFF_ROLES), async (req, res) => {
+    try {
+        const { status, order_id } = req.query;
+        
+        let query = supabase
+            .from('print_jobs')
+            .select(PRINT_JOB_FIELDS)
+            .eq('restaurant_id', req.params.restaurantId)
+            .order('created_at', { ascending: false })
+            .limit(100);
+        
+        if (status) query = query.eq('status', status);
+        if (order_id) query = query.eq('order_id', order_id);
+        
+        const { data: jobs, error } = await query;
+        if (error) throw error;
+        
+        res.json({ success: true, jobs });
+        
+    } catch (err) {
+        console.error('Get print jobs error:', err);
+        res.status(500).json({ error: 'Failed to get print jobs' });
+    }
+});
+
+// RETRY A FAILED PRINT JOB (e.g. after loading paper)
+app.post('/api/restaurants/:restaurantId/print-jobs/:jobId/retry', requireStaff(...STAFF_ROLES), async (req, res) => {
+    try {
+        const { restaurantId, jobId } = req.params;
+        
+        const { data: job, error } = await supabase
+            .from('print_jobs')
+            .update({ 
+                status: 'queued', 
+                attempts: 0, 
+                last_error: null, 
+                next_attempt_at: new Date().toISOString(), 
+                updated_at: new Date().toISOString() 
+            })
+            .eq('id', jobId)
+            .eq('restaurant_id', restaurantId)
+            .eq('status', 'failed')
+            .select(PRINT_JOB_FIELDS)
+            .maybeSingle();
+        
+        if (error) throw error;
+        
+        if (!job) {
+            return res.status(409).json({ error: 'Only failed print jobs can be retried' });
+        }
+        
+        setImmediate(processPrintQueue);
+        res.json({ success: true, job });
+        
+    } catch (err) {
+        console.error('Retry print job error:', err);
+        res.status(500).json({ error: 'Failed to retry print job' });
+    }
+});
+
+// REPRINT AN ORDER (body: { kind: 'kitchen' | 'receipt', printer_id? })
+// Renders the order as it is now, marked as a reprint, on every active printer of that kind
+app.post('/api/restaurants/:restaurantId/orders/:orderId/reprint', requireStaff(...STAFF_ROLES), async (req, res) => {
+    try {
+        const { restaurantId, orderId } = req.params;
+        const { kind, printer_id } = req.body || {};
+        
+        if (!PRINTER_KINDS.includes(kind)) {
+            return res.status(400).json({ error: `kind must be one of: ${PRINTER_KINDS.join(', ')}` });
+        }
+        
+        const [orderResult, restaurantResult, printersResult, ticketsResult] = await Promise.all([
+            supabase.from('orders').select('*').eq('id', orderId).eq('restaurant_id', restaurantId).maybeSingle(),
+            supabase.from('restaurants').select('name, settings').eq('id', restaurantId).single(),
+            supabase.from('printers').select('*').eq('restaurant_id', restaurantId).eq('is_active', true),
+            supabase.from('order_tickets').select('id, station, items').eq('order_id', orderId)
+        ]);
+        
+        if (restaurantResult.error) throw restaurantResult.error;
+        if (printersResult.error) throw printersResult.error;
+        if (ticketsResult.error) throw ticketsResult.error;
+        
+        if (!orderResult.data) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        
+        const printers = printersResult.data.filter(printer => !printer_id || printer.id === printer_id);
+        const jobs = orderPrintJobs(orderResult.data, restaurantResult.data, ticketsResult.data, printers, { kind, reprint: true });
+        
+        if (jobs.length === 0) {
+            return res.status(409).json({ error: `No active ${kind} printer to print this order on` });
+        }
+        
+        const queued = await queuePrintJobs(jobs);
+        
+        console.log(`🖨️ Reprint of ${kind} for order ${orderResult.data.order_number} by ${req.staff.name}`);
+        res.status(202).json({ success: true, jobs: queued });
+        
+    } catch (err) {
+        console.error('Reprint error:', err);
+        res.status(500).json({ error: 'Failed to reprint order' });
+    }
+});
+
+// Local printer stand-in: logs each job as plain text (commands stripped, cuts marked)
+if (MOCK_PRINTER_PORT) {
+    net.createServer(socket => {
+        const chunks = [];
+        socket.on('data', chunk => chunks.push(chunk));
+        socket.on('end', () => {
+            const text = Buffer.concat(chunks).toString('latin1')
+                .replace(/\x1dV[\s\S]{2}/g, '\n✂️ ----------------\n')
+                .replace(/\x1b@|\x1b[aE][\s\S]|\x1d![\s\S]/g, '');
+            console.log(`🖨️ Mock printer received ${Buffer.concat(chunks).length} bytes:\n${text}`);
+        });
+        socket.on('error', err => console.error('Mock printer error:', err.message));
+    }).listen(MOCK_PRINTER_PORT, '127.0.0.1', () => {
+        console.log(`🖨️ Mock printer listening on 127.0.0.1:${MOCK_PRINTER_PORT}`);
+    });
+}
+
+// ============================================
+// WEBHOOKS (outbound order events)
+// ============================================
+// Restaurants register endpoints (webhook_endpoints) for their POS, accounting or
+// delivery partners. Events:
+//   order.created         the order reached the kitchen (after payment, if any)
+//   order.status_changed  any later status change except cancelling
+//   order.cancelled       with the reason given
+// Every event is written to webhook_deliveries per subscribed endpoint and sent by
+// a background worker with retries, so the table doubles as the delivery log.
+//
+// Each request is a JSON POST of { id, event, created_at, restaurant_id, data }
+// with these headers:
+//   X-Tapserve-Event      the event name
+//   X-Tapserve-Delivery   the delivery id (same as body.id, stable across retries)
+//   X-Tapserve-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+//                         keyed with the endpoint's secret
+// Any 2xx response counts as delivered; anything else is retried with backoff.
+// Endpoints must be on the public internet: the host is resolved before every send
+// and the request goes to the checked address, so a DNS change cannot point it
+// at this server's own network.
+const WEBHOOK_EVENTS = ['order.created', 'order.status_changed', 'order.cancelled'];
+const WEBHOOK_POLL_MS = parseInt(process.env.WEBHOOK_POLL_MS) || 10000;
+const WEBHOOK_BATCH_SIZE = 20;
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_ENDPOINT_FIELDS = 'id, restaurant_id, url, description, events, is_active, created_at, updated_at';
+const WEBHOOK_DELIVERY_FIELDS = 'id, endpoint_id, restaurant_id, event, payload, status, attempts, next_attempt_at, response_status, last_error, delivered_at, created_at, updated_at';
+
+let webhookQueueRunning = false;
+
+// 1m, 2m, 4m ... capped at 1 hour
+function webhookBackoffMs(attempts) {
+    return Math.min(60 * 1000 * 2 ** (attempts - 1), 60 * 60 * 1000);
+}
+
+function newWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Host of a webhook URL without the brackets of an IPv6 address
+function webhookHost(url) {
+    return new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+}
+
+function webhookSignature(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Order as sent to integrations
+function webhookOrderView(order) {
+    return {
+        id: order.id,
+        order_number: order.order_number,
+        status: order.status,
+        order_source: order.order_source,
+        external_source: order.external_source || null,
+        external_order_id: order.external_order_id || null,
+        fulfillment_type: order.fulfillment_type,
+        table_number: order.table_number,
+        delivery_address: order.delivery_address,
+        scheduled_for: order.scheduled_for,
+        promised_at: order.promised_at,
+        customer_name: order.customer_name,
+        phone_number: order.phone_number,
+        items: typeof order.order_items === 'string' ? JSON.parse(order.order_items) : order.order_items,
+        pricing: order.pricing,
+        total_amount: order.total_amount,
+        payment_status: order.payment_status,
+        created_at: order.created_at,
+        updated_at: order.updated_at
+    };
+}
+
+// Queue an event for every active endpoint of the restaurant that subscribed to it
+// (or only for endpointId). Never throws: a failing integration must not fail the order.
+async function queueWebhookEvent(restaurantId, event, data, { endpointId } = {}) {
+    try {
+        let query = supabase
+            .from('webhook_endpoints')
+            .select('id')
+            .eq('restaurant_id', restaurantId)
+            .eq('is_active', true);
+        
+        query = endpointId ? query.eq('id', endpointId) : query.contains('events', [event]);
+        
+        const { data: endpoints, error } = await query;
+        if (error) throw error;
+        if (endpoints.length === 0) return [];
+        
+        const createdAt = new Date().toISOString();
+        const deliveries = endpoints.map(endpoint => {
+            const id = uuidv4();
+            return {
+                id,
+                endpoint_id: endpoint.id,
+                restaurant_id: restaurantId,
+                event,
+                payload: { id, event, created_at: createdAt, restaurant_id: restaurantId, data }
+            };
+        });
+        
+        const { data: queued, error: insertError } = await supabase
+            .from('webhook_deliveries')
+            .insert(deliveries)
+            .select(WEBHOOK_DELIVERY_FIELDS);
+        
+        if (insertError) throw insertError;
+        
+        setImmediate(processWebhookQueue);
+        return queued;
+    } catch (err) {
+        console.error(`❌ Failed to queue webhook ${event}:`, err.message || err);
+        return [];
+    }
+}
+
+async function updateWebhookDelivery(delivery, updates) {
+    const { error } = await supabase
+        .from('webhook_deliveries')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', delivery.id);
+    
+    if (error) {
+        console.error(`❌ Webhook delivery update failed for ${delivery.id}:`, error.message);
+    }
+}
+
+async function deliverWebhook(delivery, endpoint) {
+    if (!endpoint?.is_active) {
+        return updateWebhookDelivery(delivery, { status: 'failed', last_error: 'Endpoint is disabled' });
+    }
+    
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    let responseStatus = null;
+    let failure;
+    
+    try {
+        const address = await resolveAllowedAddress(webhookHost(endpoint.url), scope => scope === 'public');
+        const response = await axios.post(endpoint.url, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'tapServe-Webhooks/1.0',
+                'X-Tapserve-Event': delivery.event,
+                'X-Tapserve-Delivery': delivery.id,
+                'X-Tapserve-Signature': `t=${timestamp},v1=${webhookSignature(endpoint.secret, timestamp, body)}`
+            },
+            timeout: WEBHOOK_TIMEOUT_MS,
+            lookup: async () => address,
+            maxRedirects: 0,
+            validateStatus: () => true
+        });
+        responseStatus = response.status;
+        if (response.status >= 200 && response.status < 300) {
+            return updateWebhookDelivery(delivery, {
+                status: 'delivered',
+                response_status: responseStatus,
+                delivered_at: new Date().toISOString(),
+                last_error: null
+            });
+        }
+        failure = `HTTP ${response.status}`;
+    } catch (err) {
+        failure = err.code || err.message;
+    }
+    
+    if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+        console.error(`❌ Webhook ${delivery.event} to ${endpoint.url} failed permanently after ${delivery.attempts} attempt(s)`);
+        return updateWebhookDelivery(delivery, { status: 'failed', response_status: responseStatus, last_error: failure });
+    }
+    
+    return updateWebhookDelivery(delivery, {
+        status: 'queued',
+        response_status: responseStatus,
+        last_error: failure,
+        next_attempt_at: new Date(Date.now() + webhookBackoffMs(delivery.attempts)).toISOString()
+    });
+}
+
+// Claim due deliveries and send them. Each endpoint gets its events in order;
+// endpoints are served side by side so a slow one does not hold up the others.
+async function processWebhookQueue() {
+    if (webhookQueueRunning) return;
+    webhookQueueRunning = true;
+    
+    try {
+        let batch;
+        do {
+            const { data, error } = await supabase.rpc('claim_webhook_deliveries', { p_limit: WEBHOOK_BATCH_SIZE });
+            if (error) throw error;
+            batch = data || [];
+            if (batch.length === 0) break;
+            
+            const { data: endpoints, error: endpointsError } = await supabase
+                .from('webhook_endpoints')
+                .select('*')
+                .in('id', [...new Set(batch.map(delivery => delivery.endpoint_id))]);
+            
+            if (endpointsError) throw endpointsError;
+            
+            const byEndpoint = new Map();
+            batch.forEach(delivery => {
+                if (!byEndpoint.has(delivery.endpoint_id)) byEndpoint.set(delivery.endpoint_id, []);
+                byEndpoint.get(delivery.endpoint_id).push(delivery);
+            });
+            
+            await Promise.all([...byEndpoint.entries()].map(async ([endpointId, deliveries]) => {
+                const endpoint = endpoints.find(e => e.id === endpointId);
+                for (const delivery of deliveries) {
+                    await deliverWebhook(delivery, endpoint);
+                }
+            }));
+        } while (batch.length === WEBHOOK_BATCH_SIZE);
+        
+    } catch (err) {
+        console.error('❌ Webhook queue error:', err.message);
+    } finally {
+        webhookQueueRunning = false;
+    }
+}
+
+// Plain https URLs in production; http is fine for local testing. Hosts given as
+// an IP address must be public ones (names are checked on every send).
+function validateWebhookFields(fields) {
+    if (fields.url !== undefined) {
+        let url;
+        try {
+            url = new URL(String(fields.url));
+        } catch (err) {
+            return 'url must be a valid URL';
+        }
+        const allowed = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+        if (!allowed.includes(url.protocol)) return `url must use ${allowed.join(' or ').replace(/:/g, '')}`;
+        if (url.username || url.password) return 'url must not contain credentials';
+        const host = webhookHost(url.href);
+        if (net.isIP(host) && addressScope(host) !== 'public') return 'url must point to a public address';
+    }
+    if (fields.events !== undefined) {
+        if (!Array.isArray(fields.events) || fields.events.length === 0) return 'events must be a non-empty list';
+        const unknown = fields.events.filter(event => !WEBHOOK_EVENTS.includes(event));
+        if (unknown.length > 0) return `Unknown events: ${unknown.join(', ')}. Use: ${WEBHOOK_EVENTS.join(', ')}`;
+    }
+    if (fields.description !== undefined && fields.description !== null && String(fields.description).length > 200) {
+        return 'description must be at most 200 characters';
+    }
+    if (fields.is_active !== undefined && typeof fields.is_active !== 'boolean') return 'is_active must be true or false';
+    return null;
+}
+
+// LIST WEBHOOK ENDPOINTS (secrets are only shown when created or rotated)
+app.get('/api/restaurants/:restaurantId/webhooks', requireStaff('manager'), async (req, res) => {
+    try {
+        const { data: endpoints, error } = await supabase
+            .from('webhook_endpoints')
+            .select(WEBHOOK_ENDPOINT_FIELDS)
+            .eq('restaurant_id', req.params.restaurantId)
+            .order('created_at');
+        
+        if (error) throw error;
+        
+        res.json({ success: true, endpoints, events: WEBHOOK_EVENTS });
+        
+    } catch (err) {
+        console.error('Get webhooks error:', err);
+        res.status(500).json({ error: 'Failed to get webhooks' });
+    }
+});
+
+// ADD WEBHOOK ENDPOINT (body: { url, events?, description? }) - events default to all
+app.post('/api/restaurants/:restaurantId/webhooks', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId } = req.params;
+        const fields = pickFields(req.body || {}, ['url', 'events', 'description']);
+        
+        if (!fields.url) {
+            return res.status(400).json({ error: 'Missing required field: url' });
+        }
+        const validationError = validateWebhookFields(fields);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const { data: endpoint, error } = await supabase
+            .from('webhook_endpoints')
+            .insert([{
+                restaurant_id: restaurantId,
+                url: String(fields.url),
+                events: fields.events || WEBHOOK_EVENTS,
+                description: fields.description || null,
+                secret: newWebhookSecret()
+            }])
+            .select(`${WEBHOOK_ENDPOINT_FIELDS}, secret`)
+            .single();
+        
+        if (error) throw error;
+        
+        console.log(`🔗 Webhook endpoint added: ${endpoint.url} (${endpoint.events.join(', ')})`);
+        res.status(201).json({ success: true, endpoint });
+        
+    } catch (err) {
+        console.error('Create webhook error:', err);
+        res.status(500).json({ error: 'Failed to add webhook' });
+    }
+});
+
+// UPDATE WEBHOOK ENDPOINT (url, events, description, is_active)
+app.put('/api/restaurants/:restaurantId/webhooks/:endpointId', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId, endpointId } = req.params;
+        const fields = pickFields(req.body || {}, ['url', 'events', 'description', 'is_active']);
+        
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ error: 'No updatable fields provided' });
+        }
+        const validationError = validateWebhookFields(fields);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const { data: endpoint, error } = await supabase
+            .from('webhook_endpoints')
+            .update({ ...fields, updated_at: new Date().toISOString() })
+            .eq('id', endpointId)
+            .eq('restaurant_id', restaurantId)
+            .select(WEBHOOK_ENDPOINT_FIELDS)
+            .maybeSingle();
+        
+        if (error) throw error;
+        
+        if (!endpoint) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        
+        res.json({ success: true, endpoint });
+        
+    } catch (err) {
+        console.error('Update webhook error:', err);
+        res.status(500).json({ error: 'Failed to update webhook' });
+    }
 });
 
-// Keep the direct route accessible too
-app.get('/premium-orders.html', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'premium-orders.html'));
+// DELETE WEBHOOK ENDPOINT (its delivery log goes with it)
+app.delete('/api/restaurants/:restaurantId/webhooks/:endpointId', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId, endpointId } = req.params;
+        
+        const { data: endpoint, error } = await supabase
+            .from('webhook_endpoints')
+            .delete()
+            .eq('id', endpointId)
+            .eq('restaurant_id', restaurantId)
+            .select('id, url')
+            .maybeSingle();
+        
+        if (error) throw error;
+        
+        if (!endpoint) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        
+        console.log(`🗑️ Webhook endpoint deleted: ${endpoint.url}`);
+        res.json({ success: true, deleted: endpoint });
+        
+    } catch (err) {
+        console.error('Delete webhook error:', err);
+        res.status(500).json({ error: 'Failed to delete webhook' });
+    }
 });
 
-// ============================================
-// WHATSAPP MESSAGE FUNCTION
-// ============================================
-async function sendWhatsAppMessage(recipientPhone, message) {
+// ROTATE WEBHOOK SECRET - the old secret stops working immediately
+app.post('/api/restaurants/:restaurantId/webhooks/:endpointId/rotate-secret', requireStaff('manager'), async (req, res) => {
     try {
-        const formattedPhone = recipientPhone.replace(/[^0-9]/g, '');
+        const { restaurantId, endpointId } = req.params;
         
-        const response = await axios.post(
-            `https://graph.facebook.com/v24.0/${process.env.META_PHONE_ID}/messages`,
-            {
-                messaging_product: 'whatsapp',
-                to: formattedPhone,
-                type: 'text',
-                text: { body: message }
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${process.env.META_ACCESS_TOKEN}`,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
+        const { data: endpoint, error } = await supabase
+            .from('webhook_endpoints')
+            .update({ secret: newWebhookSecret(), updated_at: new Date().toISOString() })
+            .eq('id', endpointId)
+            .eq('restaurant_id', restaurantId)
+            .select(`${WEBHOOK_ENDPOINT_FIELDS}, secret`)
+            .maybeSingle();
         
-        console.log(`✅ WhatsApp sent to ${formattedPhone}`);
-        return { success: true, messageId: response.data.messages[0].id };
+        if (error) throw error;
         
-    } catch (error) {
-        console.error('❌ WhatsApp send failed:', error.response?.data || error.message);
-        return { success: false, error: error.message };
+        if (!endpoint) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        
+        console.log(`🔑 Webhook secret rotated for ${endpoint.url} by ${req.staff.name}`);
+        res.json({ success: true, endpoint });
+        
+    } catch (err) {
+        console.error('Rotate webhook secret error:', err);
+        res.status(500).json({ error: 'Failed to rotate webhook secret' });
     }
-}
+});
 
-// ============================================
-// NEW: GET ITEM CUSTOMIZATIONS
-// ============================================
-app.get('/api/menu-items/:itemId/customizations', async (req, res) => {
+// SEND A TEST EVENT (webhook.test) to one endpoint, whatever it subscribed to
+app.post('/api/restaurants/:restaurantId/webhooks/:endpointId/test', requireStaff('manager'), async (req, res) => {
     try {
-        const { itemId } = req.params;
+        const { restaurantId, endpointId } = req.params;
         
-        // Get customization categories
-        const { data: categories, error: catError } = await supabase
-            .from('item_customization_categories')
-            .select('*')
-            .eq('menu_item_id', itemId)
-            .order('display_order');
+        const { data: endpoint } = await supabase
+            .from('webhook_endpoints')
+            .select('id, is_active')
+            .eq('id', endpointId)
+            .eq('restaurant_id', restaurantId)
+            .maybeSingle();
         
-        if (catError) throw catError;
+        if (!endpoint) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        if (!endpoint.is_active) {
+            return res.status(409).json({ error: 'Webhook is disabled' });
+        }
         
-        if (!categories || categories.length === 0) {
-            return res.json({ 
-                success: true, 
-                customizations: [] 
-            });
+        const [delivery] = await queueWebhookEvent(restaurantId, 'webhook.test', { message: 'Test event from tapServe' }, { endpointId });
+        if (!delivery) {
+            return res.status(500).json({ error: 'Failed to queue test event' });
         }
         
-        // Get options for each category
-        const categoryIds = categories.map(c => c.id);
-        const { data: options, error: optError } = await supabase
-            .from('customization_options')
-            .select('*')
-            .in('category_id', categoryIds)
-            .eq('is_available', true)
-            .order('display_order');
+        res.status(202).json({ success: true, delivery });
         
-        if (optError) throw optError;
+    } catch (err) {
+        console.error('Test webhook error:', err);
+        res.status(500).json({ error: 'Failed to send test event' });
+    }
+});
+
+// WEBHOOK DELIVERY LOG (?endpoint_id=, ?status=failed, ?event=) - newest first
+app.get('/api/restaurants/:restaurantId/webhook-deliveries', requireStaff('manager'), async (req, res) => {
+    try {
+        const { endpoint_id, status, event } = req.query;
         
-        // Group options by category
-        const customizations = categories.map(category => ({
-            ...category,
-            options: options.filter(opt => opt.category_id === category.id)
-        }));
+        let query = supabase
+            .from('webhook_deliveries')
+            .select(WEBHOOK_DELIVERY_FIELDS)
+            .eq('restaurant_id', req.params.restaurantId)
+            .order('created_at', { ascending: false })
+            .limit(100);
         
-        res.json({ 
-            success: true, 
-            customizations 
-        });
+        if (endpoint_id) query = query.eq('endpoint_id', endpoint_id);
+        if (status) query = query.eq('status', status);
+        if (event) query = query.eq('event', event);
+        
+        const { data: deliveries, error } = await query;
+        if (error) throw error;
+        
+        res.json({ success: true, deliveries });
         
     } catch (err) {
-        console.error('Get customizations error:', err);
-        res.status(500).json({ error: 'Failed to get customizations' });
+        console.error('Get webhook deliveries error:', err);
+        res.status(500).json({ error: 'Failed to get webhook deliveries' });
     }
 });
+
+// RETRY A FAILED DELIVERY (e.g. after fixing the receiving end)
+app.post('/api/restaurants/:restaurantId/webhook-deliveries/:deliveryId/retry', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId, deliveryId } = req.params;
+        
+        const { data: delivery, error } = await supabase
+            .from('webhook_deliveries')
+            .update({ 
+                status: 'queued', 
+                attempts: 0, 
+                last_error: null, 
+                next_attempt_at: new Date().toISOString(), 
+                updated_at: new Date().toISOString() 
+            })
+            .eq('id', deliveryId)
+            .eq('restaurant_id', restaurantId)
+            .eq('status', 'failed')
+            .select(WEBHOOK_DELIVERY_FIELDS)
+            .maybeSingle();
+        
+        if (error) throw error;
+        
+        if (!delivery) {
+            return res.status(409).json({ error: 'Only failed deliveries can be retried' });
+        }
+        
+        setImmediate(processWebhookQueue);
+        res.json({ success: true, delivery });
+        
+    } catch (err) {
+        console.error('Retry webhook delivery error:', err);
+        res.status(500).json({ error: 'Failed to retry webhook delivery' });
+    }
+});
+
 // ============================================
-// MULTI-TENANT RESTAURANT APIS
+// AGGREGATOR ORDERS (delivery apps)
 // ============================================
+// Orders placed on delivery apps come in through an integration (order_integrations):
+//   POST /api/integrations/:integrationId/orders
+//   POST /api/integrations/:integrationId/orders/:externalOrderId/cancel
+// The provider's adapter checks the signature and normalizes the payload; the order
+// then goes through createOrder like any other, tagged order_source 'aggregator'
+// and external_source = the integration's source (e.g. "ubereats"), so the KDS
+// shows where it came from. The app's courier collects the food, so these are
+// pickup orders for the kitchen. The app has already charged the customer and
+// messages them itself. Resending an order returns the one already saved.
+//
+// integration.item_map translates the app's ids to ours:
+//   { items: { "<their item id>": "<menu_item id>" }, options: { "<their id>": "<option id>" } }
+// Ids that are not mapped are used as they are.
+//
+// An adapter implements:
+//   verify(req, integration)  -> true when the request is signed with integration.secret
+//   parseOrder(body)          -> { external_order_id, customer_name, phone_number?, notes?,
+//                                  scheduled_for?, items: [{ id, quantity, notes?, options: [id] }] }
+//                                 throws OrderError for a payload it cannot read
+//   parseCancel(body)         -> { reason }
+//
+// The generic adapter is for partners that post our own format, signed with
+// X-Tapserve-Signature: sha256=<hex HMAC-SHA256 of the raw body>:
+//   { id, customer: { name, phone? }, notes?, scheduled_for?,
+//     items: [{ id, quantity?, notes?, options?: [id] }] }
+const INTEGRATION_FIELDS = 'id, restaurant_id, provider, source, item_map, is_active, created_at, updated_at';
+const SOURCE_PATTERN = /^[a-z0-9_-]{1,30}$/;
 
-// 1. GET RESTAURANT INFO
-app.get('/api/restaurants/:slug', async (req, res) => {
+const genericAggregatorAdapter = {
+    verify(req, integration) {
+        const header = req.get('X-Tapserve-Signature') || '';
+        const expected = 'sha256=' + crypto.createHmac('sha256', integration.secret).update(req.rawBody || '').digest('hex');
+        return safeEqual(header, expected);
+    },
+    
+    parseOrder(body) {
+        const { id, customer, items } = body || {};
+        if (!id || !customer?.name || !Array.isArray(items) || items.length === 0) {
+            throw new OrderError(400, { error: 'Missing required fields: id, customer.name, items' });
+        }
+        if (items.some(item => !item?.id || (item.options !== undefined && !Array.isArray(item.options)))) {
+            throw new OrderError(400, { error: 'Every item needs an id, and options must be a list of ids' });
+        }
+        return {
+            external_order_id: String(id).slice(0, 100),
+            customer_name: String(customer.name).slice(0, 100),
+            phone_number: customer.phone || null,
+            notes: body.notes || '',
+            scheduled_for: body.scheduled_for || null,
+            items: items.map(item => ({
+                id: String(item.id),
+                quantity: item.quantity,
+                notes: item.notes || '',
+                options: (item.options || []).map(String)
+            }))
+        };
+    },
+    
+    parseCancel(body) {
+        return { reason: body?.reason || null };
+    }
+};
+
+const AGGREGATOR_ADAPTERS = {
+    generic: genericAggregatorAdapter
+};
+
+// createOrder input for a parsed aggregator order
+function aggregatorOrderInput(parsed, integration) {
+    const itemMap = integration.item_map?.items || {};
+    const optionMap = integration.item_map?.options || {};
+    
+    return {
+        customer_name: parsed.customer_name,
+        phone_number: parsed.phone_number,
+        notes: parsed.notes,
+        scheduled_for: parsed.scheduled_for,
+        order_source: 'aggregator',
+        fulfillment_type: 'pickup',
+        items: parsed.items.map(item => ({
+            id: itemMap[item.id] || item.id,
+            quantity: item.quantity,
+            special_notes: item.notes,
+            customizations: item.options.map(option => ({ id: optionMap[option] || option }))
+        }))
+    };
+}
+
+function validateItemMap(itemMap) {
+    if (!itemMap || typeof itemMap !== 'object' || Array.isArray(itemMap)) return 'item_map must be an object';
+    for (const key of Object.keys(itemMap)) {
+        if (!['items', 'options'].includes(key)) return 'item_map may only contain items and options';
+        const map = itemMap[key];
+        if (!map || typeof map !== 'object' || Array.isArray(map) || Object.values(map).some(id => typeof id !== 'string')) {
+            return `item_map.${key} must map their ids to our ids`;
+        }
+    }
+    return null;
+}
+
+function integrationUrls(integration) {
+    const base = `${PUBLIC_URL}/api/integrations/${integration.id}/orders`;
+    return { orders_url: base, cancel_url: `${base}/{external_order_id}/cancel` };
+}
+
+// Active integration and its adapter for an inbound request, or sends the error response
+async function loadSignedIntegration(req, res) {
+    const { data: integration, error } = await supabase
+        .from('order_integrations')
+        .select('*')
+        .eq('id', req.params.integrationId)
+        .maybeSingle();
+    
+    if (error) throw error;
+    
+    if (!integration || !integration.is_active) {
+        res.status(404).json({ error: 'Integration not found' });
+        return null;
+    }
+    
+    const adapter = AGGREGATOR_ADAPTERS[integration.provider];
+    if (!adapter) {
+        res.status(503).json({ error: 'Integration is unavailable' });
+        return null;
+    }
+    if (!adapter.verify(req, integration)) {
+        console.warn(`⚠️ Rejected ${integration.source} request with a bad signature`);
+        res.status(401).json({ error: 'Invalid signature' });
+        return null;
+    }
+    
+    return { integration, adapter };
+}
+
+function findExternalOrder(integration, externalOrderId) {
+    return supabase
+        .from('orders')
+        .select('*')
+        .eq('restaurant_id', integration.restaurant_id)
+        .eq('external_source', integration.source)
+        .eq('external_order_id', externalOrderId)
+        .maybeSingle();
+}
+
+// RECEIVE AN AGGREGATOR ORDER (signed by the provider)
+app.post('/api/integrations/:integrationId/orders', async (req, res) => {
     try {
-        const { slug } = req.params;
+        const signed = await loadSignedIntegration(req, res);
+        if (!signed) return;
         
-        const { data, error } = await supabase
-            .from('restaurants')
-            .select('*')
-            .eq('slug', slug)
-            .eq('is_active', true)
-            .single();
+        const { integration, adapter } = signed;
+        const parsed = adapter.parseOrder(req.body);
         
-        if (error || !data) {
-            return res.status(404).json({ error: 'Restaurant not found' });
+        const { data: existing, error } = await findExternalOrder(integration, parsed.external_order_id);
+        if (error) throw error;
+        
+        if (existing) {
+            return res.json({ 
+                success: true, 
+                duplicate: true, 
+                order: { id: existing.id, order_number: existing.order_number, status: existing.status } 
+            });
         }
         
-        res.json({ success: true, restaurant: data });
+        const order = await createOrder(integration.restaurant_id, aggregatorOrderInput(parsed, integration), {
+            external: { source: integration.source, order_id: parsed.external_order_id }
+        });
+        
+        console.log(`🛵 ${integration.source} order ${parsed.external_order_id} received as #${order.order_number}`);
+        res.status(201).json({ success: true, order });
         
     } catch (err) {
-        console.error('Get restaurant error:', err);
-        res.status(500).json({ error: 'Failed to get restaurant' });
+        if (err instanceof OrderError) {
+            return res.status(err.status).json(err.body);
+        }
+        console.error('Aggregator order error:', err);
+        res.status(500).json({ error: 'Failed to create order' });
     }
 });
 
-// 2. GET FULL MENU (with categories)
-app.get('/api/restaurants/:restaurantId/menu', async (req, res) => {
+// CANCEL AN AGGREGATOR ORDER (the customer or the app cancelled it)
+app.post('/api/integrations/:integrationId/orders/:externalOrderId/cancel', async (req, res) => {
     try {
-        const { restaurantId } = req.params;
-        const { available_only } = req.query;
+        const signed = await loadSignedIntegration(req, res);
+        if (!signed) return;
         
-        // Get categories
-        const { data: categories, error: catError } = await supabase
-            .from('menu_categories')
-            .select('*')
-            .eq('restaurant_id', restaurantId)
-            .eq('is_active', true)
-            .order('display_order');
+        const { integration, adapter } = signed;
+        const { reason } = adapter.parseCancel(req.body);
         
-        if (catError) throw catError;
+        const { data: order, error } = await findExternalOrder(integration, req.params.externalOrderId);
+        if (error) throw error;
         
-        // Get menu items
-        let itemsQuery = supabase
-            .from('menu_items')
-            .select('*')
-            .eq('restaurant_id', restaurantId)
-            .order('display_order');
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        if (order.status === 'cancelled') {
+            return res.json({ success: true, order: webhookOrderView(order) });
+        }
+        if (!canTransition(order.status, 'cancelled')) {
+            return res.status(409).json({ error: `Cannot cancel an order that is ${order.status}`, current_status: order.status });
+        }
         
-        if (available_only === 'true') {
-            itemsQuery = itemsQuery.eq('is_available', true);
+        const actor = { staff_id: null, name: integration.source, role: 'system' };
+        const updated = await changeOrderStatus(order, 'cancelled', actor, reason || `Cancelled on ${integration.source}`);
+        
+        if (!updated) {
+            return res.status(409).json({ error: 'Order status changed at the same time. Try again.' });
         }
         
-        const { data: items, error: itemsError } = await itemsQuery;
+        console.log(`🛵 ${integration.source} order ${order.external_order_id} (#${order.order_number}) cancelled`);
+        res.json({ success: true, order: webhookOrderView(updated) });
         
-        if (itemsError) throw itemsError;
-      
-        // Group items by category
-        const menu = categories.map(category => ({
-            ...category,
-            items: items.filter(item => item.category_id === category.id)
-        }));
+    } catch (err) {
+        console.error('Aggregator cancel error:', err);
+        res.status(500).json({ error: 'Failed to cancel order' });
+    }
+});
+
+// LIST INTEGRATIONS
+app.get('/api/restaurants/:restaurantId/integrations', requireStaff('manager'), async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('order_integrations')
+            .select(INTEGRATION_FIELDS)
+            .eq('restaurant_id', req.params.restaurantId)
+            .order('source');
+        
+        if (error) throw error;
         
         res.json({ 
             success: true, 
-            menu: menu,
-            stats: {
-                total_categories: categories.length,
-                total_items: items.length,
-                available_items: items.filter(i => i.is_available).length
-            }
+            integrations: data.map(integration => ({ ...integration, ...integrationUrls(integration) })),
+            providers: Object.keys(AGGREGATOR_ADAPTERS)
         });
         
     } catch (err) {
-        console.error('Get menu error:', err);
-        res.status(500).json({ error: 'Failed to get menu' });
+        console.error('Get integrations error:', err);
+        res.status(500).json({ error: 'Failed to get integrations' });
     }
 });
 
-// ============================================
-// UPDATED: CREATE ORDER WITH CUSTOMIZATIONS
-// ============================================
-app.post('/api/restaurants/:restaurantId/orders', async (req, res) => {
+// ADD INTEGRATION (body: { provider, source, item_map? }) - the secret is only returned here and on rotation
+app.post('/api/restaurants/:restaurantId/integrations', requireStaff('manager'), async (req, res) => {
     try {
         const { restaurantId } = req.params;
-        const { customer_name, phone_number, order_type, items: orderItems, notes } = req.body;
+        const { provider, item_map } = req.body || {};
+        const source = String(req.body?.source || '').trim().toLowerCase();
         
-        if (!customer_name || !phone_number || !orderItems || orderItems.length === 0) {
-            return res.status(400).json({ 
-                error: 'Missing required fields: customer_name, phone_number, items' 
-            });
+        if (!provider || !source) {
+            return res.status(400).json({ error: 'Missing required fields: provider, source' });
+        }
+        if (!AGGREGATOR_ADAPTERS[provider]) {
+            return res.status(400).json({ error: `provider must be one of: ${Object.keys(AGGREGATOR_ADAPTERS).join(', ')}` });
+        }
+        if (!SOURCE_PATTERN.test(source)) {
+            return res.status(400).json({ error: 'source must be up to 30 lowercase letters, numbers, - or _' });
+        }
+        const mapError = item_map !== undefined ? validateItemMap(item_map) : null;
+        if (mapError) {
+            return res.status(400).json({ error: mapError });
         }
         
-        // Get restaurant settings for tax rate
-        const { data: restaurant, error: restError } = await supabase
-            .from('restaurants')
-            .select('settings, name')
-            .eq('id', restaurantId)
+        const { data: integration, error } = await supabase
+            .from('order_integrations')
+            .insert([{ restaurant_id: restaurantId, provider, source, item_map: item_map || {}, secret: newWebhookSecret() }])
+            .select(`${INTEGRATION_FIELDS}, secret`)
             .single();
         
-        if (restError) throw restError;
+        if (error?.code === '23505') {
+            return res.status(409).json({ error: `An integration for ${source} already exists` });
+        }
+        if (error) throw error;
+        
+        console.log(`🛵 Integration added: ${source} (${provider})`);
+        res.status(201).json({ success: true, integration: { ...integration, ...integrationUrls(integration) } });
         
-        const taxRate = restaurant.settings.tax_rate || 0;
-        const restaurantName = restaurant.name || 'Restaurant';
-     
-        // Fetch actual prices from database (prevent price manipulation)
-        const itemIds = orderItems.map(item => item.id);
-        const { data: menuItems, error: itemsError } = await supabase
-            .from('menu_items')
-            .select('id, name, price, is_available')
+    } catch (err) {
+        console.error('Create integration error:', err);
+        res.status(500).json({ error: 'Failed to add integration' });
+    }
+});
+
+// UPDATE INTEGRATION (item_map, is_active)
+app.put('/api/restaurants/:restaurantId/integrations/:integrationId', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId, integrationId } = req.params;
+        const fields = pickFields(req.body || {}, ['item_map', 'is_active']);
+        
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ error: 'No updatable fields provided' });
+        }
+        const mapError = fields.item_map !== undefined ? validateItemMap(fields.item_map) : null;
+        if (mapError) {
+            return res.status(400).json({ error: mapError });
+        }
+        if (fields.is_active !== undefined && typeof fields.is_active !== 'boolean') {
+            return res.status(400).json({ error: 'is_active must be true or false' });
+        }
+        
+        const { data: integration, error } = await supabase
+            .from('order_integrations')
+            .update({ ...fields, updated_at: new Date().toISOString() })
+            .eq('id', integrationId)
             .eq('restaurant_id', restaurantId)
-            .in('id', itemIds);
+            .select(INTEGRATION_FIELDS)
+            .maybeSingle();
         
-        if (itemsError) throw itemsError;
+        if (error) throw error;
         
-        // Check if any items are unavailable
-        const unavailableItems = menuItems.filter(item => !item.is_available);
-        if (unavailableItems.length > 0) {
-            return res.status(400).json({ 
-                error: 'Some items are currently unavailable',
-                unavailable: unavailableItems.map(i => i.name)
-            });
+        if (!integration) {
+            return res.status(404).json({ error: 'Integration not found' });
         }
         
-        // Calculate total with customizations
-        let subtotal = 0;
-        const calculatedItems = [];
+        res.json({ success: true, integration: { ...integration, ...integrationUrls(integration) } });
         
-        for (const orderItem of orderItems) {
-            const menuItem = menuItems.find(m => m.id === orderItem.id);
-            if (!menuItem) {
-                throw new Error(`Item ${orderItem.id} not found`);
-            }
-            
-            const quantity = parseInt(orderItem.quantity) || 1;
-            let itemPrice = menuItem.price;
-            
-            // Add customization prices
-            let customizationsTotal = 0;
-            const customizationDetails = [];
-            
-            if (orderItem.customizations && orderItem.customizations.length > 0) {
-                const customizationIds = orderItem.customizations.map(c => c.id);
-                
-                const { data: customOptions } = await supabase
-                    .from('customization_options')
-                    .select('id, name, price')
-                    .in('id', customizationIds);
-                
-                if (customOptions) {
-                    customOptions.forEach(opt => {
-                        customizationsTotal += parseFloat(opt.price);
-                        customizationDetails.push({
-                            id: opt.id,
-                            name: opt.name,
-                            price: parseFloat(opt.price)
-                        });
-                    });
-                }
-            }
-            
-            const itemTotal = (itemPrice + customizationsTotal) * quantity;
-            subtotal += itemTotal;
-            
-            calculatedItems.push({
-                id: menuItem.id,
-                name: menuItem.name,
-                price: menuItem.price,
-                quantity: quantity,
-                customizations: customizationDetails,
-                special_notes: orderItem.special_notes || '',
-                item_total: itemTotal
-            });
+    } catch (err) {
+        console.error('Update integration error:', err);
+        res.status(500).json({ error: 'Failed to update integration' });
+    }
+});
+
+// DELETE INTEGRATION (orders it created keep their source)
+app.delete('/api/restaurants/:restaurantId/integrations/:integrationId', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId, integrationId } = req.params;
+        
+        const { data: integration, error } = await supabase
+            .from('order_integrations')
+            .delete()
+            .eq('id', integrationId)
+            .eq('restaurant_id', restaurantId)
+            .select('id, source')
+            .maybeSingle();
+        
+        if (error) throw error;
+        
+        if (!integration) {
+            return res.status(404).json({ error: 'Integration not found' });
         }
         
-        const tax = subtotal * taxRate;
-        const total = subtotal + tax;
+        console.log(`🗑️ Integration deleted: ${integration.source}`);
+        res.json({ success: true, deleted: integration });
         
-        const orderNumber = "UD" + Math.floor(1000 + Math.random() * 9000);
-        const orderId = uuidv4();
+    } catch (err) {
+        console.error('Delete integration error:', err);
+        res.status(500).json({ error: 'Failed to delete integration' });
+    }
+});
+
+// ROTATE INTEGRATION SECRET - the old secret stops working immediately
+app.post('/api/restaurants/:restaurantId/integrations/:integrationId/rotate-secret', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId, integrationId } = req.params;
         
-        const { data: savedOrder, error: dbError } = await supabase
-            .from('orders')
-            .insert([{
-                id: orderId,
-                restaurant_id: restaurantId,
-                order_number: orderNumber,
-                customer_name: customer_name,
-                phone_number: phone_number,
-                order_source: order_type?.toLowerCase() || 'walk-in',
-                order_items: JSON.stringify(calculatedItems),
-                total_amount: total.toFixed(2),
-                user_input: notes || '',
-                status: 'new'
-            }])
-            .select()
-            .single();
+        const { data: integration, error } = await supabase
+            .from('order_integrations')
+            .update({ secret: newWebhookSecret(), updated_at: new Date().toISOString() })
+            .eq('id', integrationId)
+            .eq('restaurant_id', restaurantId)
+            .select(`${INTEGRATION_FIELDS}, secret`)
+            .maybeSingle();
         
-        if (dbError) throw dbError;
+        if (error) throw error;
         
-        console.log(`✅ Order created: ${orderNumber} - $${total.toFixed(2)}`);
+        if (!integration) {
+            return res.status(404).json({ error: 'Integration not found' });
+        }
         
-        // Send WhatsApp confirmation
-        if (process.env.META_PHONE_ID && process.env.META_ACCESS_TOKEN) {
-            const itemsText = calculatedItems.map(item => {
-                let itemStr = `• ${item.name} x${item.quantity}`;
-                if (item.customizations && item.customizations.length > 0) {
-                    const customText = item.customizations.map(c => c.name).join(', ');
-                    itemStr += `\n  + ${customText}`;
-                }
-                itemStr += ` - $${item.item_total.toFixed(2)}`;
-                return itemStr;
-            }).join('\n');
-            
-            const confirmationMessage = `✅ *Order Confirmed!*\n\n` +
-                `${restaurantName}\n` +
-                `Order #${orderNumber}\n\n` +
-                `*Your Order:*\n` +
-                itemsText +
-                `\n\n*Total: $${total.toFixed(2)}*\n\n` +
-                `Thank you! We'll send you updates as your order is prepared.`;
-            
-            sendWhatsAppMessage(phone_number, confirmationMessage);
-        }
-        
-        io.emit('new-kds-order', {
-            id: orderId,
-            orderNumber: orderNumber,
-            customerName: customer_name,
-            phone: phone_number,
-            orderType: order_type || 'Walk-in',
-            items: calculatedItems,
-            subtotal: subtotal.toFixed(2),
-            tax: tax.toFixed(2),
-            total: total.toFixed(2),
-            status: 'new',
-            timestamp: new Date().toISOString(),
-            notes: notes || ''
-        });
-        console.log(`📡 KDS broadcast sent for order ${orderNumber}`);
-        console.log('📡 Broadcasting to KDS:', JSON.stringify(calculatedItems, null, 2));
-        res.json({
-            success: true,
-            order: {
-                id: orderId,
-                order_number: orderNumber,
-                items: calculatedItems,
-                subtotal: subtotal.toFixed(2),
-                tax: tax.toFixed(2),
-                total: total.toFixed(2),
-                tax_rate: (taxRate * 100).toFixed(1) + '%'
-            }
-        });
+        console.log(`🔑 Integration secret rotated for ${integration.source} by ${req.staff.name}`);
+        res.json({ success: true, integration: { ...integration, ...integrationUrls(integration) } });
         
     } catch (err) {
-        console.error('Create order error:', err);
-        res.status(500).json({ error: err.message || 'Failed to create order' });
+        console.error('Rotate integration secret error:', err);
+        res.status(500).json({ error: 'Failed to rotate integration secret' });
     }
 });
 
 // ============================================
-// 4. UPDATE ORDER STATUS (with WhatsApp notifications)
+// ORDER STATUS HISTORY (disputes & timing analysis)
 // ============================================
-app.put('/api/orders/:orderId/status', async (req, res) => {
-    const { orderId } = req.params;
-    const { status } = req.body;
-    
+app.get('/api/orders/:orderId/history', requireStaff(...STAFF_ROLES), async (req, res) => {
     try {
-        // Get current order details BEFORE updating
-        const { data: currentOrder, error: fetchError } = await supabase
-            .from('orders')
-            .select('*')
-            .eq('id', orderId)
-            .single();
+        const { orderId } = req.params;
         
-        if (fetchError) {
-            return res.status(500).json({ success: false, error: fetchError.message });
-        }
-        // Update in database
-        const { data, error } = await supabase
+        const { data: order, error: orderError } = await supabase
             .from('orders')
-            .update({ 
-                status,
-                updated_at: new Date().toISOString()
-            })
+            .select('id, restaurant_id, order_number, status, created_at')
             .eq('id', orderId)
-            .select()
-            .single();
+            .maybeSingle();
         
-        if (error) {
-            return res.status(500).json({ success: false, error: error.message });
-        }
+        if (orderError) throw orderError;
         
-        console.log(`📝 Order ${data.order_number} status: ${currentOrder.status} → ${status}`);
-        // Send WhatsApp notifications for status changes
-        if (process.env.META_PHONE_ID && process.env.META_ACCESS_TOKEN && currentOrder.phone_number) {
-            let message = '';
-            let shouldSend = false;
-            
-            if (status === 'preparing' && currentOrder.status === 'new') {
-                message = `👨‍🍳 *Order Update*\n\n` +
-                    `Order #${data.order_number}\n\n` +
-                    `Your order is now being prepared! 🔥`;
-                shouldSend = true;
-            } 
-            else if (status === 'ready' && currentOrder.status === 'preparing') {
-                message = `✅ *Order Ready!*\n\n` +
-                    `Order #${data.order_number}\n\n` +
-                    `Your order is ready for pickup!`;
-                shouldSend = true;
-            }
-            else if (status === 'completed' && currentOrder.status === 'ready') {
-                message = `*Order Completed*\n\n` +
-                    `Order #${data.order_number}\n\n` +
-                    `Thank you for your order! 😊`;
-                shouldSend = true;
-            }
-            
-            if (shouldSend) {
-                console.log(`📱 Sending WhatsApp update to ${currentOrder.phone_number}`);
-                sendWhatsAppMessage(currentOrder.phone_number, message);
-                
-
-            }
+        if (!order || !canAccessRestaurant(req.staff, order.restaurant_id)) {
+            return res.status(404).json({ error: 'Order not found' });
         }
-        // Broadcast to other KDS displays
-        io.emit('order_updated', {
-            orderId: orderId,
-            status: status
+        
+        const { data: history, error } = await supabase
+            .from('order_status_history')
+            .select('from_status, to_status, actor_name, actor_role, reason, created_at')
+            .eq('order_id', orderId)
+            .order('created_at');
+        
+        if (error) throw error;
+        
+        // Time spent in each status, in seconds
+        const entries = history.map((entry, i) => {
+            const next = history[i + 1];
+            const duration = next 
+                ? Math.round((new Date(next.created_at) - new Date(entry.created_at)) / 1000) 
+                : null;
+            return { ...entry, duration_seconds: duration };
         });
         
-        res.json({ success: true, order: data });
+        res.json({ 
+            success: true, 
+            order: { id: order.id, order_number: order.order_number, status: order.status },
+            history: entries 
+        });
         
     } catch (err) {
-        console.error('Update status error:', err);
-        res.status(500).json({ error: err.message || 'Failed to update status' });
+        console.error('Get order history error:', err);
+        res.status(500).json({ error: 'Failed to get order history' });
     }
 });
 // ============================================
-// GET ALL ORDERS FOR A SPECIFIC RESTAURANT (for KDS)
+// ORDER LISTING (pagination, filters, search)
 // ============================================
-app.get('/api/restaurants/:restaurantId/orders', async (req, res) => {
+// Shared by the restaurant and platform-wide order lists. Query parameters:
+//   status   comma-separated statuses, or "open" for everything still on the KDS
+//   from/to  YYYY-MM-DD business dates, or ISO date-times compared with created_at
+//   q        order number, customer name, phone number or delivery app order id
+//   fields   comma-separated columns to return (id and created_at are always included)
+//   limit    page size (default 50, max 200); cursor is the previous page's next_cursor
+const ORDER_LIST_FIELDS = ['id', 'restaurant_id', 'order_number', 'business_date', 'status', 'customer_name', 
+    'phone_number', 'order_source', 'fulfillment_type', 'table_number', 'delivery_address', 'delivery_zone', 
+    'scheduled_for', 'promised_at', 'external_source', 'external_order_id', 'order_items', 'total_amount', 
+    'pricing', 'user_input', 'created_at', 'updated_at'];
+const OPEN_STATUSES = [...ACTIVE_STATUSES, 'ready'];
+const ORDER_PAGE_SIZE = 50;
+const ORDER_PAGE_MAX = 200;
+
+function encodeOrderCursor(order) {
+    return Buffer.from(JSON.stringify([order.created_at, order.id])).toString('base64url');
+}
+
+// The cursor ends up inside a PostgREST filter, so both parts must be exactly what
+// the database returned: a uuid and a timestamp (kept as text to keep its microseconds)
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const CURSOR_TIME_PATTERN = /^[0-9T:.+\- Z]+$/;
+
+function decodeOrderCursor(cursor) {
     try {
-        const { restaurantId } = req.params;
-        const { status } = req.query;
-         console.log(`📋 Fetching orders for restaurant: ${restaurantId}`);        
-        let query = supabase
-            .from('orders')
-            .select('*')
-            .eq('restaurant_id', restaurantId)
-            .order('created_at', { ascending: false });
-        // Filter by status if provided (?status=new,preparing,ready)
-        if (status) {
-            const statusArray = status.split(',').map(s => s.trim());
-            query = query.in('status', statusArray);
-            console.log(`📋 Filtering by status: ${statusArray.join(', ')}`);
+        const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        if (typeof createdAt !== 'string' || !CURSOR_TIME_PATTERN.test(createdAt) || isNaN(new Date(createdAt).getTime())) return null;
+        if (typeof id !== 'string' || !UUID_PATTERN.test(id)) return null;
+        return { createdAt, id };
+    } catch (err) {
+        return null;
+    }
+}
+
+// Build the list query from req.query. Returns { query, limit } or { error }.
+function buildOrderListQuery(params, { restaurantId } = {}) {
+    const { status, from, to, q, fields, cursor } = params;
+    const limit = Math.min(Math.max(parseInt(params.limit) || ORDER_PAGE_SIZE, 1), ORDER_PAGE_MAX);
+    
+    let columns = '*';
+    if (fields) {
+        const requested = String(fields).split(',').map(f => f.trim()).filter(Boolean);
+        const unknown = requested.filter(f => !ORDER_LIST_FIELDS.includes(f));
+        if (unknown.length > 0) {
+            return { error: `Unknown fields: ${unknown.join(', ')}` };
         }
-        
-        const { data, error } = await query;
-        
-        if (error) {
-            console.error('❌ Fetch orders error:', error);
-            throw error;
+        columns = [...new Set(['id', 'created_at', ...requested])].join(',');
+    }
+    
+    // Newest first; id breaks ties so the cursor never skips or repeats an order
+    let query = supabase
+        .from('orders')
+        .select(columns)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit + 1);
+    
+    if (restaurantId) query = query.eq('restaurant_id', restaurantId);
+    
+    if (status) {
+        const statuses = status === 'open' ? OPEN_STATUSES : String(status).split(',').map(s => s.trim());
+        const invalid = statuses.filter(s => !ORDER_STATUSES.includes(s));
+        if (invalid.length > 0) {
+            return { error: `Unknown status: ${invalid.join(', ')}` };
         }
-        
-        console.log(`✅ Found ${data.length} orders for restaurant ${restaurantId}`);        
-        res.json({ 
-            success: true, 
-            orders: data,
-            count: data.length 
-        });
+        query = query.in('status', statuses);
+    }
+    
+    for (const [value, op] of [[from, 'gte'], [to, 'lte']]) {
+        if (!value) continue;
+        if (isIsoDate(value)) {
+            query = query[op]('business_date', value);
+        } else if (!isNaN(new Date(value).getTime())) {
+            query = query[op]('created_at', new Date(value).toISOString());
+        } else {
+            return { error: 'from and to must be YYYY-MM-DD dates or ISO date-times' };
+        }
+    }
+    
+    const orFilters = [];
+    
+    if (q && String(q).trim()) {
+        // Keep only characters that cannot break the PostgREST filter syntax
+        const term = String(q).trim().replace(/[^\p{L}\p{N} '-]/gu, '').slice(0, 50);
+        const digits = phoneDigits(q);
+        const conditions = [`order_number.ilike.*${term}*`, `customer_name.ilike.*${term}*`, `external_order_id.ilike.*${term}*`];
+        // Phone numbers are stored as typed, so let the digits match across spaces and dashes
+        if (digits.length >= 3) conditions.push(`phone_number.ilike.*${digits.split('').join('*')}*`);
+        if (term) orFilters.push(conditions.join(','));
+    }
+    
+    if (cursor) {
+        const position = decodeOrderCursor(cursor);
+        if (!position) {
+            return { error: 'Invalid cursor' };
+        }
+        const at = `"${position.createdAt}"`;
+        orFilters.push(`created_at.lt.${at},and(created_at.eq.${at},id.lt.${position.id})`);
+    }
+    
+    // PostgREST takes a single "or" per level, so combine them under one and()
+    if (orFilters.length === 1) {
+        query = query.or(orFilters[0]);
+    } else if (orFilters.length > 1) {
+        query = query.or(`and(${orFilters.map(f => `or(${f})`).join(',')})`);
+    }
+    
+    return { query, limit };
+}
+
+async function sendOrderPage(req, res, options) {
+    const { query, limit, error: paramError } = buildOrderListQuery(req.query, options);
+    if (paramError) {
+        return res.status(400).json({ success: false, error: paramError });
+    }
+    
+    const { data, error } = await query;
+    if (error) throw error;
+    
+    const page = data.slice(0, limit);
+    const hasMore = data.length > limit;
+    
+    res.json({ 
+        success: true, 
+        orders: page.map(order => redactForRole(order, req.staff.role)),
+        count: page.length,
+        has_more: hasMore,
+        next_cursor: hasMore ? encodeOrderCursor(page[page.length - 1]) : null
+    });
+}
+
+// ============================================
+// GET ALL ORDERS FOR A SPECIFIC RESTAURANT (for KDS)
+// ============================================
+app.get('/api/restaurants/:restaurantId/orders', requireStaff(...STAFF_ROLES), async (req, res) => {
+    try {
+        await sendOrderPage(req, res, { restaurantId: req.params.restaurantId });
         
     } catch (err) {
         console.error('Get restaurant orders error:', err);
@@ -541,7 +8304,7 @@ app.get('/api/restaurants/:restaurantId/orders', async (req, res) => {
 // ============================================
 // 5. GET ORDER DETAILS
 // ============================================
-app.get('/api/restaurants/:restaurantId/orders/:orderId', async (req, res) => {
+app.get('/api/restaurants/:restaurantId/orders/:orderId', requireStaff(...STAFF_ROLES), async (req, res) => {
     try {
         const { restaurantId, orderId } = req.params;
         
@@ -556,7 +8319,7 @@ app.get('/api/restaurants/:restaurantId/orders/:orderId', async (req, res) => {
             return res.status(404).json({ error: 'Order not found' });
         }
         
-        res.json({ success: true, order: data });
+        res.json({ success: true, order: redactForRole(data, req.staff.role) });
         
     } catch (err) {
         console.error('Get order error:', err);
@@ -564,27 +8327,12 @@ app.get('/api/restaurants/:restaurantId/orders/:orderId', async (req, res) => {
     }
 });
 // ============================================
-// 6. GET ALL ORDERS (for KDS)
+// 6. GET ALL ORDERS (all restaurants)
 // ============================================
-app.get('/api/orders', async (req, res) => {
+// Platform admins only - staff use their restaurant's listing above
+app.get('/api/orders', requireStaff('admin'), async (req, res) => {
     try {
-        const { status } = req.query;
-        
-        let query = supabase
-            .from('orders')
-            .select('*')
-            .order('created_at', { ascending: false });
-        
-        if (status) {
-            const statusArray = status.split(',');
-            query = query.in('status', statusArray);
-        }
-        
-        const { data, error } = await query;
-        
-        if (error) throw error;
-        
-        res.json({ success: true, orders: data });
+        await sendOrderPage(req, res, { restaurantId: req.query.restaurant_id });
         
     } catch (err) {
         console.error('Get orders error:', err);
@@ -594,40 +8342,38 @@ app.get('/api/orders', async (req, res) => {
 // ============================================
 // 7. GET RESTAURANT STATISTICS
 // ============================================
-app.get('/api/restaurants/:restaurantId/stats', async (req, res) => {
+app.get('/api/restaurants/:restaurantId/stats', requireStaff('manager'), async (req, res) => {
     try {
         const { restaurantId } = req.params;
         
         const { data: menuItems } = await supabase
             .from('menu_items')
-            .select('is_available')
+            .select('is_available, unavailable_until')
             .eq('restaurant_id', restaurantId);
         
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+        const restaurant = await loadReportRestaurant(restaurantId);
+        if (!restaurant) {
+            return res.status(404).json({ error: 'Restaurant not found' });
+        }
         
-        const { data: todayOrders } = await supabase
-            .from('orders')
-            .select('total_amount, status')
-            .eq('restaurant_id', restaurantId)
-            .gte('created_at', today.toISOString());
+        // "Today" is the restaurant's current business day, in its own timezone
+        const { from, to } = reportRange({}, restaurant);
+        const report = await salesReport(restaurantId, restaurant, { from, to, limit: 0 });
         
         const stats = {
             menu: {
                 total_items: menuItems?.length || 0,
-                available: menuItems?.filter(i => i.is_available).length || 0,
-                out_of_stock: menuItems?.filter(i => !i.is_available).length || 0
+                available: menuItems?.filter(i => i.is_available && !isHeld(i, new Date())).length || 0,
+                out_of_stock: menuItems?.filter(i => !i.is_available).length || 0,
+                on_hold: menuItems?.filter(i => i.is_available && isHeld(i, new Date())).length || 0
             },
             orders_today: {
-                count: todayOrders?.length || 0,
-                revenue: todayOrders?.reduce((sum, o) => sum + parseFloat(o.total_amount), 0).toFixed(2) || '0.00',
-                by_status: {
-                    new: todayOrders?.filter(o => o.status === 'new').length || 0,
-                    confirmed: todayOrders?.filter(o => o.status === 'confirmed').length || 0,
-                    preparing: todayOrders?.filter(o => o.status === 'preparing').length || 0,
-                    ready: todayOrders?.filter(o => o.status === 'ready').length || 0,
-                    completed: todayOrders?.filter(o => o.status === 'completed').length || 0
-                }
+                business_date: from,
+                count: Object.values(report.by_status).reduce((sum, n) => sum + n, 0),
+                revenue: Number(report.summary.revenue).toFixed(2),
+                by_status: Object.fromEntries(ORDER_STATUSES.map(status => 
+                    [status, report.by_status[status] || 0]
+                ))
             }
         };
         
@@ -638,11 +8384,339 @@ app.get('/api/restaurants/:restaurantId/stats', async (req, res) => {
         res.status(500).json({ error: 'Failed to get stats' });
     }
 });
+// ============================================
+// SALES REPORTS
+// ============================================
+// Aggregated by the sales_report RPC so totals never require loading every order.
+// from / to are business dates (YYYY-MM-DD, inclusive) in the restaurant's timezone
+// and default to today. Add format=csv to download a section as a spreadsheet.
+const REPORT_GROUPS = ['hour', 'day', 'week'];
+const REPORT_MAX_DAYS = { hour: 31, day: 366, week: 366 };
+const REPORT_CSV_SECTIONS = {
+    series: ['period', 'orders', 'revenue'],
+    items: ['id', 'name', 'quantity', 'revenue'],
+    customizations: ['name', 'quantity', 'revenue'],
+    sources: ['source', 'orders', 'revenue'],
+    fulfillment: ['fulfillment_type', 'orders', 'revenue']
+};
+const ORDER_EXPORT_COLUMNS = ['order_number', 'business_date', 'created_at', 'status', 'order_source', 
+    'fulfillment_type', 'customer_name', 'subtotal', 'discount_total', 'charges_total', 'tax', 'total'];
+const EXPORT_PAGE_SIZE = 1000;
+
+function isIsoDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00Z`).getTime());
+}
+
+// Resolve and check the requested range. Returns { from, to } or { error }.
+function reportRange(query, restaurant, groupBy = 'day') {
+    const settings = restaurant.settings || {};
+    const today = businessDate(settings.timezone, settings.order_number?.day_start_hour || 0);
+    const from = query.from || today;
+    const to = query.to || from;
+    
+    if (!isIsoDate(from) || !isIsoDate(to)) {
+        return { error: 'from and to must be dates in YYYY-MM-DD format' };
+    }
+    if (from > to) {
+        return { error: 'from must be on or before to' };
+    }
+    
+    const days = (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000 + 1;
+    if (days > REPORT_MAX_DAYS[groupBy]) {
+        return { error: `Reports grouped by ${groupBy} can cover at most ${REPORT_MAX_DAYS[groupBy]} days` };
+    }
+    return { from, to };
+}
+
+// RFC 4180 CSV, with a guard against spreadsheet formula injection in text cells
+function toCsv(rows, columns) {
+    const cell = value => {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(','), ...rows.map(row => columns.map(column => cell(row[column])).join(','))].join('\r\n') + '\r\n';
+}
+
+// "2026-10-19 18:05" in the restaurant's timezone - sorts and parses cleanly in spreadsheets
+function spreadsheetTime(iso, timezone) {
+    const options = { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' };
+    try {
+        return new Date(iso).toLocaleString('sv-SE', { ...options, timeZone: timezone || 'UTC' });
+    } catch (err) {
+        return new Date(iso).toLocaleString('sv-SE', { ...options, timeZone: 'UTC' });
+    }
+}
+
+function sendCsv(res, filename, rows, columns) {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(toCsv(rows, columns));
+}
+
+async function loadReportRestaurant(restaurantId) {
+    const { data, error } = await supabase
+        .from('restaurants')
+        .select('name, slug, settings')
+        .eq('id', restaurantId)
+        .maybeSingle();
+    
+    if (error) throw error;
+    return data;
+}
+
+async function salesReport(restaurantId, restaurant, { from, to, groupBy = 'day', limit = 10 }) {
+    const { data, error } = await supabase.rpc('sales_report', {
+        p_restaurant_id: restaurantId,
+        p_from: from,
+        p_to: to,
+        p_timezone: restaurant.settings?.timezone || 'UTC',
+        p_group_by: groupBy,
+        p_limit: limit
+    });
+    
+    if (error) throw error;
+    return data;
+}
+
+// SALES REPORT (revenue series, top sellers, prep times, sources)
+app.get('/api/restaurants/:restaurantId/reports/sales', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId } = req.params;
+        const { group_by: groupBy = 'day', format, section = 'series' } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+        
+        if (!REPORT_GROUPS.includes(groupBy)) {
+            return res.status(400).json({ error: `group_by must be one of: ${REPORT_GROUPS.join(', ')}` });
+        }
+        if (format === 'csv' && !REPORT_CSV_SECTIONS[section]) {
+            return res.status(400).json({ error: `section must be one of: ${Object.keys(REPORT_CSV_SECTIONS).join(', ')}` });
+        }
+        
+        const restaurant = await loadReportRestaurant(restaurantId);
+        if (!restaurant) {
+            return res.status(404).json({ error: 'Restaurant not found' });
+        }
+        
+        const range = reportRange(req.query, restaurant, groupBy);
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
+        
+        const report = await salesReport(restaurantId, restaurant, { ...range, groupBy, limit });
+        
+        if (format === 'csv') {
+            const rows = {
+                series: report.series,
+                items: report.top_items,
+                customizations: report.top_customizations,
+                sources: report.by_source,
+                fulfillment: report.by_fulfillment
+            }[section];
+            return sendCsv(res, `${restaurant.slug || 'sales'}-${section}-${range.from}-to-${range.to}.csv`, 
+                rows, REPORT_CSV_SECTIONS[section]);
+        }
+        
+        res.json({ 
+            success: true, 
+            report: { 
+                from: range.from, 
+                to: range.to, 
+                timezone: restaurant.settings?.timezone || 'UTC', 
+                group_by: groupBy, 
+                ...report 
+            } 
+        });
+        
+    } catch (err) {
+        console.error('Sales report error:', err);
+        res.status(500).json({ error: 'Failed to build sales report' });
+    }
+});
+
+// ORDER EXPORT (one row per order, for end-of-day reconciliation)
+app.get('/api/restaurants/:restaurantId/reports/orders', requireStaff('manager'), async (req, res) => {
+    try {
+        const { restaurantId } = req.params;
+        
+        const restaurant = await loadReportRestaurant(restaurantId);
+        if (!restaurant) {
+            return res.status(404).json({ error: 'Restaurant not found' });
+        }
+        
+        const range = reportRange(req.query, restaurant);
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
+        
+        // Page through the range; PostgREST caps the rows returned per request
+        const orders = [];
+        for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+            const { data, error } = await supabase
+                .from('orders')
+                .select('order_number, business_date, created_at, status, order_source, fulfillment_type, customer_name, total_amount, pricing')
+                .eq('restaurant_id', restaurantId)
+                .gte('business_date', range.from)
+                .lte('business_date', range.to)
+                .order('created_at', { ascending: true })
+                .range(offset, offset + EXPORT_PAGE_SIZE - 1);
+            
+            if (error) throw error;
+            orders.push(...data);
+            if (data.length < EXPORT_PAGE_SIZE) break;
+        }
+        
+        const timezone = restaurant.settings?.timezone;
+        const rows = orders.map(order => ({
+            order_number: order.order_number,
+            business_date: order.business_date,
+            created_at: spreadsheetTime(order.created_at, timezone),
+            status: order.status,
+            order_source: order.order_source,
+            fulfillment_type: order.fulfillment_type,
+            customer_name: order.customer_name,
+            subtotal: order.pricing?.subtotal ?? '',
+            discount_total: order.pricing?.discount_total ?? '',
+            charges_total: order.pricing?.charges_total ?? '',
+            tax: order.pricing?.tax ?? '',
+            total: Number(order.total_amount).toFixed(2)
+        }));
+        
+        if (req.query.format === 'csv') {
+            return sendCsv(res, `${restaurant.slug || 'orders'}-orders-${range.from}-to-${range.to}.csv`, 
+                rows, ORDER_EXPORT_COLUMNS);
+        }
+        
+        res.json({ success: true, from: range.from, to: range.to, orders: rows });
+        
+    } catch (err) {
+        console.error('Order export error:', err);
+        res.status(500).json({ error: 'Failed to export orders' });
+    }
+});
+
 // ============================================
 // SOCKET.IO CONNECTIONS
 // ============================================
+// Staff devices authenticate with the session token from /api/auth/login.
+// Sockets without a token are guests (ordering pages) and never receive order events.
+// A KDS is put in its restaurant's room straight away; platform admins pick one with join-restaurant.
+// Event payloads come straight from clients: anything but a plain object reads as {}
+function socketPayload(payload) {
+    return payload && typeof payload === 'object' && !Array.isArray(payload) ? payload : {};
+}
+
+io.use((socket, next) => {
+    const token = socket.handshake.auth?.token;
+    
+    if (!token) {
+        socket.data.staff = null;
+        return next();
+    }
+    
+    const staff = verifyToken(token);
+    if (!staff) {
+        return next(new Error('Unauthorized'));
+    }
+    
+    socket.data.staff = staff;
+    next();
+});
+
 io.on('connection', (socket) => {
-    console.log(`✅ KDS connected: ${socket.id}`);
+    const staff = socket.data.staff;
+    
+    function joinRestaurant(restaurantId) {
+        leaveOrderRooms();
+        socket.data.restaurantId = restaurantId;
+        socket.data.station = null;
+        socket.join([`restaurant:${restaurantId}`, orderFeedRoom(restaurantId, staff.role)]);
+        if (['manager', 'admin'].includes(staff.role)) socket.join(managerRoom(restaurantId));
+    }
+    
+    function leaveOrderRooms() {
+        for (const room of socket.rooms) {
+            if (room.startsWith('restaurant:')) socket.leave(room);
+        }
+    }
+    
+    if (staff) {
+        if (staff.restaurant_id) joinRestaurant(staff.restaurant_id);
+        console.log(`✅ KDS connected: ${socket.id} (${staff.name}, ${staff.role})`);
+    } else {
+        console.log(`👀 Guest connected: ${socket.id}`);
+    }
+    
+    // Ordering pages subscribe to menu changes; staff (admins) switch restaurant feeds
+    socket.on('join-restaurant', (payload, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        const { restaurantId } = socketPayload(payload);
+        
+        if (!restaurantId || typeof restaurantId !== 'string') {
+            return reply({ success: false, error: 'restaurantId is required' });
+        }
+        
+        if (!staff) {
+            socket.join(`menu:${restaurantId}`);
+            return reply({ success: true, room: `menu:${restaurantId}` });
+        }
+        
+        if (!canAccessRestaurant(staff, restaurantId)) {
+            return reply({ success: false, error: 'Not authorized for this restaurant' });
+        }
+        
+        joinRestaurant(restaurantId);
+        reply({ success: true, room: `restaurant:${restaurantId}` });
+    });
+    
+    // Station screens only receive their own station's tickets
+    socket.on('join-station', (payload, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        const { station } = socketPayload(payload);
+        const restaurantId = socket.data.restaurantId;
+        
+        if (!staff || !restaurantId) {
+            return reply({ success: false, error: 'Join a restaurant first' });
+        }
+        if (!station || typeof station !== 'string') {
+            return reply({ success: false, error: 'station is required' });
+        }
+        
+        socket.leave(orderFeedRoom(restaurantId, staff.role, socket.data.station));
+        socket.join(orderFeedRoom(restaurantId, staff.role, station));
+        socket.data.station = station;
+        console.log(`🍳 ${socket.id} joined station ${station}`);
+        reply({ success: true, station });
+    });
+    
+    // A (re)connecting screen catches up: { since: last seq seen, or null for a snapshot }
+    socket.on('resync', async (payload, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        
+        try {
+            const { since = null } = socketPayload(payload);
+            const restaurantId = socket.data.restaurantId;
+            
+            if (!staff || !restaurantId) {
+                return reply({ success: false, error: 'Join a restaurant first' });
+            }
+            
+            const result = await resyncOrderFeed(restaurantId, socket.data.station, staff.role, since);
+            if (result.mode === 'events' && result.events.length) {
+                console.log(`🔁 Replayed ${result.events.length} event(s) to ${socket.id} (after #${since})`);
+            }
+            reply({ success: true, ...result });
+        } catch (err) {
+            console.error('Resync error:', err.message || err);
+            reply({ success: false, error: 'Failed to resync' });
+        }
+    });
+    
+    socket.on('leave-station', (ack) => {
+        if (staff && socket.data.restaurantId) joinRestaurant(socket.data.restaurantId);
+        if (typeof ack === 'function') ack({ success: true });
+    });
     
     socket.on('disconnect', () => {
         console.log(`❌ KDS disconnected: ${socket.id}`);
@@ -656,4 +8730,34 @@ server.listen(PORT, '0.0.0.0', () => {
     console.log(`✅ Server running on port ${PORT}`);
     console.log(`📡 Socket.IO ready`);
     console.log(`🔗 WhatsApp ${process.env.META_PHONE_ID ? 'enabled' : 'disabled'}`);
+    if (process.env.META_PHONE_ID && !process.env.META_APP_SECRET) {
+        console.warn('⚠️ META_APP_SECRET is not set - incoming WhatsApp messages and delivery receipts will be rejected');
+    }
+    
+    // Pick up anything queued before a restart, then keep polling for retries
+    if (whatsappEnabled()) {
+        processOutbox();
+        setInterval(processOutbox, OUTBOX_POLL_MS);
+    }
+    
+    // Idempotency keys past their replay window
+    setInterval(pruneIdempotencyKeys, IDEMPOTENCY_PRUNE_MS);
+    
+    // Dayparts opening / closing and 86 holds running out
+    refreshScheduledAvailability();
+    setInterval(refreshScheduledAvailability, AVAILABILITY_POLL_MS);
+    
+    // Orders whose online payment was abandoned
+    setInterval(expireUnpaidOrders, PAYMENT_EXPIRY_POLL_MS);
+    
+    // Old order events are only needed for replays within the retention window
+    setInterval(pruneOrderEvents, ORDER_EVENT_PRUNE_MS);
+    
+    // Print jobs queued before a restart, and retries
+    processPrintQueue();
+    setInterval(processPrintQueue, PRINT_POLL_MS);
+    
+    // Webhook deliveries queued before a restart, and retries
+    processWebhookQueue();
+    setInterval(processWebhookQueue, WEBHOOK_POLL_MS);
 });
\ No newline at end of file
@@ -0,0 +1,14 @@
+-- Per-restaurant staff accounts used for KDS / admin logins.
+-- pin_hash is "scrypt:<salt>:<hash>" as produced by hashPin() in server.js.
+create table if not exists staff_accounts (
+    id uuid primary key default gen_random_uuid(),
+    restaurant_id uuid not null references restaurants(id) on delete cascade,
+    name text not null,
+    role text not null check (role in ('kitchen', 'cashier', 'manager')),
+    pin_hash text not null,
+    is_active boolean not null default true,
+    last_login_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists staff_accounts_restaurant_idx on staff_accounts (restaurant_id) where is_active;
@@ -0,0 +1,16 @@
+-- Audit trail of every order status change (see ORDER_TRANSITIONS in server.js).
+create table if not exists order_status_history (
+    id bigint generated always as identity primary key,
+    order_id uuid not null references orders(id) on delete cascade,
+    restaurant_id uuid not null references restaurants(id) on delete cascade,
+    from_status text,
+    to_status text not null,
+    actor_id text,
+    actor_name text,
+    actor_role text,
+    reason text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists order_status_history_order_idx on order_status_history (order_id, created_at);
+create index if not exists order_status_history_restaurant_idx on order_status_history (restaurant_id, created_at);
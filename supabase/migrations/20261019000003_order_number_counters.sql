@@ -0,0 +1,26 @@
+-- Sequential order numbers per restaurant and counter period (see allocateOrderNumber in server.js).
+create table if not exists order_number_counters (
+    restaurant_id uuid not null references restaurants(id) on delete cascade,
+    period text not null,
+    last_value integer not null default 0,
+    updated_at timestamptz not null default now(),
+    primary key (restaurant_id, period)
+);
+
+-- Atomically bump and return the next number. The upsert takes a row lock,
+-- so concurrent callers for the same restaurant/period are serialized.
+create or replace function next_order_number(p_restaurant_id uuid, p_period text)
+returns integer
+language sql
+as $$
+    insert into order_number_counters (restaurant_id, period, last_value)
+    values (p_restaurant_id, p_period, 1)
+    on conflict (restaurant_id, period)
+    do update set last_value = order_number_counters.last_value + 1, updated_at = now()
+    returning last_value;
+$$;
+
+alter table orders add column if not exists business_date date;
+
+create unique index if not exists orders_restaurant_business_date_number_idx
+    on orders (restaurant_id, business_date, order_number);
@@ -0,0 +1,33 @@
+-- Write a whole order in one transaction: allocate the order number, insert the
+-- order and its first status-history row. Only the keys present in p_order are
+-- inserted, so column defaults still apply to everything else.
+create or replace function create_order(p_order jsonb, p_period text, p_prefix text, p_pad integer)
+returns orders
+language plpgsql
+as $$
+declare
+    v_seq integer;
+    v_number text;
+    v_cols text;
+    v_order orders;
+begin
+    v_seq := next_order_number((p_order->>'restaurant_id')::uuid, p_period);
+    v_number := case
+        when length(v_seq::text) >= p_pad then v_seq::text
+        else lpad(v_seq::text, p_pad, '0')
+    end;
+    p_order := p_order || jsonb_build_object('order_number', p_prefix || v_number);
+
+    select string_agg(quote_ident(key), ', ') into v_cols from jsonb_object_keys(p_order) as key;
+
+    execute format(
+        'insert into orders (%s) select %s from jsonb_populate_record(null::orders, $1) returning *',
+        v_cols, v_cols
+    ) using p_order into v_order;
+
+    insert into order_status_history (order_id, restaurant_id, from_status, to_status, actor_name, actor_role)
+    values (v_order.id, v_order.restaurant_id, null, v_order.status, 'customer', 'customer');
+
+    return v_order;
+end;
+$$;
@@ -0,0 +1,12 @@
+-- Idempotency-Key bookkeeping for order submission (see claimIdempotencyKey / completeIdempotencyKey in server.js).
+create table if not exists idempotency_keys (
+    restaurant_id uuid not null references restaurants(id) on delete cascade,
+    key text not null,
+    request_hash text not null,
+    status text not null default 'processing' check (status in ('processing', 'completed')),
+    response jsonb,
+    created_at timestamptz not null default now(),
+    primary key (restaurant_id, key)
+);
+
+create index if not exists idempotency_keys_created_idx on idempotency_keys (created_at);
@@ -0,0 +1,77 @@
+-- Pricing engine: per-category tax rates, promo codes and the stored price breakdown.
+alter table menu_categories add column if not exists tax_rate numeric(6, 4)
+    check (tax_rate is null or (tax_rate >= 0 and tax_rate <= 1));
+
+alter table orders add column if not exists pricing jsonb;
+alter table orders add column if not exists promo_code_id uuid;
+
+create table if not exists promo_codes (
+    id uuid primary key default gen_random_uuid(),
+    restaurant_id uuid not null references restaurants(id) on delete cascade,
+    code text not null,
+    description text,
+    discount_type text not null check (discount_type in ('percentage', 'fixed')),
+    discount_value numeric(10, 4) not null check (discount_value > 0),
+    min_subtotal numeric(10, 2),
+    order_types text[],
+    starts_at timestamptz,
+    expires_at timestamptz,
+    max_uses integer check (max_uses is null or max_uses > 0),
+    used_count integer not null default 0,
+    is_active boolean not null default true,
+    created_at timestamptz not null default now(),
+    unique (restaurant_id, code)
+);
+
+-- create_order now also redeems the promo code inside the same transaction,
+-- so a code with max_uses can never be used more often than allowed.
+drop function if exists create_order(jsonb, text, text, integer);
+
+create or replace function create_order(
+    p_order jsonb,
+    p_period text,
+    p_prefix text,
+    p_pad integer,
+    p_promo_code_id uuid default null
+)
+returns orders
+language plpgsql
+as $$
+declare
+    v_seq integer;
+    v_number text;
+    v_cols text;
+    v_order orders;
+begin
+    if p_promo_code_id is not null then
+        update promo_codes
+           set used_count = used_count + 1
+         where id = p_promo_code_id
+           and is_active
+           and (max_uses is null or used_count < max_uses);
+        if not found then
+            raise exception 'promo_code_exhausted' using errcode = 'P0001';
+        end if;
+        p_order := p_order || jsonb_build_object('promo_code_id', p_promo_code_id);
+    end if;
+
+    v_seq := next_order_number((p_order->>'restaurant_id')::uuid, p_period);
+    v_number := case
+        when length(v_seq::text) >= p_pad then v_seq::text
+        else lpad(v_seq::text, p_pad, '0')
+    end;
+    p_order := p_order || jsonb_build_object('order_number', p_prefix || v_number);
+
+    select string_agg(quote_ident(key), ', ') into v_cols from jsonb_object_keys(p_order) as key;
+
+    execute format(
+        'insert into orders (%s) select %s from jsonb_populate_record(null::orders, $1) returning *',
+        v_cols, v_cols
+    ) using p_order into v_order;
+
+    insert into order_status_history (order_id, restaurant_id, from_status, to_status, actor_name, actor_role)
+    values (v_order.id, v_order.restaurant_id, null, v_order.status, 'customer', 'customer');
+
+    return v_order;
+end;
+$$;
@@ -0,0 +1,44 @@
+-- Durable outbox for outbound WhatsApp messages (see NOTIFICATION OUTBOX in server.js).
+create table if not exists notification_outbox (
+    id uuid primary key default gen_random_uuid(),
+    restaurant_id uuid references restaurants(id) on delete cascade,
+    order_id uuid references orders(id) on delete set null,
+    channel text not null default 'whatsapp',
+    kind text not null default 'transactional' check (kind in ('transactional', 'marketing')),
+    recipient text not null,
+    message text not null,
+    status text not null default 'queued'
+        check (status in ('queued', 'sending', 'sent', 'delivered', 'read', 'failed')),
+    attempts integer not null default 0,
+    next_attempt_at timestamptz not null default now(),
+    last_error text,
+    provider_message_id text,
+    sent_at timestamptz,
+    delivered_at timestamptz,
+    read_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists notification_outbox_due_idx on notification_outbox (next_attempt_at) where status in ('queued', 'sending');
+create index if not exists notification_outbox_order_idx on notification_outbox (order_id);
+create unique index if not exists notification_outbox_provider_id_idx on notification_outbox (provider_message_id);
+
+-- Claim due messages for one worker. SKIP LOCKED lets several server instances
+-- poll the same table; rows stuck in "sending" (crashed worker) are reclaimed.
+create or replace function claim_notifications(p_limit integer)
+returns setof notification_outbox
+language sql
+as $$
+    update notification_outbox
+       set status = 'sending', attempts = attempts + 1, updated_at = now()
+     where id in (
+        select id from notification_outbox
+         where (status = 'queued' and next_attempt_at <= now())
+            or (status = 'sending' and updated_at < now() - interval '5 minutes')
+         order by next_attempt_at
+         limit p_limit
+         for update skip locked
+     )
+    returning *;
+$$;
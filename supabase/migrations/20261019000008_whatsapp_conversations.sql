@@ -0,0 +1,8 @@
+-- State of the guided WhatsApp ordering chat, one row per customer per restaurant.
+create table if not exists whatsapp_conversations (
+    restaurant_id uuid not null references restaurants(id) on delete cascade,
+    phone text not null,
+    state jsonb not null default '{}'::jsonb,
+    updated_at timestamptz not null default now(),
+    primary key (restaurant_id, phone)
+);
@@ -0,0 +1,13 @@
+-- Structured fulfilment details. order_source now only records the channel
+-- (web, phone, walk-in, whatsapp); how the order reaches the customer lives here.
+alter table orders
+    add column if not exists fulfillment_type text not null default 'pickup'
+        check (fulfillment_type in ('dine_in', 'pickup', 'delivery')),
+    add column if not exists table_number text,
+    add column if not exists delivery_address jsonb,
+    add column if not exists delivery_zone text,
+    add column if not exists scheduled_for timestamptz;
+
+create index if not exists orders_scheduled_for_idx
+    on orders (restaurant_id, scheduled_for)
+    where scheduled_for is not null;
@@ -0,0 +1,10 @@
+-- Server-side promise times. promise_breakdown keeps the parts of the estimate
+-- ({ base, queue, weekend, throttle } in minutes) so ETAs can be recomputed
+-- when kitchen load crosses the throttle trigger.
+alter table orders
+    add column if not exists promised_at timestamptz,
+    add column if not exists promise_breakdown jsonb;
+
+create index if not exists orders_active_queue_idx
+    on orders (restaurant_id, status)
+    where status in ('new', 'confirmed', 'preparing', 'recalled');
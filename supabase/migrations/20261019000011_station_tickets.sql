@@ -0,0 +1,81 @@
+-- Kitchen stations. An item's station overrides its category's; anything
+-- unassigned goes to settings.default_station (or 'kitchen').
+alter table menu_items add column if not exists station text;
+alter table menu_categories add column if not exists station text;
+
+-- One ticket per station per order. items is a list of
+-- { line, id, name, quantity, customizations, special_notes, done, done_at }
+-- where line is the index into orders.order_items.
+create table if not exists order_tickets (
+    id uuid primary key,
+    order_id uuid not null references orders(id) on delete cascade,
+    restaurant_id uuid not null references restaurants(id) on delete cascade,
+    station text not null,
+    status text not null default 'pending' check (status in ('pending', 'in_progress', 'done')),
+    items jsonb not null,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    done_at timestamptz
+);
+
+create index if not exists order_tickets_order_idx on order_tickets (order_id);
+create index if not exists order_tickets_open_idx
+    on order_tickets (restaurant_id, station, created_at)
+    where status <> 'done';
+
+-- create_order now also writes the station tickets in the same transaction
+drop function if exists create_order(jsonb, text, text, integer, uuid);
+
+create or replace function create_order(
+    p_order jsonb,
+    p_period text,
+    p_prefix text,
+    p_pad integer,
+    p_promo_code_id uuid default null,
+    p_tickets jsonb default '[]'::jsonb
+)
+returns orders
+language plpgsql
+as $$
+declare
+    v_seq integer;
+    v_number text;
+    v_cols text;
+    v_order orders;
+begin
+    if p_promo_code_id is not null then
+        update promo_codes
+           set used_count = used_count + 1
+         where id = p_promo_code_id
+           and is_active
+           and (max_uses is null or used_count < max_uses);
+        if not found then
+            raise exception 'promo_code_exhausted' using errcode = 'P0001';
+        end if;
+        p_order := p_order || jsonb_build_object('promo_code_id', p_promo_code_id);
+    end if;
+
+    v_seq := next_order_number((p_order->>'restaurant_id')::uuid, p_period);
+    v_number := case
+        when length(v_seq::text) >= p_pad then v_seq::text
+        else lpad(v_seq::text, p_pad, '0')
+    end;
+    p_order := p_order || jsonb_build_object('order_number', p_prefix || v_number);
+
+    select string_agg(quote_ident(key), ', ') into v_cols from jsonb_object_keys(p_order) as key;
+
+    execute format(
+        'insert into orders (%s) select %s from jsonb_populate_record(null::orders, $1) returning *',
+        v_cols, v_cols
+    ) using p_order into v_order;
+
+    insert into order_status_history (order_id, restaurant_id, from_status, to_status, actor_name, actor_role)
+    values (v_order.id, v_order.restaurant_id, null, v_order.status, 'customer', 'customer');
+
+    insert into order_tickets (id, order_id, restaurant_id, station, items)
+    select (t->>'id')::uuid, v_order.id, v_order.restaurant_id, t->>'station', t->'items'
+      from jsonb_array_elements(p_tickets) as t;
+
+    return v_order;
+end;
+$$;
@@ -0,0 +1,6 @@
+-- Unguessable token for the public order-tracking page (/track/<token>)
+alter table orders add column if not exists tracking_token text;
+
+create unique index if not exists orders_tracking_token_idx
+    on orders (tracking_token)
+    where tracking_token is not null;
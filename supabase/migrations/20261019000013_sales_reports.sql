@@ -0,0 +1,136 @@
+-- Sales reporting, aggregated in the database. Days are business days
+-- (orders.business_date, falling back to the local date for older orders);
+-- hours and weeks are in the restaurant's timezone. Cancelled and refunded
+-- orders are excluded from revenue and counted separately.
+create or replace function sales_report(
+    p_restaurant_id uuid,
+    p_from date,
+    p_to date,
+    p_timezone text default 'UTC',
+    p_group_by text default 'day',
+    p_limit integer default 10
+)
+returns jsonb
+language sql
+stable
+as $$
+with scoped as (
+    select o.*,
+           o.created_at at time zone p_timezone as local_created,
+           o.status not in ('cancelled', 'refunded') as counts,
+           -- order_items has been written both as a JSON array and as a JSON-encoded string
+           case when jsonb_typeof(to_jsonb(o.order_items)) = 'string'
+                then (to_jsonb(o.order_items) #>> '{}')::jsonb
+                else to_jsonb(o.order_items)
+           end as lines
+      from orders o
+     where o.restaurant_id = p_restaurant_id
+       and coalesce(o.business_date, (o.created_at at time zone p_timezone)::date) between p_from and p_to
+),
+sold as (
+    select s.id, line
+      from scoped s
+     cross join lateral jsonb_array_elements(coalesce(s.lines, '[]'::jsonb)) as line
+     where s.counts
+),
+timings as (
+    select h.order_id,
+           min(h.created_at) filter (where h.to_status = 'preparing') as started_at,
+           min(h.created_at) filter (where h.to_status = 'ready') as ready_at
+      from order_status_history h
+      join scoped s on s.id = h.order_id
+     group by h.order_id
+)
+select jsonb_build_object(
+    'summary', (
+        select jsonb_build_object(
+            'orders', count(*) filter (where counts),
+            'revenue', coalesce(sum(total_amount) filter (where counts), 0),
+            'subtotal', coalesce(sum((pricing->>'subtotal')::numeric) filter (where counts), 0),
+            'discounts', coalesce(sum((pricing->>'discount_total')::numeric) filter (where counts), 0),
+            'charges', coalesce(sum((pricing->>'charges_total')::numeric) filter (where counts), 0),
+            'tax', coalesce(sum((pricing->>'tax')::numeric) filter (where counts), 0),
+            'average_order', coalesce(round(avg(total_amount) filter (where counts), 2), 0),
+            'cancelled', count(*) filter (where status = 'cancelled'),
+            'refunded', count(*) filter (where status = 'refunded'),
+            'refunded_amount', coalesce(sum(total_amount) filter (where status = 'refunded'), 0)
+        )
+          from scoped
+    ),
+    'by_status', (
+        select coalesce(jsonb_object_agg(status, n), '{}'::jsonb)
+          from (select status, count(*) as n from scoped group by status) x
+    ),
+    'series', (
+        select coalesce(jsonb_agg(jsonb_build_object('period', period, 'orders', orders, 'revenue', revenue) order by period), '[]'::jsonb)
+          from (
+              select date_trunc(p_group_by, local_created) as period,
+                     count(*) filter (where counts) as orders,
+                     coalesce(sum(total_amount) filter (where counts), 0) as revenue
+                from scoped
+               group by 1
+          ) x
+    ),
+    'top_items', (
+        select coalesce(jsonb_agg(to_jsonb(x) order by x.quantity desc, x.revenue desc), '[]'::jsonb)
+          from (
+              select line->>'id' as id,
+                     line->>'name' as name,
+                     sum((line->>'quantity')::integer) as quantity,
+                     sum((line->>'item_total')::numeric) as revenue
+                from sold
+               group by 1, 2
+               order by 3 desc, 4 desc
+               limit p_limit
+          ) x
+    ),
+    'top_customizations', (
+        select coalesce(jsonb_agg(to_jsonb(x) order by x.quantity desc, x.revenue desc), '[]'::jsonb)
+          from (
+              select c->>'name' as name,
+                     sum((line->>'quantity')::integer) as quantity,
+                     sum((c->>'price')::numeric * (line->>'quantity')::integer) as revenue
+                from sold
+               cross join lateral jsonb_array_elements(coalesce(line->'customizations', '[]'::jsonb)) as c
+               group by 1
+               order by 2 desc, 3 desc
+               limit p_limit
+          ) x
+    ),
+    'prep_time', (
+        select jsonb_build_object(
+            'orders_timed', count(t.ready_at),
+            'average_minutes', round(avg(extract(epoch from t.ready_at - s.created_at) / 60)::numeric, 1),
+            'average_kitchen_minutes', round(avg(extract(epoch from t.ready_at - t.started_at) / 60)::numeric, 1),
+            'on_time_rate', round(avg(case when t.ready_at <= s.promised_at then 1 else 0 end)
+                filter (where s.promised_at is not null), 3)
+        )
+          from scoped s
+          join timings t on t.order_id = s.id
+         where t.ready_at is not null
+           and s.scheduled_for is null
+    ),
+    'by_source', (
+        select coalesce(jsonb_agg(to_jsonb(x) order by x.revenue desc), '[]'::jsonb)
+          from (
+              select coalesce(order_source, 'unknown') as source,
+                     count(*) as orders,
+                     coalesce(sum(total_amount), 0) as revenue
+                from scoped
+               where counts
+               group by 1
+          ) x
+    ),
+    'by_fulfillment', (
+        select coalesce(jsonb_agg(to_jsonb(x) order by x.revenue desc), '[]'::jsonb)
+          from (
+              select coalesce(fulfillment_type, 'pickup') as fulfillment_type,
+                     count(*) as orders,
+                     coalesce(sum(total_amount), 0) as revenue
+                from scoped
+               where counts
+               group by 1
+          ) x
+    )
+);
+$$;
@@ -0,0 +1,18 @@
+-- Time-based menus and temporary "86" holds.
+-- daypart names a schedule in restaurants.settings.dayparts (e.g. breakfast, weekends);
+-- null means the category or item is offered whenever the restaurant is.
+alter table menu_categories add column if not exists daypart text;
+alter table menu_items add column if not exists daypart text;
+
+-- Out of stock until this time, then available again on its own.
+-- is_available stays the manual on/off switch.
+alter table menu_items add column if not exists unavailable_until timestamptz;
+alter table customization_options add column if not exists unavailable_until timestamptz;
+
+create index if not exists menu_items_unavailable_until_idx
+    on menu_items (unavailable_until)
+    where unavailable_until is not null;
+
+create index if not exists customization_options_unavailable_until_idx
+    on customization_options (unavailable_until)
+    where unavailable_until is not null;
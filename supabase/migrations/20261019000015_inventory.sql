@@ -0,0 +1,272 @@
+-- Inventory. menu_items.stock_count counts ready-made portions (null = not tracked);
+-- ingredients are used up through the recipe lines of items and customization options.
+alter table menu_items
+    add column if not exists stock_count integer check (stock_count is null or stock_count >= 0),
+    add column if not exists low_stock_threshold integer check (low_stock_threshold is null or low_stock_threshold >= 0);
+
+-- sold_out marks is_available = false set by running out of stock (not by staff),
+-- so a restock can switch the item back on by itself.
+alter table menu_items add column if not exists sold_out boolean not null default false;
+alter table customization_options add column if not exists sold_out boolean not null default false;
+
+-- What create_order took, so a cancelled order can give it back
+alter table orders add column if not exists stock_usage jsonb;
+
+create table if not exists ingredients (
+    id uuid primary key default gen_random_uuid(),
+    restaurant_id uuid not null references restaurants(id) on delete cascade,
+    name text not null,
+    unit text not null default 'unit',
+    stock numeric(12, 3) not null default 0 check (stock >= 0),
+    low_stock_threshold numeric(12, 3) check (low_stock_threshold is null or low_stock_threshold >= 0),
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    unique (restaurant_id, name)
+);
+
+-- How much of an ingredient one portion of an item, or one selection of an option, uses
+create table if not exists recipe_lines (
+    id uuid primary key default gen_random_uuid(),
+    restaurant_id uuid not null references restaurants(id) on delete cascade,
+    ingredient_id uuid not null references ingredients(id) on delete cascade,
+    menu_item_id uuid references menu_items(id) on delete cascade,
+    customization_option_id uuid references customization_options(id) on delete cascade,
+    quantity numeric(12, 3) not null check (quantity > 0),
+    check ((menu_item_id is null) <> (customization_option_id is null))
+);
+
+create unique index if not exists recipe_lines_item_idx
+    on recipe_lines (menu_item_id, ingredient_id) where menu_item_id is not null;
+create unique index if not exists recipe_lines_option_idx
+    on recipe_lines (customization_option_id, ingredient_id) where customization_option_id is not null;
+create index if not exists recipe_lines_ingredient_idx on recipe_lines (ingredient_id);
+
+-- Take stock for an order: p_stock is { items: [{ id, quantity }], ingredients: [{ id, quantity }] },
+-- sorted by id so concurrent orders lock rows in the same order. Raises insufficient_stock
+-- (detail = the id that ran short) instead of letting anything go below zero.
+create or replace function consume_stock(p_restaurant_id uuid, p_stock jsonb)
+returns void
+language plpgsql
+as $$
+declare
+    v_line jsonb;
+begin
+    for v_line in select * from jsonb_array_elements(coalesce(p_stock->'items', '[]'::jsonb)) loop
+        update menu_items
+           set stock_count = stock_count - (v_line->>'quantity')::integer
+         where id = (v_line->>'id')::uuid
+           and restaurant_id = p_restaurant_id
+           and stock_count >= (v_line->>'quantity')::integer;
+        if not found then
+            raise exception 'insufficient_stock' using errcode = 'P0001', detail = v_line->>'id';
+        end if;
+    end loop;
+
+    for v_line in select * from jsonb_array_elements(coalesce(p_stock->'ingredients', '[]'::jsonb)) loop
+        update ingredients
+           set stock = stock - (v_line->>'quantity')::numeric,
+               updated_at = now()
+         where id = (v_line->>'id')::uuid
+           and restaurant_id = p_restaurant_id
+           and stock >= (v_line->>'quantity')::numeric;
+        if not found then
+            raise exception 'insufficient_stock' using errcode = 'P0001', detail = v_line->>'id';
+        end if;
+    end loop;
+end;
+$$;
+
+-- Switch items and options off when they can no longer be made, and back on once
+-- restocked (only those switched off by stock). Returns the ids that changed.
+create or replace function sync_stock_availability(p_restaurant_id uuid)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_items_off uuid[];
+    v_items_on uuid[];
+    v_options_off uuid[];
+    v_options_on uuid[];
+begin
+    with changed as (
+        update menu_items m
+           set is_available = false, sold_out = true
+         where m.restaurant_id = p_restaurant_id
+           and m.is_available
+           and (m.stock_count = 0 or exists (
+                select 1 from recipe_lines rl join ingredients i on i.id = rl.ingredient_id
+                 where rl.menu_item_id = m.id and i.stock < rl.quantity))
+        returning m.id
+    )
+    select coalesce(array_agg(id), '{}') into v_items_off from changed;
+
+    with changed as (
+        update menu_items m
+           set is_available = true, sold_out = false
+         where m.restaurant_id = p_restaurant_id
+           and m.sold_out
+           and (m.stock_count is null or m.stock_count > 0)
+           and not exists (
+                select 1 from recipe_lines rl join ingredients i on i.id = rl.ingredient_id
+                 where rl.menu_item_id = m.id and i.stock < rl.quantity)
+        returning m.id
+    )
+    select coalesce(array_agg(id), '{}') into v_items_on from changed;
+
+    with changed as (
+        update customization_options o
+           set is_available = false, sold_out = true
+         where o.is_available
+           and exists (
+                select 1 from recipe_lines rl join ingredients i on i.id = rl.ingredient_id
+                 where rl.customization_option_id = o.id
+                   and rl.restaurant_id = p_restaurant_id
+                   and i.stock < rl.quantity)
+        returning o.id
+    )
+    select coalesce(array_agg(id), '{}') into v_options_off from changed;
+
+    with changed as (
+        update customization_options o
+           set is_available = true, sold_out = false
+         where o.sold_out
+           and exists (select 1 from recipe_lines rl where rl.customization_option_id = o.id and rl.restaurant_id = p_restaurant_id)
+           and not exists (
+                select 1 from recipe_lines rl join ingredients i on i.id = rl.ingredient_id
+                 where rl.customization_option_id = o.id and i.stock < rl.quantity)
+        returning o.id
+    )
+    select coalesce(array_agg(id), '{}') into v_options_on from changed;
+
+    return jsonb_build_object(
+        'items_off', to_jsonb(v_items_off),
+        'items_on', to_jsonb(v_items_on),
+        'options_off', to_jsonb(v_options_off),
+        'options_on', to_jsonb(v_options_on)
+    );
+end;
+$$;
+
+-- Give back the stock an order took (for orders cancelled before preparation)
+create or replace function release_stock(p_restaurant_id uuid, p_stock jsonb)
+returns void
+language plpgsql
+as $$
+declare
+    v_line jsonb;
+begin
+    for v_line in select * from jsonb_array_elements(coalesce(p_stock->'items', '[]'::jsonb)) loop
+        update menu_items
+           set stock_count = stock_count + (v_line->>'quantity')::integer
+         where id = (v_line->>'id')::uuid
+           and restaurant_id = p_restaurant_id
+           and stock_count is not null;
+    end loop;
+
+    for v_line in select * from jsonb_array_elements(coalesce(p_stock->'ingredients', '[]'::jsonb)) loop
+        update ingredients
+           set stock = stock + (v_line->>'quantity')::numeric,
+               updated_at = now()
+         where id = (v_line->>'id')::uuid
+           and restaurant_id = p_restaurant_id;
+    end loop;
+end;
+$$;
+
+-- Restock or correct a count. Either p_delta (added, may be negative) or p_stock (absolute).
+create or replace function adjust_stock(
+    p_restaurant_id uuid,
+    p_ingredient_id uuid default null,
+    p_menu_item_id uuid default null,
+    p_delta numeric default null,
+    p_stock numeric default null
+)
+returns numeric
+language plpgsql
+as $$
+declare
+    v_level numeric;
+begin
+    if p_ingredient_id is not null then
+        update ingredients
+           set stock = coalesce(p_stock, stock + p_delta),
+               updated_at = now()
+         where id = p_ingredient_id
+           and restaurant_id = p_restaurant_id
+        returning stock into v_level;
+    else
+        update menu_items
+           set stock_count = coalesce(p_stock, coalesce(stock_count, 0) + p_delta)::integer
+         where id = p_menu_item_id
+           and restaurant_id = p_restaurant_id
+        returning stock_count into v_level;
+    end if;
+
+    if not found then
+        raise exception 'stock_not_found' using errcode = 'P0001';
+    end if;
+    return v_level;
+end;
+$$;
+
+-- create_order now also takes the order's stock in the same transaction
+drop function if exists create_order(jsonb, text, text, integer, uuid, jsonb);
+
+create or replace function create_order(
+    p_order jsonb,
+    p_period text,
+    p_prefix text,
+    p_pad integer,
+    p_promo_code_id uuid default null,
+    p_tickets jsonb default '[]'::jsonb,
+    p_stock jsonb default null
+)
+returns orders
+language plpgsql
+as $$
+declare
+    v_seq integer;
+    v_number text;
+    v_cols text;
+    v_order orders;
+begin
+    if p_stock is not null then
+        perform consume_stock((p_order->>'restaurant_id')::uuid, p_stock);
+    end if;
+
+    if p_promo_code_id is not null then
+        update promo_codes
+           set used_count = used_count + 1
+         where id = p_promo_code_id
+           and is_active
+           and (max_uses is null or used_count < max_uses);
+        if not found then
+            raise exception 'promo_code_exhausted' using errcode = 'P0001';
+        end if;
+        p_order := p_order || jsonb_build_object('promo_code_id', p_promo_code_id);
+    end if;
+
+    v_seq := next_order_number((p_order->>'restaurant_id')::uuid, p_period);
+    v_number := case
+        when length(v_seq::text) >= p_pad then v_seq::text
+        else lpad(v_seq::text, p_pad, '0')
+    end;
+    p_order := p_order || jsonb_build_object('order_number', p_prefix || v_number);
+
+    select string_agg(quote_ident(key), ', ') into v_cols from jsonb_object_keys(p_order) as key;
+
+    execute format(
+        'insert into orders (%s) select %s from jsonb_populate_record(null::orders, $1) returning *',
+        v_cols, v_cols
+    ) using p_order into v_order;
+
+    insert into order_status_history (order_id, restaurant_id, from_status, to_status, actor_name, actor_role)
+    values (v_order.id, v_order.restaurant_id, null, v_order.status, 'customer', 'customer');
+
+    insert into order_tickets (id, order_id, restaurant_id, station, items)
+    select (t->>'id')::uuid, v_order.id, v_order.restaurant_id, t->>'station', t->'items'
+      from jsonb_array_elements(p_tickets) as t;
+
+    return v_order;
+end;
+$$;
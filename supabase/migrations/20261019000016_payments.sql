@@ -0,0 +1,264 @@
+-- Online payments. Orders that must be paid first wait in pending_payment, away
+-- from the kitchen, until the provider's webhook confirms the payment.
+alter table orders
+    add column if not exists payment_status text not null default 'not_required'
+        check (payment_status in ('not_required', 'pending', 'paid', 'failed', 'refund_pending', 'partially_refunded', 'refunded'));
+
+create table if not exists payments (
+    id uuid primary key default gen_random_uuid(),
+    order_id uuid not null references orders(id) on delete cascade,
+    restaurant_id uuid not null references restaurants(id) on delete cascade,
+    provider text not null,
+    provider_payment_id text not null,
+    amount_cents integer not null check (amount_cents > 0),
+    currency text not null,
+    status text not null default 'requires_payment'
+        check (status in ('requires_payment', 'succeeded', 'failed', 'cancelled')),
+    refunded_cents integer not null default 0,
+    checkout_url text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    unique (provider, provider_payment_id)
+);
+
+create index if not exists payments_order_idx on payments (order_id);
+
+create table if not exists payment_refunds (
+    id uuid primary key default gen_random_uuid(),
+    payment_id uuid not null references payments(id) on delete cascade,
+    order_id uuid not null references orders(id) on delete cascade,
+    restaurant_id uuid not null references restaurants(id) on delete cascade,
+    provider_refund_id text,
+    amount_cents integer not null check (amount_cents > 0),
+    status text not null default 'pending' check (status in ('pending', 'succeeded', 'failed')),
+    reason text,
+    actor_name text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists payment_refunds_order_idx on payment_refunds (order_id);
+create index if not exists payment_refunds_provider_idx on payment_refunds (provider_refund_id);
+
+-- Reserve a refund against a payment. Locks the payment so pending and settled
+-- refunds together can never exceed what was paid. Returns the new refund row.
+create or replace function request_refund(
+    p_payment_id uuid,
+    p_amount_cents integer,
+    p_reason text default null,
+    p_actor_name text default null
+)
+returns payment_refunds
+language plpgsql
+as $$
+declare
+    v_payment payments;
+    v_reserved integer;
+    v_refund payment_refunds;
+begin
+    select * into v_payment from payments where id = p_payment_id for update;
+
+    if not found or v_payment.status <> 'succeeded' then
+        raise exception 'payment_not_refundable' using errcode = 'P0001';
+    end if;
+
+    select coalesce(sum(amount_cents), 0) into v_reserved
+      from payment_refunds
+     where payment_id = p_payment_id and status in ('pending', 'succeeded');
+
+    if p_amount_cents > v_payment.amount_cents - v_reserved then
+        raise exception 'refund_exceeds_payment' using errcode = 'P0001',
+            detail = (v_payment.amount_cents - v_reserved)::text;
+    end if;
+
+    insert into payment_refunds (payment_id, order_id, restaurant_id, amount_cents, reason, actor_name)
+    values (p_payment_id, v_payment.order_id, v_payment.restaurant_id, p_amount_cents, p_reason, p_actor_name)
+    returning * into v_refund;
+
+    update orders set payment_status = 'refund_pending', updated_at = now() where id = v_payment.order_id;
+
+    return v_refund;
+end;
+$$;
+
+-- Record the provider's answer for a refund, once. Returns the order's new
+-- payment_status, or null when the refund was already settled.
+create or replace function settle_refund(
+    p_refund_id uuid,
+    p_succeeded boolean,
+    p_provider_refund_id text default null
+)
+returns text
+language plpgsql
+as $$
+declare
+    v_refund payment_refunds;
+    v_payment payments;
+    v_pending integer;
+    v_status text;
+begin
+    update payment_refunds
+       set status = case when p_succeeded then 'succeeded' else 'failed' end,
+           provider_refund_id = coalesce(p_provider_refund_id, provider_refund_id),
+           updated_at = now()
+     where id = p_refund_id and status = 'pending'
+    returning * into v_refund;
+
+    if not found then
+        return null;
+    end if;
+
+    update payments
+       set refunded_cents = refunded_cents + case when p_succeeded then v_refund.amount_cents else 0 end,
+           updated_at = now()
+     where id = v_refund.payment_id
+    returning * into v_payment;
+
+    select count(*) into v_pending from payment_refunds where payment_id = v_payment.id and status = 'pending';
+
+    v_status := case
+        when v_pending > 0 then 'refund_pending'
+        when v_payment.refunded_cents >= v_payment.amount_cents then 'refunded'
+        when v_payment.refunded_cents > 0 then 'partially_refunded'
+        else 'paid'
+    end;
+
+    update orders set payment_status = v_status, updated_at = now() where id = v_refund.order_id;
+
+    return v_status;
+end;
+$$;
+
+-- Orders still waiting for payment are not sales yet
+create or replace function sales_report(
+    p_restaurant_id uuid,
+    p_from date,
+    p_to date,
+    p_timezone text default 'UTC',
+    p_group_by text default 'day',
+    p_limit integer default 10
+)
+returns jsonb
+language sql
+stable
+as $$
+with scoped as (
+    select o.*,
+           o.created_at at time zone p_timezone as local_created,
+           o.status not in ('cancelled', 'refunded', 'pending_payment') as counts,
+           -- order_items has been written both as a JSON array and as a JSON-encoded string
+           case when jsonb_typeof(to_jsonb(o.order_items)) = 'string'
+                then (to_jsonb(o.order_items) #>> '{}')::jsonb
+                else to_jsonb(o.order_items)
+           end as lines
+      from orders o
+     where o.restaurant_id = p_restaurant_id
+       and coalesce(o.business_date, (o.created_at at time zone p_timezone)::date) between p_from and p_to
+),
+sold as (
+    select s.id, line
+      from scoped s
+     cross join lateral jsonb_array_elements(coalesce(s.lines, '[]'::jsonb)) as line
+     where s.counts
+),
+timings as (
+    select h.order_id,
+           min(h.created_at) filter (where h.to_status = 'preparing') as started_at,
+           min(h.created_at) filter (where h.to_status = 'ready') as ready_at
+      from order_status_history h
+      join scoped s on s.id = h.order_id
+     group by h.order_id
+)
+select jsonb_build_object(
+    'summary', (
+        select jsonb_build_object(
+            'orders', count(*) filter (where counts),
+            'revenue', coalesce(sum(total_amount) filter (where counts), 0),
+            'subtotal', coalesce(sum((pricing->>'subtotal')::numeric) filter (where counts), 0),
+            'discounts', coalesce(sum((pricing->>'discount_total')::numeric) filter (where counts), 0),
+            'charges', coalesce(sum((pricing->>'charges_total')::numeric) filter (where counts), 0),
+            'tax', coalesce(sum((pricing->>'tax')::numeric) filter (where counts), 0),
+            'average_order', coalesce(round(avg(total_amount) filter (where counts), 2), 0),
+            'cancelled', count(*) filter (where status = 'cancelled'),
+            'refunded', count(*) filter (where status = 'refunded'),
+            'refunded_amount', coalesce(sum(total_amount) filter (where status = 'refunded'), 0)
+        )
+          from scoped
+    ),
+    'by_status', (
+        select coalesce(jsonb_object_agg(status, n), '{}'::jsonb)
+          from (select status, count(*) as n from scoped group by status) x
+    ),
+    'series', (
+        select coalesce(jsonb_agg(jsonb_build_object('period', period, 'orders', orders, 'revenue', revenue) order by period), '[]'::jsonb)
+          from (
+              select date_trunc(p_group_by, local_created) as period,
+                     count(*) filter (where counts) as orders,
+                     coalesce(sum(total_amount) filter (where counts), 0) as revenue
+                from scoped
+               group by 1
+          ) x
+    ),
+    'top_items', (
+        select coalesce(jsonb_agg(to_jsonb(x) order by x.quantity desc, x.revenue desc), '[]'::jsonb)
+          from (
+              select line->>'id' as id,
+                     line->>'name' as name,
+                     sum((line->>'quantity')::integer) as quantity,
+                     sum((line->>'item_total')::numeric) as revenue
+                from sold
+               group by 1, 2
+               order by 3 desc, 4 desc
+               limit p_limit
+          ) x
+    ),
+    'top_customizations', (
+        select coalesce(jsonb_agg(to_jsonb(x) order by x.quantity desc, x.revenue desc), '[]'::jsonb)
+          from (
+              select c->>'name' as name,
+                     sum((line->>'quantity')::integer) as quantity,
+                     sum((c->>'price')::numeric * (line->>'quantity')::integer) as revenue
+                from sold
+               cross join lateral jsonb_array_elements(coalesce(line->'customizations', '[]'::jsonb)) as c
+               group by 1
+               order by 2 desc, 3 desc
+               limit p_limit
+          ) x
+    ),
+    'prep_time', (
+        select jsonb_build_object(
+            'orders_timed', count(t.ready_at),
+            'average_minutes', round(avg(extract(epoch from t.ready_at - s.created_at) / 60)::numeric, 1),
+            'average_kitchen_minutes', round(avg(extract(epoch from t.ready_at - t.started_at) / 60)::numeric, 1),
+            'on_time_rate', round(avg(case when t.ready_at <= s.promised_at then 1 else 0 end)
+                filter (where s.promised_at is not null), 3)
+        )
+          from scoped s
+          join timings t on t.order_id = s.id
+         where t.ready_at is not null
+           and s.scheduled_for is null
+    ),
+    'by_source', (
+        select coalesce(jsonb_agg(to_jsonb(x) order by x.revenue desc), '[]'::jsonb)
+          from (
+              select coalesce(order_source, 'unknown') as source,
+                     count(*) as orders,
+                     coalesce(sum(total_amount), 0) as revenue
+                from scoped
+               where counts
+               group by 1
+          ) x
+    ),
+    'by_fulfillment', (
+        select coalesce(jsonb_agg(to_jsonb(x) order by x.revenue desc), '[]'::jsonb)
+          from (
+              select coalesce(fulfillment_type, 'pickup') as fulfillment_type,
+                     count(*) as orders,
+                     coalesce(sum(total_amount), 0) as revenue
+                from scoped
+               where counts
+               group by 1
+          ) x
+    )
+);
+$$;
@@ -0,0 +1,63 @@
+-- Network receipt / kitchen printers (raw ESC/POS on TCP, usually port 9100).
+-- Kitchen printers with a station print that station's tickets; without one they
+-- print the whole order. Receipt printers print itemized customer receipts.
+create table if not exists printers (
+    id uuid primary key default gen_random_uuid(),
+    restaurant_id uuid not null references restaurants(id) on delete cascade,
+    name text not null,
+    host text not null,
+    port integer not null default 9100 check (port between 1 and 65535),
+    kind text not null default 'kitchen' check (kind in ('kitchen', 'receipt')),
+    station text,
+    width integer not null default 42 check (width between 24 and 64),
+    copies integer not null default 1 check (copies between 1 and 5),
+    auto_print boolean not null default true,
+    is_active boolean not null default true,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    unique (restaurant_id, name)
+);
+
+-- Durable print queue (see PRINTING in server.js). content is the rendered ESC/POS
+-- bytes (base64), so a retry prints exactly what was queued.
+create table if not exists print_jobs (
+    id uuid primary key default gen_random_uuid(),
+    restaurant_id uuid not null references restaurants(id) on delete cascade,
+    printer_id uuid not null references printers(id) on delete cascade,
+    order_id uuid references orders(id) on delete set null,
+    ticket_id uuid,
+    kind text not null check (kind in ('kitchen', 'receipt', 'test')),
+    content text not null,
+    reprint boolean not null default false,
+    status text not null default 'queued'
+        check (status in ('queued', 'printing', 'printed', 'failed')),
+    attempts integer not null default 0,
+    next_attempt_at timestamptz not null default now(),
+    last_error text,
+    printed_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists print_jobs_due_idx on print_jobs (next_attempt_at) where status in ('queued', 'printing');
+create index if not exists print_jobs_restaurant_idx on print_jobs (restaurant_id, created_at desc);
+create index if not exists print_jobs_order_idx on print_jobs (order_id);
+
+-- Claim due jobs for one worker, same scheme as claim_notifications. Jobs stuck
+-- in "printing" (crashed worker) are picked up again.
+create or replace function claim_print_jobs(p_limit integer)
+returns setof print_jobs
+language sql
+as $$
+    update print_jobs
+       set status = 'printing', attempts = attempts + 1, updated_at = now()
+     where id in (
+        select id from print_jobs
+         where (status = 'queued' and next_attempt_at <= now())
+            or (status = 'printing' and updated_at < now() - interval '2 minutes')
+         order by next_attempt_at, created_at
+         limit p_limit
+         for update skip locked
+     )
+    returning *;
+$$;
@@ -0,0 +1,46 @@
+-- Order events sent to staff screens, numbered per restaurant, so a KDS that lost
+-- its connection can ask for what it missed (see ORDER EVENT LOG in server.js).
+create table if not exists order_event_counters (
+    restaurant_id uuid primary key references restaurants(id) on delete cascade,
+    last_seq bigint not null default 0
+);
+
+-- station is the station feed the event went to; null means the full feed (and expo)
+create table if not exists order_events (
+    restaurant_id uuid not null references restaurants(id) on delete cascade,
+    seq bigint not null,
+    event text not null,
+    station text,
+    payload jsonb not null,
+    created_at timestamptz not null default now(),
+    primary key (restaurant_id, seq)
+);
+
+create index if not exists order_events_created_idx on order_events (created_at);
+
+-- Number and store one event. The counter row lock keeps numbers gap-free and in
+-- commit order even with several server instances.
+create or replace function append_order_event(
+    p_restaurant_id uuid,
+    p_event text,
+    p_station text,
+    p_payload jsonb
+)
+returns bigint
+language plpgsql
+as $$
+declare
+    v_seq bigint;
+begin
+    insert into order_event_counters (restaurant_id, last_seq)
+    values (p_restaurant_id, 1)
+    on conflict (restaurant_id) do update
+        set last_seq = order_event_counters.last_seq + 1
+    returning last_seq into v_seq;
+
+    insert into order_events (restaurant_id, seq, event, station, payload)
+    values (p_restaurant_id, v_seq, p_event, p_station, p_payload);
+
+    return v_seq;
+end;
+$$;
@@ -0,0 +1,6 @@
+-- Restaurant onboarding (see RESTAURANT ADMINISTRATION in server.js). Slugs name
+-- each restaurant's pages (/r/<slug>), so they must be unique.
+alter table restaurants add column if not exists created_at timestamptz not null default now();
+alter table restaurants add column if not exists updated_at timestamptz not null default now();
+
+create unique index if not exists restaurants_slug_key on restaurants (slug);
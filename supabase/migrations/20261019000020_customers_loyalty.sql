@@ -0,0 +1,206 @@
+-- Customers per restaurant, keyed by E.164 phone number (see CUSTOMERS & LOYALTY
+-- in server.js). loyalty_points is the balance; loyalty_transactions is its ledger.
+create table if not exists customers (
+    id uuid primary key default gen_random_uuid(),
+    restaurant_id uuid not null references restaurants(id) on delete cascade,
+    phone text not null check (phone ~ '^\+[1-9][0-9]{7,14}$'),
+    name text,
+    loyalty_points integer not null default 0 check (loyalty_points >= 0),
+    marketing_opt_in boolean not null default false,
+    marketing_consent_at timestamptz,
+    marketing_consent_source text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    unique (restaurant_id, phone)
+);
+
+alter table orders
+    add column if not exists customer_id uuid references customers(id) on delete set null,
+    add column if not exists loyalty_points_earned integer not null default 0,
+    add column if not exists loyalty_points_redeemed integer not null default 0;
+
+create index if not exists orders_customer_idx on orders (customer_id, created_at desc);
+
+create table if not exists loyalty_transactions (
+    id uuid primary key default gen_random_uuid(),
+    restaurant_id uuid not null references restaurants(id) on delete cascade,
+    customer_id uuid not null references customers(id) on delete cascade,
+    order_id uuid references orders(id) on delete set null,
+    points integer not null,
+    reason text not null check (reason in ('earn', 'redeem', 'reversal', 'adjustment')),
+    note text,
+    actor_name text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists loyalty_transactions_customer_idx on loyalty_transactions (customer_id, created_at desc);
+create index if not exists loyalty_transactions_order_idx on loyalty_transactions (order_id);
+
+-- create_order now also links the customer and redeems / awards their points in
+-- the same transaction, so points can never be spent twice.
+drop function if exists create_order(jsonb, text, text, integer, uuid, jsonb, jsonb);
+
+create or replace function create_order(
+    p_order jsonb,
+    p_period text,
+    p_prefix text,
+    p_pad integer,
+    p_promo_code_id uuid default null,
+    p_tickets jsonb default '[]'::jsonb,
+    p_stock jsonb default null,
+    p_customer_id uuid default null,
+    p_redeem_points integer default 0,
+    p_earn_points integer default 0
+)
+returns orders
+language plpgsql
+as $$
+declare
+    v_seq integer;
+    v_number text;
+    v_cols text;
+    v_order orders;
+begin
+    if p_stock is not null then
+        perform consume_stock((p_order->>'restaurant_id')::uuid, p_stock);
+    end if;
+
+    if p_promo_code_id is not null then
+        update promo_codes
+           set used_count = used_count + 1
+         where id = p_promo_code_id
+           and is_active
+           and (max_uses is null or used_count < max_uses);
+        if not found then
+            raise exception 'promo_code_exhausted' using errcode = 'P0001';
+        end if;
+        p_order := p_order || jsonb_build_object('promo_code_id', p_promo_code_id);
+    end if;
+
+    if p_customer_id is not null then
+        if p_redeem_points > 0 then
+            update customers
+               set loyalty_points = loyalty_points - p_redeem_points, updated_at = now()
+             where id = p_customer_id
+               and loyalty_points >= p_redeem_points;
+            if not found then
+                raise exception 'insufficient_points' using errcode = 'P0001';
+            end if;
+        end if;
+        p_order := p_order || jsonb_build_object(
+            'customer_id', p_customer_id,
+            'loyalty_points_redeemed', p_redeem_points,
+            'loyalty_points_earned', p_earn_points
+        );
+    end if;
+
+    v_seq := next_order_number((p_order->>'restaurant_id')::uuid, p_period);
+    v_number := case
+        when length(v_seq::text) >= p_pad then v_seq::text
+        else lpad(v_seq::text, p_pad, '0')
+    end;
+    p_order := p_order || jsonb_build_object('order_number', p_prefix || v_number);
+
+    select string_agg(quote_ident(key), ', ') into v_cols from jsonb_object_keys(p_order) as key;
+
+    execute format(
+        'insert into orders (%s) select %s from jsonb_populate_record(null::orders, $1) returning *',
+        v_cols, v_cols
+    ) using p_order into v_order;
+
+    insert into order_status_history (order_id, restaurant_id, from_status, to_status, actor_name, actor_role)
+    values (v_order.id, v_order.restaurant_id, null, v_order.status, 'customer', 'customer');
+
+    insert into order_tickets (id, order_id, restaurant_id, station, items)
+    select (t->>'id')::uuid, v_order.id, v_order.restaurant_id, t->>'station', t->'items'
+      from jsonb_array_elements(p_tickets) as t;
+
+    if p_customer_id is not null then
+        if p_redeem_points > 0 then
+            insert into loyalty_transactions (restaurant_id, customer_id, order_id, points, reason)
+            values (v_order.restaurant_id, p_customer_id, v_order.id, -p_redeem_points, 'redeem');
+        end if;
+        if p_earn_points > 0 then
+            update customers
+               set loyalty_points = loyalty_points + p_earn_points, updated_at = now()
+             where id = p_customer_id;
+            insert into loyalty_transactions (restaurant_id, customer_id, order_id, points, reason)
+            values (v_order.restaurant_id, p_customer_id, v_order.id, p_earn_points, 'earn');
+        end if;
+    end if;
+
+    return v_order;
+end;
+$$;
+
+-- Undo what an order did to its customer's points (cancelled or refunded orders):
+-- redeemed points come back, earned points are taken off again. Runs once per order.
+-- Earned points already spent can't be taken back below zero, so the reversal
+-- records what actually changed. Returns that change.
+create or replace function reverse_order_loyalty(p_order_id uuid, p_actor_name text default null)
+returns integer
+language plpgsql
+as $$
+declare
+    v_order orders;
+    v_net integer;
+    v_before integer;
+    v_after integer;
+begin
+    select * into v_order from orders where id = p_order_id;
+    if v_order.customer_id is null then
+        return 0;
+    end if;
+
+    select loyalty_points into v_before from customers where id = v_order.customer_id for update;
+
+    if exists (select 1 from loyalty_transactions where order_id = p_order_id and reason = 'reversal') then
+        return 0;
+    end if;
+
+    select coalesce(sum(points), 0) into v_net from loyalty_transactions where order_id = p_order_id;
+    if v_net = 0 then
+        return 0;
+    end if;
+
+    update customers
+       set loyalty_points = greatest(loyalty_points - v_net, 0), updated_at = now()
+     where id = v_order.customer_id
+    returning loyalty_points into v_after;
+
+    insert into loyalty_transactions (restaurant_id, customer_id, order_id, points, reason, actor_name)
+    values (v_order.restaurant_id, v_order.customer_id, p_order_id, v_after - v_before, 'reversal', p_actor_name);
+
+    return v_after - v_before;
+end;
+$$;
+
+-- Manual correction by a manager. Returns the new balance.
+create or replace function adjust_loyalty_points(
+    p_customer_id uuid,
+    p_points integer,
+    p_note text default null,
+    p_actor_name text default null
+)
+returns integer
+language plpgsql
+as $$
+declare
+    v_customer customers;
+begin
+    update customers
+       set loyalty_points = loyalty_points + p_points, updated_at = now()
+     where id = p_customer_id
+       and loyalty_points + p_points >= 0
+    returning * into v_customer;
+
+    if not found then
+        raise exception 'insufficient_points' using errcode = 'P0001';
+    end if;
+
+    insert into loyalty_transactions (restaurant_id, customer_id, points, reason, note, actor_name)
+    values (v_customer.restaurant_id, v_customer.id, p_points, 'adjustment', p_note, p_actor_name);
+
+    return v_customer.loyalty_points;
+end;
+$$;
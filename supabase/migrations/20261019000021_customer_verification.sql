@@ -0,0 +1,58 @@
+-- One-time codes sent over WhatsApp that prove a web customer owns their phone
+-- number before they spend loyalty points (see CUSTOMERS & LOYALTY in server.js).
+-- Only a hash of the code is stored.
+create table if not exists customer_verification_codes (
+    id uuid primary key default gen_random_uuid(),
+    restaurant_id uuid not null references restaurants(id) on delete cascade,
+    phone text not null,
+    code_hash text not null,
+    attempts integer not null default 0,
+    expires_at timestamptz not null,
+    used_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists customer_verification_codes_phone_idx
+    on customer_verification_codes (restaurant_id, phone, created_at desc);
+
+-- Checks a code against the phone's latest unused one. Returns { result, code_id }
+-- where result is 'ok', 'invalid', 'expired' (or none sent) or 'locked' (too many
+-- wrong guesses). Wrong guesses are counted under the row lock, so parallel
+-- requests cannot get more than p_max_attempts tries. A matching code stays
+-- unused: server.js sets used_at once the order it was given with is saved.
+create or replace function check_customer_verification_code(
+    p_restaurant_id uuid,
+    p_phone text,
+    p_code_hash text,
+    p_max_attempts integer default 5
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_code customer_verification_codes;
+begin
+    select * into v_code
+      from customer_verification_codes
+     where restaurant_id = p_restaurant_id
+       and phone = p_phone
+       and used_at is null
+     order by created_at desc
+     limit 1
+       for update;
+
+    if v_code.id is null or v_code.expires_at <= now() then
+        return jsonb_build_object('result', 'expired');
+    end if;
+    if v_code.attempts >= p_max_attempts then
+        return jsonb_build_object('result', 'locked');
+    end if;
+
+    if v_code.code_hash <> p_code_hash then
+        update customer_verification_codes set attempts = attempts + 1 where id = v_code.id;
+        return jsonb_build_object('result', 'invalid');
+    end if;
+
+    return jsonb_build_object('result', 'ok', 'code_id', v_code.id);
+end;
+$$;
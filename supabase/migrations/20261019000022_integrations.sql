@@ -0,0 +1,82 @@
+-- Outbound webhooks (see WEBHOOKS in server.js). Each endpoint gets the order
+-- events it subscribed to, signed with its own secret.
+create table if not exists webhook_endpoints (
+    id uuid primary key default gen_random_uuid(),
+    restaurant_id uuid not null references restaurants(id) on delete cascade,
+    url text not null,
+    description text,
+    events text[] not null,
+    secret text not null,
+    is_active boolean not null default true,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists webhook_endpoints_restaurant_idx on webhook_endpoints (restaurant_id);
+
+-- Delivery log and retry queue. payload is the exact body sent, so retries and
+-- the log match what the endpoint received.
+create table if not exists webhook_deliveries (
+    id uuid primary key default gen_random_uuid(),
+    endpoint_id uuid not null references webhook_endpoints(id) on delete cascade,
+    restaurant_id uuid not null references restaurants(id) on delete cascade,
+    event text not null,
+    payload jsonb not null,
+    status text not null default 'queued'
+        check (status in ('queued', 'sending', 'delivered', 'failed')),
+    attempts integer not null default 0,
+    next_attempt_at timestamptz not null default now(),
+    response_status integer,
+    last_error text,
+    delivered_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists webhook_deliveries_due_idx on webhook_deliveries (next_attempt_at) where status in ('queued', 'sending');
+create index if not exists webhook_deliveries_endpoint_idx on webhook_deliveries (endpoint_id, created_at desc);
+
+-- Same claiming scheme as claim_notifications
+create or replace function claim_webhook_deliveries(p_limit integer)
+returns setof webhook_deliveries
+language sql
+as $$
+    update webhook_deliveries
+       set status = 'sending', attempts = attempts + 1, updated_at = now()
+     where id in (
+        select id from webhook_deliveries
+         where (status = 'queued' and next_attempt_at <= now())
+            or (status = 'sending' and updated_at < now() - interval '2 minutes')
+         order by next_attempt_at, created_at
+         limit p_limit
+         for update skip locked
+     )
+    returning *;
+$$;
+
+-- Inbound orders from delivery aggregators (see AGGREGATOR ORDERS in server.js).
+-- source tags the orders (e.g. ubereats); item_map translates the aggregator's
+-- item and option ids to ours.
+create table if not exists order_integrations (
+    id uuid primary key default gen_random_uuid(),
+    restaurant_id uuid not null references restaurants(id) on delete cascade,
+    provider text not null,
+    source text not null check (source ~ '^[a-z0-9_-]{1,30}$'),
+    secret text not null,
+    item_map jsonb not null default '{}'::jsonb,
+    is_active boolean not null default true,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    unique (restaurant_id, source)
+);
+
+-- Aggregator orders carry order_source 'aggregator' and the integration's source.
+-- external_order_id is the aggregator's id; the unique index makes a resent order a
+-- no-op. Aggregators often hide the customer's phone number.
+alter table orders
+    add column if not exists external_source text,
+    add column if not exists external_order_id text,
+    alter column phone_number drop not null;
+
+create unique index if not exists orders_external_idx on orders (restaurant_id, external_source, external_order_id)
+    where external_order_id is not null;